@@ -1,32 +1,127 @@
 "use strict";
 
-const cp = require("node:child_process");
+const fs = require("node:fs");
 const path = require("node:path");
+const { Worker } = require("node:worker_threads");
 const vscode = require("vscode");
 
+const { registerColorProvider } = require("./src/colors");
+const { registerCompletionProvider } = require("./src/completion");
+const { registerDirectiveProviders } = require("./src/directives");
+const { registerDocCommentHovers } = require("./src/doc-comments");
+const { registerEmbeddedLiteralDiagnostics } = require("./src/embedded-literals");
+const { registerCrossGameDiagnostics } = require("./src/game-provenance");
+const { registerHoverProvider } = require("./src/hover");
+const { registerInfoTomlProviders } = require("./src/info-toml");
+const { registerPreprocessorDefineDiagnostics } = require("./src/preprocessor-defines");
+const { importScriptModule } = require("./src/script-modules");
+const { registerSemanticTokensProvider } = require("./src/semantic-tokens");
+const { registerSettingProviders } = require("./src/settings");
+const { registerSignatureHelpProvider } = require("./src/signature-help");
+const { createSymbolStore } = require("./src/symbol-store");
+const { registerTargetProfile } = require("./src/target-profile");
+const { createWorkspaceDefines } = require("./src/workspace-defines");
+
 const REFRESH_COMMAND = "openplanetAngelscript.refreshGrammarSymbols";
 const CONFIG_SECTION = "openplanetAngelscript";
 
 let statusBarItem = null;
 let sessionRefreshStarted = false;
+let symbolStore = null;
+let symbolReportDir = null;
+let symbolReportChannel = null;
+let bundledSnapshotPath = null;
+let metadataWatcher = null;
+let metadataRefreshScheduler = null;
+let metadataWatcherUpdate = Promise.resolve();
+let metadataWatcherGeneration = 0;
+let logChannel = null;
+let refreshQueue = null;
+let refreshState = {
+  status: "idle",
+  reason: null,
+  finishedAt: null,
+  counts: null,
+  error: null,
+  metadataWarnings: 0,
+};
 
 function getConfig() {
   return vscode.workspace.getConfiguration(CONFIG_SECTION);
 }
 
-function getGeneratorArgs(extensionPath) {
+function getSourceArgs() {
   const config = getConfig();
-  const args = [path.join(extensionPath, "scripts", "generate-openplanet-grammar.mjs")];
+  const sourceArgs = {};
   const sourceDirs = config.get("sourceDirs", []);
   const includeHeaderFallback = config.get("includeHeaderFallback", false);
 
   if (Array.isArray(sourceDirs) && sourceDirs.length > 0) {
-    args.push("--openplanet-dirs", sourceDirs.join(";"));
+    sourceArgs["openplanet-dirs"] = sourceDirs.join(";");
   }
   if (includeHeaderFallback) {
-    args.push("--include-headers", "true");
+    sourceArgs["include-headers"] = "true";
+  }
+  const snapshotPaths = config.get("snapshotPaths", []);
+  if (Array.isArray(snapshotPaths) && snapshotPaths.length > 0) {
+    const baseDir = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || process.cwd();
+    sourceArgs.snapshot = snapshotPaths.map((p) => path.resolve(baseDir, p)).join(";");
+  }
+  if (bundledSnapshotPath) {
+    sourceArgs["fallback-snapshot"] = bundledSnapshotPath;
+  }
+  // Workspace folders may hold dependency plugins next to the plugin being
+  // edited. A folder with its own info.toml is that plugin: its exports are
+  // not dependencies, including an installed copy in a `Plugins` folder.
+  const dependencyDirs = [];
+  const activePluginIds = [];
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    if (folder.uri.scheme !== "file") continue;
+    if (fs.existsSync(path.join(folder.uri.fsPath, "info.toml"))) {
+      activePluginIds.push(path.basename(folder.uri.fsPath));
+    } else {
+      dependencyDirs.push(folder.uri.fsPath);
+    }
+  }
+  if (dependencyDirs.length > 0) {
+    sourceArgs["dependency-dirs"] = dependencyDirs.join(";");
+  }
+  if (activePluginIds.length > 0) {
+    sourceArgs["exclude-plugins"] = activePluginIds.join(";");
+  }
+  return sourceArgs;
+}
+
+function isWritable(filePath) {
+  try {
+    fs.accessSync(filePath, fs.constants.W_OK);
+    return true;
+  } catch {
+    return false;
   }
-  return args;
+}
+
+// Read-only installs cannot update the shipped grammar, so the generator writes
+// to global storage instead; the semantic token provider still picks up the
+// refreshed symbols.
+function getGeneratorOptions(extensionPath, { force = false } = {}) {
+  const grammarPath = path.join(extensionPath, "syntaxes", "openplanet-angelscript.tmLanguage.json");
+  const writesShippedGrammar = isWritable(grammarPath) || !symbolReportDir;
+  const options = {
+    sourceArgs: getSourceArgs(),
+    grammarPath,
+    outPath: writesShippedGrammar
+      ? grammarPath
+      : path.join(symbolReportDir, "openplanet-angelscript.tmLanguage.json"),
+    reportDir: symbolReportDir,
+    force,
+  };
+  return { options, writesShippedGrammar };
+}
+
+function reloadSymbols(options) {
+  if (!symbolStore) return Promise.resolve(false);
+  return symbolStore.reload(getSourceArgs(), options);
 }
 
 function maybeShowReloadPrompt() {
@@ -42,42 +137,174 @@ function maybeShowReloadPrompt() {
     });
 }
 
-function runGenerator(extensionPath, opts = {}) {
-  const { reason = "manual", quiet = false, promptReload = false } = opts;
+// Appends the generator's symbol diff to the output channel; manual refreshes
+// always reveal it, session-start refreshes only when symbols changed.
+function showSymbolReport(reason, reveal) {
+  if (!symbolReportDir || !symbolReportChannel) return;
+  let report;
+  let markdown;
+  try {
+    report = JSON.parse(fs.readFileSync(path.join(symbolReportDir, "symbol-diff.json"), "utf8"));
+    markdown = fs.readFileSync(path.join(symbolReportDir, "symbol-diff.md"), "utf8");
+  } catch {
+    return;
+  }
+
+  symbolReportChannel.appendLine(`[${new Date().toLocaleString()}] Symbol refresh (${reason})`);
+  symbolReportChannel.appendLine(markdown);
+  if (reveal || (report.hasPrevious && report.added + report.removed > 0)) {
+    symbolReportChannel.show(true);
+  }
+  if (report.removed > 0) {
+    vscode.window.showWarningMessage(
+      `Openplanet metadata removed ${report.removed} symbol(s); plugins using them may break.`,
+    );
+  }
+}
+
+function log(message) {
+  if (logChannel) logChannel.appendLine(`[${new Date().toLocaleString()}] ${message}`);
+}
+
+function updateStatusBar() {
+  if (!statusBarItem) return;
+  const { status, finishedAt, counts, error, metadataWarnings } = refreshState;
+  const lines = [];
+  if (status === "running") {
+    statusBarItem.text = "$(sync~spin) OP Symbols";
+    lines.push(`Refreshing Openplanet symbols (${refreshState.reason})...`);
+  } else if (status === "error") {
+    statusBarItem.text = "$(error) OP Symbols";
+    lines.push(`Openplanet symbol refresh failed (${refreshState.reason}): ${error}`);
+  } else {
+    statusBarItem.text = "$(refresh) OP Symbols";
+  }
+  statusBarItem.backgroundColor =
+    status === "error" ? new vscode.ThemeColor("statusBarItem.errorBackground") : undefined;
+
+  if (finishedAt) lines.push(`Last refresh: ${finishedAt.toLocaleString()}`);
+  if (counts) {
+    lines.push(
+      `${counts.namespaces} namespaces, ${counts.types} types, ${counts.functions} global functions`,
+    );
+  }
+  if (metadataWarnings > 0) {
+    lines.push(`${metadataWarnings} malformed metadata entries skipped (see the output channel)`);
+  }
+  lines.push("Click to refresh Openplanet syntax symbols");
+  statusBarItem.tooltip = lines.join("\n");
+}
+
+function setRefreshState(update) {
+  refreshState = { ...refreshState, ...update };
+  updateStatusBar();
+}
+
+function currentSymbolCounts() {
+  if (!symbolStore) return null;
+  const { namespaces, types, globalFunctions } = symbolStore.symbols;
+  return { namespaces: namespaces.size, types: types.size, functions: globalFunctions.size };
+}
+
+function showRefreshError(message) {
+  vscode.window.showErrorMessage(message, "Show Log").then((selection) => {
+    if (selection === "Show Log" && logChannel) logChannel.show(true);
+  });
+}
+
+// Refresh requests go through `refreshQueue` (see openplanet-refresh-queue.mjs),
+// so at most one generator worker runs at a time.
+function runGenerator(opts = {}) {
+  if (!refreshQueue) return Promise.resolve(false);
+  return refreshQueue.request(opts);
+}
+
+function startRefresh(extensionPath, request) {
+  setRefreshState({ status: "running", reason: request.reason });
+  const progressOptions = {
+    location: request.quiet ? vscode.ProgressLocation.Window : vscode.ProgressLocation.Notification,
+    title: `Refreshing Openplanet symbols (${request.reason})`,
+    cancellable: !request.quiet,
+  };
+  return vscode.window.withProgress(progressOptions, (_progress, token) =>
+    runGeneratorWorker(extensionPath, request, token),
+  );
+}
+
+function runGeneratorWorker(extensionPath, request, token) {
+  const { reason, quiet, promptReload } = request;
 
   return new Promise((resolve) => {
-    const args = getGeneratorArgs(extensionPath);
-    const child = cp.spawn(process.execPath, args, { cwd: extensionPath });
-    let stdout = "";
-    let stderr = "";
+    const { options, writesShippedGrammar } = getGeneratorOptions(extensionPath, request);
+    log(`Refresh started (${reason}): ${JSON.stringify(options.sourceArgs)}`);
+    const worker = new Worker(
+      path.join(extensionPath, "scripts", "openplanet-grammar-worker.mjs"),
+      { workerData: options },
+    );
+    let settled = false;
 
-    child.stdout.on("data", (chunk) => {
-      stdout += chunk.toString();
-    });
-    child.stderr.on("data", (chunk) => {
-      stderr += chunk.toString();
+    // The refresh only settles once the worker has stopped, so the next
+    // queued refresh never writes the grammar while it is still running.
+    const cancellation = token?.onCancellationRequested(() => {
+      if (settled) return;
+      settled = true;
+      log(`Refresh cancelled (${reason}); stopping the generator.`);
+      refreshQueue?.cancelQueued();
+      setRefreshState({ status: refreshState.error ? "error" : "idle" });
+      worker.terminate().then(
+        () => finish(false),
+        () => finish(false),
+      );
     });
-    child.on("error", (err) => {
-      const message = `Openplanet symbol refresh failed (${reason}): ${err.message}`;
-      vscode.window.showErrorMessage(message);
-      resolve(false);
-    });
-    child.on("close", (code) => {
-      if (code === 0) {
-        if (!quiet) {
-          vscode.window.showInformationMessage(`Openplanet symbols refreshed (${reason}).`);
-        }
-        if (promptReload) maybeShowReloadPrompt();
-        resolve(true);
+    function finish(result) {
+      settled = true;
+      cancellation?.dispose();
+      resolve(result);
+    }
+
+    function fail(message) {
+      const [summary, ...details] = message.split(/\r?\n/);
+      log(`Refresh failed (${reason}): ${summary}`);
+      for (const line of details) log(`  ${line}`);
+      setRefreshState({ status: "error", error: summary, finishedAt: new Date() });
+      showRefreshError(`Openplanet symbol refresh failed (${reason}): ${summary}`);
+      finish(false);
+    }
+
+    worker.on("message", async (message) => {
+      if (settled) return;
+      if (!message.ok) {
+        fail(message.error);
         return;
       }
-
-      const detail = (stderr || stdout || "").trim();
-      const message = detail
-        ? `Openplanet symbol refresh failed (${reason}): ${detail}`
-        : `Openplanet symbol refresh failed (${reason}).`;
-      vscode.window.showErrorMessage(message);
-      resolve(false);
+      for (const line of message.log) log(line);
+      for (const warning of message.warnings) log(`Warning: ${warning}`);
+      log(`Refresh finished (${reason}).`);
+      // The worker's log already listed the metadata warnings.
+      await reloadSymbols({ reportWarnings: false });
+      setRefreshState({
+        status: "idle",
+        error: null,
+        finishedAt: new Date(),
+        metadataWarnings: message.metadataWarningCount,
+      });
+      showSymbolReport(reason, reason === "manual");
+      const grammarChanged = writesShippedGrammar && message.written;
+      if (!quiet) {
+        vscode.window.showInformationMessage(
+          grammarChanged
+            ? `Openplanet symbols refreshed (${reason}).`
+            : `Openplanet symbols are up to date (${reason}).`,
+        );
+      }
+      if (promptReload && grammarChanged) maybeShowReloadPrompt();
+      finish(true);
+    });
+    worker.on("error", (err) => {
+      if (!settled) fail(err.message);
+    });
+    worker.on("exit", (code) => {
+      if (!settled) fail(`generator worker exited with code ${code}`);
     });
   });
 }
@@ -92,20 +319,80 @@ function ensureStatusBar(context) {
   if (!showButton) return;
 
   statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 50);
-  statusBarItem.text = "$(refresh) OP Symbols";
-  statusBarItem.tooltip = "Refresh Openplanet syntax symbols";
   statusBarItem.command = REFRESH_COMMAND;
+  updateStatusBar();
   statusBarItem.show();
   context.subscriptions.push(statusBarItem);
 }
 
-function activate(context) {
+// Watches the resolved install folders while `watchMetadata` is on and feeds
+// metadata changes through the same refresh as the manual command. Updates are
+// chained, so overlapping configuration changes apply one after another.
+function ensureMetadataWatcher(context) {
+  metadataWatcherUpdate = metadataWatcherUpdate
+    .then(() => updateMetadataWatcher(context))
+    .catch((err) => {
+      log(`Metadata watcher update failed: ${err instanceof Error ? err.message : String(err)}`);
+    });
+  return metadataWatcherUpdate;
+}
+
+async function updateMetadataWatcher(context) {
+  if (metadataWatcher) {
+    metadataWatcher.close();
+    metadataWatcher = null;
+  }
+  if (!getConfig().get("watchMetadata", false)) return;
+
+  const generation = metadataWatcherGeneration;
+  const { resolveInstallDirs } = await importScriptModule("openplanet-metadata.mjs");
+  const { createRegenerationScheduler, watchInstallDirs } = await importScriptModule(
+    "openplanet-metadata-watch.mjs",
+  );
+  // Deactivation or a disabled setting may have landed while the modules loaded.
+  if (generation !== metadataWatcherGeneration || !getConfig().get("watchMetadata", false)) return;
+
+  if (!metadataRefreshScheduler) {
+    metadataRefreshScheduler = createRegenerationScheduler((reason) =>
+      runGenerator({ reason, quiet: true, promptReload: true }),
+    );
+  }
+  const installDirs = resolveInstallDirs(getSourceArgs());
+  if (installDirs.length === 0) {
+    log("Metadata watching is on, but no Openplanet install folder was found.");
+    return;
+  }
+  log(`Watching Openplanet metadata in ${installDirs.join(", ")}`);
+  metadataWatcher = watchInstallDirs(installDirs, (file) =>
+    metadataRefreshScheduler.schedule(`metadata change: ${file}`),
+  );
+}
+
+function disposeMetadataWatcher() {
+  metadataWatcherGeneration++;
+  if (metadataWatcher) metadataWatcher.close();
+  if (metadataRefreshScheduler) metadataRefreshScheduler.dispose();
+  metadataWatcher = null;
+  metadataRefreshScheduler = null;
+}
+
+async function activate(context) {
+  symbolReportDir = path.join(context.globalStorageUri.fsPath, "symbol-reports");
+  bundledSnapshotPath = path.join(context.extensionPath, "snapshots", "openplanet-symbols.json");
+  symbolReportChannel = vscode.window.createOutputChannel("Openplanet Symbols");
+  logChannel = vscode.window.createOutputChannel("Openplanet AngelScript");
+  context.subscriptions.push(symbolReportChannel, logChannel);
+
+  const { createRefreshQueue } = await importScriptModule("openplanet-refresh-queue.mjs");
+  refreshQueue = createRefreshQueue((request) => startRefresh(context.extensionPath, request), { log });
+
   context.subscriptions.push(
-    vscode.commands.registerCommand(REFRESH_COMMAND, async () => {
-      await runGenerator(context.extensionPath, {
+    vscode.commands.registerCommand(REFRESH_COMMAND, async (args = {}) => {
+      await runGenerator({
         reason: "manual",
         quiet: false,
         promptReload: true,
+        force: Boolean(args.force),
       });
     }),
   );
@@ -117,12 +404,55 @@ function activate(context) {
       if (event.affectsConfiguration(CONFIG_SECTION)) {
         ensureStatusBar(context);
       }
+      if (
+        event.affectsConfiguration(`${CONFIG_SECTION}.sourceDirs`) ||
+        event.affectsConfiguration(`${CONFIG_SECTION}.includeHeaderFallback`) ||
+        event.affectsConfiguration(`${CONFIG_SECTION}.snapshotPaths`)
+      ) {
+        reloadSymbols();
+      }
+      if (
+        event.affectsConfiguration(`${CONFIG_SECTION}.watchMetadata`) ||
+        event.affectsConfiguration(`${CONFIG_SECTION}.sourceDirs`) ||
+        event.affectsConfiguration(`${CONFIG_SECTION}.snapshotPaths`)
+      ) {
+        ensureMetadataWatcher(context);
+      }
     }),
+    { dispose: disposeMetadataWatcher },
   );
 
+  symbolStore = createSymbolStore({ log });
+  context.subscriptions.push(
+    symbolStore,
+    symbolStore.onDidChange((symbols) =>
+      setRefreshState({
+        counts: currentSymbolCounts(),
+        metadataWarnings: symbols.metadataWarnings.length,
+      }),
+    ),
+  );
+  const workspaceDefines = await createWorkspaceDefines({ log });
+  context.subscriptions.push(workspaceDefines);
+  await registerSemanticTokensProvider(context, symbolStore, workspaceDefines);
+  await registerHoverProvider(context, symbolStore);
+  await registerDocCommentHovers(context, symbolStore);
+  await registerCompletionProvider(context, symbolStore);
+  await registerSignatureHelpProvider(context, symbolStore);
+  await registerColorProvider(context);
+  await registerInfoTomlProviders(context, symbolStore);
+  await registerPreprocessorDefineDiagnostics(context, workspaceDefines);
+  await registerEmbeddedLiteralDiagnostics(context);
+  await registerSettingProviders(context, workspaceDefines);
+  await registerDirectiveProviders(context);
+  await registerTargetProfile(context);
+  await registerCrossGameDiagnostics(context, symbolStore);
+  reloadSymbols();
+  await ensureMetadataWatcher(context);
+
   if (!sessionRefreshStarted && getConfig().get("refreshSymbolsOnSessionStart", true)) {
     sessionRefreshStarted = true;
-    runGenerator(context.extensionPath, {
+    runGenerator({
       reason: "session start",
       quiet: true,
       promptReload: false,
@@ -130,7 +460,13 @@ function activate(context) {
   }
 }
 
-function deactivate() {}
+function deactivate() {
+  disposeMetadataWatcher();
+  symbolStore = null;
+  refreshQueue = null;
+  symbolReportChannel = null;
+  logChannel = null;
+}
 
 module.exports = {
   activate,
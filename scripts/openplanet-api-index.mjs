@@ -0,0 +1,358 @@
+import {
+  identRx,
+  loadMetadataSources,
+  namespaceRx,
+  readEnumValueNames,
+  readGameClassEnums,
+  readGameClassMembers,
+} from "./openplanet-metadata.mjs";
+import { findQualifiedNameAt } from "./openplanet-source-scanner.mjs";
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+function qualify(ns, name) {
+  return ns ? `${ns}::${name}` : name;
+}
+
+function readDescription(item) {
+  const text = item?.desc ?? item?.description ?? "";
+  return typeof text === "string" ? text.trim() : "";
+}
+
+function readParams(item) {
+  const args = Array.isArray(item?.args) ? item.args : Array.isArray(item?.params) ? item.params : [];
+  return args.map((arg) => ({
+    name: typeof arg?.name === "string" ? arg.name : "",
+    type: String(arg?.typedecl ?? arg?.type ?? "").trim(),
+    defaultValue: arg?.default ?? arg?.defaultValue ?? null,
+  }));
+}
+
+export function formatParam(param) {
+  const base = [param.type, param.name].filter(Boolean).join(" ");
+  return param.defaultValue === null || param.defaultValue === undefined
+    ? base
+    : `${base} = ${param.defaultValue}`;
+}
+
+function buildCallableSignature(item, qualifiedName, params) {
+  if (typeof item?.decl === "string" && item.decl.trim()) return item.decl.trim();
+  const returnType = String(item?.returntypedecl ?? item?.returntype ?? "void").trim();
+  return `${returnType} ${qualifiedName}(${params.map(formatParam).join(", ")})`;
+}
+
+export function createApiIndex() {
+  return { entries: new Map(), children: new Map() };
+}
+
+function parentName(qualifiedName) {
+  const separator = qualifiedName.lastIndexOf("::");
+  return separator < 0 ? "" : qualifiedName.slice(0, separator);
+}
+
+/**
+ * Adds an entry, merging with an existing entry of the same kind and signature
+ * so symbols shared by several installs carry every install label.
+ */
+function addEntry(index, entry, install) {
+  const list = index.entries.get(entry.qualifiedName) || [];
+  const existing = list.find(
+    (candidate) => candidate.kind === entry.kind && candidate.signature === entry.signature,
+  );
+  if (existing) {
+    if (!existing.installs.includes(install)) existing.installs.push(install);
+    if (!existing.description && entry.description) existing.description = entry.description;
+    return existing;
+  }
+  entry.installs = [install];
+  list.push(entry);
+  index.entries.set(entry.qualifiedName, list);
+
+  const parent = parentName(entry.qualifiedName);
+  const siblings = index.children.get(parent) || [];
+  siblings.push(entry);
+  index.children.set(parent, siblings);
+  return entry;
+}
+
+function addNamespaceEntries(index, ns, install) {
+  if (!ns || !namespaceRx.test(ns)) return;
+  const segments = ns.split("::");
+  for (let i = 1; i <= segments.length; i++) {
+    const qualifiedName = segments.slice(0, i).join("::");
+    addEntry(
+      index,
+      {
+        kind: "namespace",
+        name: segments[i - 1],
+        ns: segments.slice(0, i - 1).join("::"),
+        qualifiedName,
+        signature: `namespace ${qualifiedName}`,
+        description: "",
+      },
+      install,
+    );
+  }
+}
+
+function callableEntry(kind, item, ns, owner) {
+  const qualifiedName = qualify(owner ? qualify(ns, owner) : ns, item.name);
+  const params = readParams(item);
+  return {
+    kind,
+    name: item.name,
+    ns,
+    owner: owner || null,
+    qualifiedName,
+    signature: buildCallableSignature(item, qualifiedName, params),
+    returnType: String(item?.returntypedecl ?? item?.returntype ?? "").trim(),
+    params,
+    description: readDescription(item),
+  };
+}
+
+function propertyEntry(kind, item, ns, owner) {
+  const qualifiedName = qualify(owner ? qualify(ns, owner) : ns, item.name);
+  const type = String(item?.typedecl ?? item?.type ?? "").trim();
+  return {
+    kind,
+    name: item.name,
+    ns,
+    owner: owner || null,
+    qualifiedName,
+    signature: [type, qualifiedName].filter(Boolean).join(" "),
+    type,
+    description: readDescription(item),
+  };
+}
+
+function addEnumEntries(index, ns, qualifiedName, values, description, install) {
+  addEntry(
+    index,
+    {
+      kind: "enum",
+      name: qualifiedName.slice(qualifiedName.lastIndexOf(":") + 1),
+      ns,
+      qualifiedName,
+      signature: `enum ${qualifiedName}`,
+      values,
+      description,
+    },
+    install,
+  );
+  for (const value of values) {
+    addEntry(
+      index,
+      {
+        kind: "enumMember",
+        name: value,
+        ns,
+        owner: qualifiedName,
+        qualifiedName: `${qualifiedName}::${value}`,
+        signature: `${qualifiedName}::${value}`,
+        description: "",
+      },
+      install,
+    );
+  }
+}
+
+export function addCoreJsonToIndex(index, core, install) {
+  const validNs = (item) => (item?.ns && namespaceRx.test(item.ns) ? item.ns : "");
+
+  for (const fn of asList(core?.functions)) {
+    if (!fn?.name || !identRx.test(fn.name)) continue;
+    addNamespaceEntries(index, validNs(fn), install);
+    addEntry(index, callableEntry("function", fn, validNs(fn)), install);
+  }
+
+  for (const funcdef of asList(core?.funcdefs)) {
+    if (!funcdef?.name || !identRx.test(funcdef.name)) continue;
+    addNamespaceEntries(index, validNs(funcdef), install);
+    const entry = callableEntry("funcdef", funcdef, validNs(funcdef));
+    entry.signature = `funcdef ${entry.signature}`;
+    addEntry(index, entry, install);
+  }
+
+  for (const prop of asList(core?.props)) {
+    if (!prop?.name || !identRx.test(prop.name)) continue;
+    addNamespaceEntries(index, validNs(prop), install);
+    addEntry(index, propertyEntry("property", prop, validNs(prop)), install);
+  }
+
+  for (const en of asList(core?.enums)) {
+    if (!en?.name || !identRx.test(en.name)) continue;
+    const ns = validNs(en);
+    addNamespaceEntries(index, ns, install);
+    const values = readEnumValueNames(en.values);
+    addEnumEntries(index, ns, qualify(ns, en.name), values, readDescription(en), install);
+  }
+
+  for (const cls of asList(core?.classes)) {
+    if (!cls?.name || !identRx.test(cls.name)) continue;
+    const ns = validNs(cls);
+    const qualifiedName = qualify(ns, cls.name);
+    addNamespaceEntries(index, ns, install);
+    addEntry(
+      index,
+      {
+        kind: "class",
+        name: cls.name,
+        ns,
+        qualifiedName,
+        signature: `class ${qualifiedName}`,
+        description: readDescription(cls),
+      },
+      install,
+    );
+    for (const method of asList(cls.methods)) {
+      if (!method?.name || !identRx.test(method.name)) continue;
+      addEntry(index, callableEntry("method", method, ns, cls.name), install);
+    }
+    for (const prop of asList(cls.props)) {
+      if (!prop?.name || !identRx.test(prop.name)) continue;
+      addEntry(index, propertyEntry("field", prop, ns, cls.name), install);
+    }
+  }
+}
+
+function gameMemberEntry(member, ns, className) {
+  const qualifiedName = `${className}::${member.name}`;
+  const entry = {
+    kind: member.isMethod ? "gameMethod" : "gameField",
+    name: member.name,
+    ns,
+    owner: className,
+    qualifiedName,
+    description: member.description,
+  };
+  if (!member.isMethod) {
+    entry.type = member.type;
+    entry.signature = [member.type, qualifiedName].filter(Boolean).join(" ");
+    return entry;
+  }
+  entry.returnType = member.type;
+  entry.params = member.args.map((arg) => ({ ...arg, defaultValue: null }));
+  entry.signature = `${member.type || "void"} ${qualifiedName}(${entry.params.map(formatParam).join(", ")})`;
+  return entry;
+}
+
+export function addGameJsonToIndex(index, gameJson, install) {
+  if (!gameJson?.ns || typeof gameJson.ns !== "object") return;
+  for (const [topNs, classes] of Object.entries(gameJson.ns)) {
+    if (!classes || typeof classes !== "object") continue;
+    for (const [className, cls] of Object.entries(classes)) {
+      if (!identRx.test(className)) continue;
+      const parent = cls?.p ?? cls?.parent ?? null;
+      const ns = namespaceRx.test(topNs) ? topNs : "";
+      addEntry(
+        index,
+        {
+          kind: "gameClass",
+          name: className,
+          ns,
+          qualifiedName: className,
+          signature: parent ? `class ${className} : ${parent}` : `class ${className}`,
+          parent: typeof parent === "string" ? parent : null,
+          description: readDescription(cls) || String(cls?.d ?? "").trim(),
+        },
+        install,
+      );
+      for (const en of readGameClassEnums(cls)) {
+        addEnumEntries(index, ns, `${className}::${en.name}`, en.values, "", install);
+      }
+      for (const member of readGameClassMembers(cls)) {
+        addEntry(index, gameMemberEntry(member, ns, className), install);
+      }
+    }
+  }
+}
+
+/**
+ * Builds the hover/completion index from the same files the generator reads.
+ * `loaded` is the result of `loadMetadataSources`, when already read.
+ */
+export function buildApiIndex(sourcePaths, loaded = loadMetadataSources(sourcePaths)) {
+  const index = createApiIndex();
+  for (const { kind, data, install } of loaded.documents) {
+    if (kind === "core") addCoreJsonToIndex(index, data, install);
+    else if (kind === "game") addGameJsonToIndex(index, data, install);
+  }
+  return index;
+}
+
+export function lookupApiEntries(index, qualifiedName) {
+  return index?.entries.get(qualifiedName) || [];
+}
+
+/** Lists the entries declared directly inside a namespace or class ("" for globals). */
+export function lookupApiChildren(index, qualifiedName) {
+  return index?.children.get(qualifiedName) || [];
+}
+
+const typeKinds = new Set(["class", "gameClass", "enum", "funcdef"]);
+
+/**
+ * Resolves a declared type such as `const Meta::Plugin@` or `CGameCtnApp@&in`
+ * to its type entry. Unqualified names are also tried inside `contextNs`.
+ */
+export function resolveTypeEntry(index, typeDecl, contextNs = "") {
+  const name = String(typeDecl || "")
+    .replace(/\bconst\b/g, "")
+    .replace(/&\s*(?:in|out|inout)\b/g, "")
+    .replace(/[@&\s]/g, "");
+  if (!name) return null;
+
+  const candidates = contextNs && !name.includes("::") ? [`${contextNs}::${name}`, name] : [name];
+  for (const candidate of candidates) {
+    const entry = lookupApiEntries(index, candidate).find((item) => typeKinds.has(item.kind));
+    if (entry) return entry;
+  }
+  return null;
+}
+
+/**
+ * Resolves the built-in entries for the name under `offset`, qualified up to the
+ * hovered segment (hovering `UI` in `UI::Begin` resolves the namespace).
+ */
+export function resolveApiEntriesAt(index, text, offset) {
+  const location = findQualifiedNameAt(text, offset);
+  if (!location || location.precededByDot) return null;
+
+  const hovered = location.segments[location.hoveredIndex];
+  const qualifiedName = location.names.slice(0, location.hoveredIndex + 1).join("::");
+  const entries = lookupApiEntries(index, qualifiedName);
+  if (entries.length === 0) return null;
+  return { entries, start: hovered.start, end: hovered.end };
+}
+
+const kindLabels = {
+  namespace: "namespace",
+  function: "function",
+  funcdef: "funcdef",
+  property: "property",
+  enum: "enum",
+  enumMember: "enum value",
+  class: "class",
+  method: "method",
+  field: "property",
+  gameClass: "game class",
+  gameField: "game property",
+  gameMethod: "game method",
+};
+
+/** Renders hover Markdown for every overload/variant resolved for one name. */
+export function renderApiHoverMarkdown(entries) {
+  const sections = [];
+  for (const entry of entries) {
+    const lines = ["```openplanet-angelscript", entry.signature, "```"];
+    const facts = [`*${kindLabels[entry.kind] || entry.kind}*`];
+    if (entry.ns) facts.push(`Namespace: \`${entry.ns}\``);
+    if (entry.parent) facts.push(`Inherits: \`${entry.parent}\``);
+    if (entry.installs?.length) facts.push(`Installs: ${entry.installs.join(", ")}`);
+    lines.push(facts.join(" · "));
+    if (entry.description) lines.push("", entry.description);
+    sections.push(lines.join("\n"));
+  }
+  return sections.join("\n\n---\n\n");
+}
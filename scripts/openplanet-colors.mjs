@@ -0,0 +1,102 @@
+import { tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+const hexDigitRx = /^[0-9A-Fa-f]$/;
+const numberRx = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?[fF]?$/;
+const colorConstructors = new Map([
+  ["vec3", 3],
+  ["vec4", 4],
+]);
+
+/**
+ * Finds the `\$RGB` text format codes inside a string token. Escaped
+ * backslashes (`\\$f00`) are skipped since they print a literal backslash.
+ */
+function findFormatColors(token, out) {
+  const { value, start } = token;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] !== "\\") continue;
+    if (value[i + 1] === "$" && [2, 3, 4].every((n) => hexDigitRx.test(value[i + n] || ""))) {
+      const [red, green, blue] = [2, 3, 4].map((n) => parseInt(value[i + n], 16) / 15);
+      out.push({
+        kind: "format",
+        start: start + i,
+        end: start + i + 5,
+        color: { red, green, blue, alpha: 1 },
+      });
+    }
+    i++;
+  }
+}
+
+/**
+ * Reads `vec3(r, g, b)`/`vec4(r, g, b, a)` starting at `index` when every
+ * argument is a number literal between 0 and 1, the range Openplanet's UI
+ * and NanoVG color parameters use.
+ */
+function readColorConstructor(tokens, index) {
+  const arity = colorConstructors.get(tokens[index].value);
+  if (tokens[index + 1]?.value !== "(") return null;
+
+  const values = [];
+  let i = index + 2;
+  while (values.length < arity) {
+    const token = tokens[i];
+    if (token?.kind !== "number" || !numberRx.test(token.value)) return null;
+    const value = Number(token.value.replace(/[fF]$/, ""));
+    if (!(value >= 0 && value <= 1)) return null;
+    values.push(value);
+    const separator = tokens[i + 1]?.value;
+    if (separator !== (values.length === arity ? ")" : ",")) return null;
+    i += 2;
+  }
+  const [red, green, blue, alpha = 1] = values;
+  return {
+    kind: tokens[index].value,
+    start: tokens[index].start,
+    end: tokens[i - 1].end,
+    color: { red, green, blue, alpha },
+  };
+}
+
+/**
+ * Lists the color literals in a script: `\$RGB` format codes inside strings
+ * and `vec3`/`vec4` constructors with literal components. Colors use 0-1
+ * channels, like `vscode.Color`.
+ */
+export function findColorLiterals(text) {
+  const out = [];
+  const tokens = tokenizeSource(text).filter(
+    (token) => token.kind !== "comment" && token.kind !== "directive",
+  );
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.kind === "string") findFormatColors(token, out);
+    else if (token.kind === "identifier" && colorConstructors.has(token.value)) {
+      if (tokens[i - 1]?.value === ".") continue;
+      const literal = readColorConstructor(tokens, i);
+      if (literal) out.push(literal);
+    }
+  }
+  return out;
+}
+
+const formatChannel = (value) => String(Math.round(value * 1000) / 1000);
+
+/**
+ * Formats a picked color back into source for the kind of literal it
+ * replaces. Format codes only hold 4 bits per channel and no alpha; a `vec3`
+ * becomes a `vec4` once the picked color is translucent.
+ */
+export function formatColorLiteral(kind, color) {
+  if (kind === "format") {
+    const hex = [color.red, color.green, color.blue]
+      .map((value) => Math.round(value * 15).toString(16))
+      .join("");
+    return `\\$${hex}`;
+  }
+  const channels = [color.red, color.green, color.blue];
+  if (kind === "vec4" || color.alpha < 1) {
+    return `vec4(${[...channels, color.alpha].map(formatChannel).join(", ")})`;
+  }
+  return `vec3(${channels.map(formatChannel).join(", ")})`;
+}
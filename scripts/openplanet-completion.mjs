@@ -0,0 +1,70 @@
+import { lookupApiChildren } from "./openplanet-api-index.mjs";
+import { isOffsetInNonCode } from "./openplanet-source-scanner.mjs";
+import { collectTypeMembers, inferTypeBeforeOffset } from "./openplanet-type-inference.mjs";
+
+const scopeAccessRx = /([A-Za-z_]\w*(?:\s*::\s*[A-Za-z_]\w*)*)\s*::\s*(\w*)$/;
+const memberAccessRx = /\.\s*(\w*)$/;
+const identifierPrefixRx = /(?:^|[^\w.:])(\w*)$/;
+// `:` triggers completion for `::`; a lone colon ends a `case` label, a
+// ternary branch or a label, where nothing should pop up.
+const singleColonRx = /(?<!:):\s*$/;
+
+const globalKinds = new Set(["namespace", "function", "class", "gameClass", "enum", "funcdef", "property"]);
+
+function normalizeQualifiedName(text) {
+  return text.replace(/\s+/g, "");
+}
+
+/**
+ * Resolves the type of the receiver expression ending `receiverText`, e.g.
+ * `Meta::ExecutingPlugin()` resolves to `Meta::Plugin` and
+ * `app.CurrentPlayground.GameTerminals[0]` to the terminal's game class.
+ */
+export function resolveReceiverType(index, receiverText) {
+  return inferTypeBeforeOffset(index, receiverText, receiverText.length)?.entry || null;
+}
+
+function groupByName(entries, allowedKinds) {
+  const groups = new Map();
+  for (const entry of entries) {
+    if (allowedKinds && !allowedKinds.has(entry.kind)) continue;
+    const key = `${entry.kind}:${entry.name}`;
+    const group = groups.get(key) || { name: entry.name, kind: entry.kind, entries: [] };
+    group.entries.push(entry);
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Returns completion groups (one per name and kind, overloads folded together)
+ * for the cursor position, or null when nothing built-in applies.
+ */
+export function getApiCompletions(index, text, offset) {
+  if (!index || isOffsetInNonCode(text, offset)) return null;
+  const before = text.slice(0, offset);
+  if (singleColonRx.test(before)) return null;
+
+  const scopeMatch = scopeAccessRx.exec(before);
+  if (scopeMatch) {
+    const scope = normalizeQualifiedName(scopeMatch[1]);
+    const groups = groupByName(lookupApiChildren(index, scope));
+    return groups.length > 0 ? { context: "scope", scope, prefix: scopeMatch[2], groups } : null;
+  }
+
+  const memberMatch = memberAccessRx.exec(before);
+  if (memberMatch) {
+    const receiverType = resolveReceiverType(index, before.slice(0, memberMatch.index));
+    if (!receiverType) return null;
+    const groups = groupByName([...collectTypeMembers(index, receiverType).values()].flat());
+    return { context: "member", scope: receiverType.qualifiedName, prefix: memberMatch[1], groups };
+  }
+
+  const identifierMatch = identifierPrefixRx.exec(before);
+  return {
+    context: "global",
+    scope: "",
+    prefix: identifierMatch ? identifierMatch[1] : "",
+    groups: groupByName(lookupApiChildren(index, ""), globalKinds),
+  };
+}
@@ -0,0 +1,300 @@
+import path from "node:path";
+
+import { preprocessorDefineRegexFragments } from "./openplanet-grammar-config.mjs";
+import { parseToml } from "./openplanet-info-toml.mjs";
+import { tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+const builtinDefineRx = new RegExp(`^(?:${preprocessorDefineRegexFragments.join("|")})$`);
+const directiveRx = /^#\s*(if|elif|define|undef)\b/;
+const identifierRx = /[A-Za-z_]\w*/g;
+
+export function isBuiltinDefine(name) {
+  return builtinDefineRx.test(name);
+}
+
+/** Openplanet defines `DEPENDENCY_<ID>` for every (optional) dependency that is loaded. */
+export function dependencyDefineName(pluginId) {
+  return `DEPENDENCY_${pluginId.toUpperCase().replace(/[^A-Z0-9_]/g, "_")}`;
+}
+
+function readStringList(entries, table, key) {
+  const entry = entries.find((item) => item.table === table && item.key === key);
+  if (!entry || entry.value.type !== "array") return [];
+  return entry.value.items.filter((item) => item.type === "string").map((item) => item.value);
+}
+
+/**
+ * Reads the parts of a plugin's `info.toml` that affect preprocessor defines.
+ * The plugin ID is the name of the folder holding the `info.toml`.
+ */
+export function readPluginManifest(infoTomlText, infoTomlPath) {
+  const { entries } = parseToml(infoTomlText);
+  const dir = path.dirname(infoTomlPath);
+  return {
+    id: path.basename(dir),
+    dir,
+    infoTomlPath,
+    defines: readStringList(entries, "script", "defines"),
+    dependencies: readStringList(entries, "script", "dependencies"),
+    optionalDependencies: readStringList(entries, "script", "optional_dependencies"),
+  };
+}
+
+/** Finds the manifest of the plugin whose folder contains `filePath` (innermost wins). */
+export function findOwningPlugin(plugins, filePath) {
+  let owner = null;
+  for (const plugin of plugins) {
+    const relative = path.relative(plugin.dir, filePath);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) continue;
+    if (!owner || plugin.dir.length > owner.dir.length) owner = plugin;
+  }
+  return owner;
+}
+
+/**
+ * Lists the defines a plugin may test besides the built-in ones, mapped to the
+ * `info.toml` that declares them: its own `[script] defines`, a
+ * `DEPENDENCY_<ID>` define per dependency, and the defines those dependencies
+ * declare when their manifests are known.
+ */
+export function collectPluginDefines(plugin, plugins = []) {
+  const declared = new Map();
+  if (!plugin) return declared;
+
+  for (const name of plugin.defines) declared.set(name, plugin.infoTomlPath);
+  for (const dependencyId of [...plugin.dependencies, ...plugin.optionalDependencies]) {
+    declared.set(dependencyDefineName(dependencyId), plugin.infoTomlPath);
+    const dependency = plugins.find((item) => item.id.toLowerCase() === dependencyId.toLowerCase());
+    for (const name of dependency?.defines || []) {
+      if (!declared.has(name)) declared.set(name, dependency.infoTomlPath);
+    }
+  }
+  return declared;
+}
+
+/** Lists every define name referenced by `#if`/`#elif`/`#define`/`#undef` lines. */
+export function findDefineReferences(text) {
+  const references = [];
+  for (const token of tokenizeSource(text)) {
+    if (token.kind !== "directive") continue;
+    const directive = directiveRx.exec(token.value);
+    if (!directive) continue;
+
+    const body = token.value
+      .replace(/\/\*.*?\*\//g, (comment) => " ".repeat(comment.length))
+      .replace(/\/\/.*$/, "");
+    identifierRx.lastIndex = directive[0].length;
+    let match;
+    while ((match = identifierRx.exec(body)) !== null) {
+      references.push({
+        name: match[0],
+        directive: directive[1],
+        start: token.start + match.index,
+        end: token.start + match.index + match[0].length,
+        line: token.line,
+        character: token.character + match.index,
+      });
+    }
+  }
+  return references;
+}
+
+/**
+ * Flags `#if`/`#elif` defines that are neither built in, declared for the
+ * plugin (`declared`), nor `#define`d in the file. `infoTomlLabel` names the
+ * file where the define would need to be declared (null without a manifest).
+ */
+export function checkDefineReferences(text, declared, infoTomlLabel) {
+  const references = findDefineReferences(text);
+  const localDefines = new Set(
+    references.filter((item) => item.directive === "define").map((item) => item.name),
+  );
+  const diagnostics = [];
+  for (const reference of references) {
+    if (reference.directive !== "if" && reference.directive !== "elif") continue;
+    const { name } = reference;
+    if (isBuiltinDefine(name) || declared.has(name) || localDefines.has(name)) continue;
+    const message = infoTomlLabel
+      ? `Define "${name}" is not declared. Add it to [script] defines in ${infoTomlLabel}.`
+      : `Define "${name}" is not declared. No info.toml was found for this file; add one to the plugin folder and list "${name}" in [script] defines.`;
+    diagnostics.push({
+      severity: "warning",
+      code: "undeclared-define",
+      message,
+      start: reference.start,
+      end: reference.end,
+    });
+  }
+  return diagnostics;
+}
+
+/**
+ * Emits `macro` tokens for workspace-declared and file-local defines so they
+ * override the grammar, which only knows the built-in defines.
+ */
+export function computeDefineSemanticTokens(text, declared) {
+  const references = findDefineReferences(text);
+  const localDefines = new Set(
+    references.filter((item) => item.directive === "define").map((item) => item.name),
+  );
+  return references
+    .filter((item) => declared.has(item.name) || localDefines.has(item.name))
+    .map((item) => ({
+      line: item.line,
+      character: item.character,
+      length: item.name.length,
+      tokenType: "macro",
+      tokenModifiers: [],
+    }));
+}
+
+// Three-valued logic for conditions: true, false, or null when a define is
+// neither in the active profile nor a known Openplanet define.
+function not3(value) {
+  return value === null ? null : !value;
+}
+
+function and3(left, right) {
+  if (left === false || right === false) return false;
+  return left === null || right === null ? null : true;
+}
+
+function or3(left, right) {
+  if (left === true || right === true) return true;
+  return left === null || right === null ? null : false;
+}
+
+/**
+ * Evaluates an `#if`/`#elif` condition made of define names, `!`, `&&`, `||`
+ * and parentheses. `lookup(name)` returns true, false or null (unknown).
+ * Returns null when the result depends on an unknown define or the
+ * expression cannot be parsed.
+ */
+export function evaluateDefineExpression(expression, lookup) {
+  const tokens = expression.match(/[A-Za-z_]\w*|&&|\|\||[!()]|\S/g) || [];
+  let pos = 0;
+
+  function parseOr() {
+    let value = parseAnd();
+    while (tokens[pos] === "||") {
+      pos++;
+      value = or3(value, parseAnd());
+    }
+    return value;
+  }
+
+  function parseAnd() {
+    let value = parseUnary();
+    while (tokens[pos] === "&&") {
+      pos++;
+      value = and3(value, parseUnary());
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    const token = tokens[pos++];
+    if (token === "!") return not3(parseUnary());
+    if (token === "(") {
+      const value = parseOr();
+      if (tokens[pos++] !== ")") throw new SyntaxError("Expected ')'.");
+      return value;
+    }
+    if (token && /^[A-Za-z_]\w*$/.test(token)) return lookup(token);
+    throw new SyntaxError(`Unexpected ${token ? `"${token}"` : "end of condition"}.`);
+  }
+
+  try {
+    const value = parseOr();
+    return pos === tokens.length ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+const conditionalDirectiveRx = /^#\s*(if|elif|else|endif|define|undef)\b/;
+
+/**
+ * Lists the line ranges (`{startLine, endLine}`, inclusive) that are compiled
+ * out when exactly `activeDefines` are set. Defines accepted by
+ * `isKnownDefine` (the built-in Openplanet defines by default) that are not
+ * active count as unset; other names are unknown, and branches that depend on
+ * them are never reported. `#define`/`#undef` in active code are applied in
+ * order.
+ */
+export function findInactiveRegions(text, activeDefines, { isKnownDefine = isBuiltinDefine } = {}) {
+  const active = new Set(activeDefines);
+  const local = new Map();
+  const lookup = (name) => {
+    if (local.has(name)) return local.get(name);
+    if (active.has(name)) return true;
+    return isKnownDefine(name) ? false : null;
+  };
+
+  const lineStates = [];
+  const stack = [];
+  let state = true;
+  let nextLine = 0;
+  const fillUntil = (line, value) => {
+    for (; nextLine < line; nextLine++) lineStates[nextLine] = value;
+  };
+
+  for (const token of tokenizeSource(text)) {
+    if (token.kind !== "directive") continue;
+    const directive = conditionalDirectiveRx.exec(token.value);
+    if (!directive) continue;
+    const body = token.value
+      .slice(directive[0].length)
+      .replace(/\/\*.*?\*\//g, " ")
+      .replace(/\/\/.*$/, "")
+      .trim();
+
+    fillUntil(token.line, state);
+    const frame = stack[stack.length - 1];
+    switch (directive[1]) {
+      case "if": {
+        const value = evaluateDefineExpression(body, lookup);
+        lineStates[nextLine++] = state;
+        stack.push({ parent: state, taken: value });
+        state = and3(state, value);
+        break;
+      }
+      case "elif":
+      case "else": {
+        if (!frame) {
+          lineStates[nextLine++] = state;
+          break;
+        }
+        const value = directive[1] === "else" ? true : evaluateDefineExpression(body, lookup);
+        lineStates[nextLine++] = frame.parent;
+        state = and3(frame.parent, and3(not3(frame.taken), value));
+        frame.taken = or3(frame.taken, value);
+        break;
+      }
+      case "endif":
+        if (frame) {
+          stack.pop();
+          state = frame.parent;
+        }
+        lineStates[nextLine++] = state;
+        break;
+      default: {
+        lineStates[nextLine++] = state;
+        const name = /^[A-Za-z_]\w*/.exec(body)?.[0];
+        if (!name || state === false) break;
+        const value = directive[1] === "define";
+        local.set(name, state === true || lookup(name) === value ? value : null);
+      }
+    }
+  }
+  fillUntil(text.split("\n").length, state);
+
+  const regions = [];
+  for (let line = 0; line < lineStates.length; line++) {
+    if (lineStates[line] !== false) continue;
+    const last = regions[regions.length - 1];
+    if (last && last.endLine === line - 1) last.endLine = line;
+    else regions.push({ startLine: line, endLine: line });
+  }
+  return regions;
+}
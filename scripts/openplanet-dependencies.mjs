@@ -0,0 +1,256 @@
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+
+import { parseToml } from "./openplanet-info-toml.mjs";
+import { codeTokens, tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+// Namespaces of the plugins bundled with Openplanet, assumed only when no
+// plugin folder can be scanned at all (no install `Plugins` folder and no
+// dependency dirs), e.g. when generating from a snapshot on CI.
+export const fallbackDependencyNamespaces = ["Controls", "Camera", "VehicleState", "NadeoServices"];
+
+const typeKeywords = new Set(["class", "interface", "enum"]);
+const declaredNameRx = /^[A-Za-z_]\w*$/;
+const typeEndTokens = new Set(["@", ">", "]", "&"]);
+
+function statKind(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return stat.isDirectory() ? "dir" : stat.isFile() ? "file" : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the entries of a `.op` package (a zip archive) as a map from the
+ * normalized entry path to a reader. Only stored and deflated entries are
+ * supported, which is all Openplanet produces.
+ */
+function readZipEntries(buffer) {
+  const entries = new Map();
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip archive.");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error("Corrupt zip central directory.");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength).replace(/\\/g, "/");
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+
+    entries.set(name.toLowerCase(), () => {
+      const dataStart =
+        localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported zip compression method ${method} for "${name}".`);
+    });
+  }
+  return entries;
+}
+
+function readExportList(infoTomlText) {
+  const { entries } = parseToml(infoTomlText);
+  const files = [];
+  for (const key of ["exports", "shared_exports"]) {
+    const entry = entries.find((item) => item.table === "script" && item.key === key);
+    if (entry?.value.type !== "array") continue;
+    for (const item of entry.value.items) {
+      if (item.type === "string") files.push(item.value);
+    }
+  }
+  return files;
+}
+
+function normalizeEntryPath(relativePath) {
+  return path.posix.normalize(relativePath.replace(/\\/g, "/")).replace(/^\.\//, "").toLowerCase();
+}
+
+/** Opens a plugin folder or `.op` package and returns its info.toml and export files. */
+export function readDependencyPlugin(pluginPath) {
+  const isPackage = pluginPath.toLowerCase().endsWith(".op");
+  let readFile;
+  if (isPackage) {
+    const entries = readZipEntries(fs.readFileSync(pluginPath));
+    readFile = (relativePath) => entries.get(normalizeEntryPath(relativePath))?.()?.toString("utf8") ?? null;
+  } else {
+    readFile = (relativePath) => {
+      const filePath = path.join(pluginPath, relativePath);
+      return statKind(filePath) === "file" ? fs.readFileSync(filePath, "utf8") : null;
+    };
+  }
+
+  const infoToml = readFile("info.toml");
+  if (infoToml === null) return null;
+  const exports = readExportList(infoToml).map((file) => ({ file, text: readFile(file) }));
+  return {
+    id: path.basename(pluginPath, isPackage ? path.extname(pluginPath) : ""),
+    path: pluginPath,
+    exports: exports.filter((item) => item.text !== null),
+    missingExports: exports.filter((item) => item.text === null).map((item) => item.file),
+  };
+}
+
+/**
+ * Finds plugin folders (with an `info.toml`) and `.op` packages in a plugins
+ * directory. A directory that is itself a plugin is returned as-is.
+ */
+export function findPluginPaths(rootDir) {
+  if (statKind(rootDir) !== "dir") return [];
+  if (statKind(path.join(rootDir, "info.toml")) === "file") return [rootDir];
+
+  const found = [];
+  for (const entry of fs.readdirSync(rootDir, { withFileTypes: true })) {
+    const entryPath = path.join(rootDir, entry.name);
+    if (entry.isFile() && entry.name.toLowerCase().endsWith(".op")) found.push(entryPath);
+    else if (entry.isDirectory() && statKind(path.join(entryPath, "info.toml")) === "file") {
+      found.push(entryPath);
+    }
+  }
+  return found.sort();
+}
+
+/**
+ * Collects the namespaces, functions, types and funcdefs declared at namespace
+ * level in an exported script. Names are namespace-qualified.
+ */
+export function collectSymbolsFromExportSource(text, out) {
+  const tokens = codeTokens(tokenizeSource(text));
+  const scopes = [];
+  let statementStart = 0;
+  const currentNamespace = () =>
+    scopes
+      .filter((scope) => scope.namespace)
+      .map((scope) => scope.namespace)
+      .join("::");
+  const atNamespaceLevel = () => scopes.every((scope) => scope.namespace);
+  const qualify = (name) => (currentNamespace() ? `${currentNamespace()}::${name}` : name);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.value === "namespace" && tokens[i + 1]?.kind === "identifier") {
+      const names = [tokens[i + 1].value];
+      let j = i + 2;
+      while (tokens[j]?.value === "::" && tokens[j + 1]?.kind === "identifier") {
+        names.push(tokens[j + 1].value);
+        j += 2;
+      }
+      if (tokens[j]?.value === "{") {
+        for (const name of names) {
+          scopes.push({ namespace: name, group: 1 });
+          out.namespaces.add(currentNamespace());
+        }
+        scopes[scopes.length - 1].group = names.length;
+        i = j;
+        statementStart = i + 1;
+        continue;
+      }
+    }
+    if (token.value === "{") {
+      scopes.push({ namespace: null });
+      statementStart = i + 1;
+      continue;
+    }
+    if (token.value === "}") {
+      const closed = scopes.pop();
+      for (let n = 1; n < (closed?.group ?? 0); n++) scopes.pop();
+      statementStart = i + 1;
+      continue;
+    }
+    if (token.value === ";") {
+      statementStart = i + 1;
+      continue;
+    }
+    if (!atNamespaceLevel() || token.kind !== "identifier") continue;
+
+    if (typeKeywords.has(token.value) && tokens[i + 1]?.kind === "identifier") {
+      out.types.add(qualify(tokens[i + 1].value));
+      i++;
+      continue;
+    }
+
+    const previous = tokens[i - 1];
+    const isDeclaredName =
+      tokens[i + 1]?.value === "(" &&
+      i > statementStart &&
+      (previous?.kind === "identifier" || typeEndTokens.has(previous?.value));
+    if (!isDeclaredName || !declaredNameRx.test(token.value)) continue;
+
+    if (tokens[statementStart]?.value === "funcdef") out.funcdefs.add(qualify(token.value));
+    else out.functions.add(qualify(token.value));
+    // Skip the parameter list so parameter names are not read as declarations.
+    let depth = 0;
+    for (let j = i + 1; j < tokens.length; j++) {
+      if (tokens[j].value === "(") depth++;
+      else if (tokens[j].value === ")" && --depth === 0) {
+        i = j;
+        break;
+      }
+    }
+  }
+}
+
+export function createDependencySymbols() {
+  return {
+    plugins: [],
+    namespaces: new Set(),
+    types: new Set(),
+    functions: new Set(),
+    funcdefs: new Set(),
+  };
+}
+
+/**
+ * Reads every dependency plugin under `pluginDirs` and merges their exported
+ * symbols. Plugins whose ID is in `excludeIds` (the plugins being edited) are
+ * skipped so their own exports are not read as dependencies.
+ */
+export function collectDependencySymbols(pluginDirs, { excludeIds = [] } = {}) {
+  const out = createDependencySymbols();
+  if (pluginDirs.length === 0) {
+    for (const namespace of fallbackDependencyNamespaces) out.namespaces.add(namespace);
+    return out;
+  }
+  const excluded = new Set(excludeIds.map((id) => id.toLowerCase()));
+  const seen = new Set();
+  for (const pluginPath of pluginDirs.flatMap(findPluginPaths)) {
+    const key = path.resolve(pluginPath).toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const id = path.basename(pluginPath).replace(/\.op$/i, "");
+    if (excluded.has(id.toLowerCase())) continue;
+
+    let plugin;
+    try {
+      plugin = readDependencyPlugin(pluginPath);
+    } catch (err) {
+      out.plugins.push({ id: path.basename(pluginPath), path: pluginPath, error: err.message });
+      continue;
+    }
+    if (!plugin || plugin.exports.length === 0) continue;
+    for (const item of plugin.exports) collectSymbolsFromExportSource(item.text, out);
+    out.plugins.push({
+      id: plugin.id,
+      path: plugin.path,
+      exports: plugin.exports.map((item) => item.file),
+      missingExports: plugin.missingExports,
+    });
+  }
+  return out;
+}
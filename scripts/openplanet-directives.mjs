@@ -0,0 +1,227 @@
+import { codeTokens, tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+/**
+ * Targets a suite-level `// op-<action> <targets>` directive may list,
+ * separated by `|`. `all` stands for every tool.
+ */
+export const directiveTargets = {
+  all: "Every Openplanet tool.",
+  lint: "The linter (`oplint-*` directives).",
+  form: "The formatter (`opfmt-*` directives).",
+  lang: "The language server (`oplang-*` directives).",
+  opsyn: "The syntax highlighter (`opsyn-*` directives).",
+};
+
+// Other spellings of a target, e.g. the tool prefix of its own directives.
+export const directiveTargetAliases = {
+  oplint: "lint",
+  fmt: "form",
+  opfmt: "form",
+  oplang: "lang",
+  syn: "opsyn",
+};
+
+// The tool each directive prefix applies to; `op` takes a target list instead.
+export const directiveTools = {
+  op: null,
+  oplint: "lint",
+  opfmt: "form",
+  oplang: "lang",
+  opsyn: "opsyn",
+};
+
+export const directiveActions = [
+  "disable-next-line",
+  "disable-start",
+  "disable-end",
+  "disable",
+  "enable",
+];
+
+const toolTargets = Object.keys(directiveTargets).filter((name) => name !== "all");
+const directiveRx = /^\/\/\s*(op(?:lint|fmt|lang|syn)?)-([A-Za-z][\w-]*)/;
+
+function resolveTarget(name) {
+  if (Object.hasOwn(directiveTargets, name)) return name;
+  return Object.hasOwn(directiveTargetAliases, name) ? directiveTargetAliases[name] : null;
+}
+
+function readWords(value, offset) {
+  return [...value.matchAll(/[^\s,]+/g)].map((match) => ({
+    text: match[0],
+    start: offset + match.index,
+    end: offset + match.index + match[0].length,
+  }));
+}
+
+/**
+ * Parses the `// op-*` tooling directives of a script. Suite-level `op-`
+ * directives start with a `|`-separated target list; the rest of a directive
+ * is rule IDs (or `*`) separated by spaces or commas.
+ */
+export function parseDirectives(text) {
+  const directives = [];
+  for (const token of tokenizeSource(text)) {
+    if (token.kind !== "comment") continue;
+    const match = directiveRx.exec(token.value);
+    if (!match) continue;
+
+    const [head, tool, action] = match;
+    const words = readWords(token.value.slice(head.length), token.start + head.length);
+    const targets = [];
+    if (tool === "op" && words.length > 0) {
+      let start = words[0].start;
+      for (const name of words.shift().text.split("|")) {
+        targets.push({ name, target: resolveTarget(name), start, end: start + name.length });
+        start += name.length + 1;
+      }
+    }
+    directives.push({
+      tool,
+      action,
+      line: token.line,
+      start: token.start,
+      end: token.end,
+      keywordStart: token.start + head.length - tool.length - action.length - 1,
+      keywordEnd: token.start + head.length,
+      targets,
+      rules: words.map(({ text: id, start, end }) => ({ id, start, end })),
+    });
+  }
+  return directives;
+}
+
+/** The tools a directive applies to, with `all` expanded and unknown targets dropped. */
+function directiveScope(directive) {
+  if (directive.tool !== "op") return [directiveTools[directive.tool]];
+  const scope = new Set();
+  for (const { target } of directive.targets) {
+    if (target === "all") toolTargets.forEach((name) => scope.add(name));
+    else if (target) scope.add(target);
+  }
+  return [...scope];
+}
+
+function codeLines(text) {
+  const lines = new Set();
+  for (const token of codeTokens(tokenizeSource(text))) {
+    const last = token.line + (token.value.match(/\n/g)?.length ?? 0);
+    for (let line = token.line; line <= last; line++) lines.add(line);
+  }
+  return lines;
+}
+
+// Openers close on the matching action; a file-scope `oplint-disable` may stay open.
+const closingActions = { disable: "enable", "disable-start": "disable-end" };
+const openingActions = { enable: "disable", "disable-end": "disable-start" };
+
+/**
+ * Checks the `// op-*` directives of a script: unknown actions and targets,
+ * `op-disable`/`*-disable-start` left open or closers with nothing to close,
+ * and directives that suppress nothing (no code on the next line or inside
+ * the disabled region).
+ */
+export function checkDirectives(text) {
+  const diagnostics = [];
+  const report = (code, message, range) =>
+    diagnostics.push({ severity: "warning", code, message, start: range.start, end: range.end });
+  const directives = parseDirectives(text);
+  const lines = codeLines(text);
+  const hasCodeBetween = (from, to) => [...lines].some((line) => line > from && line < to);
+  const keyword = (directive) => ({ start: directive.keywordStart, end: directive.keywordEnd });
+  const name = (directive) => `${directive.tool}-${directive.action}`;
+  const directiveLines = new Set(directives.map((directive) => directive.line));
+  // Open `disable`/`disable-start` directives by action, then by tool.
+  const open = { disable: new Map(), "disable-start": new Map() };
+
+  for (const directive of directives) {
+    if (!directiveActions.includes(directive.action)) {
+      const expected = directiveActions.map((action) => `${directive.tool}-${action}`);
+      const message = `Unknown directive "${name(directive)}"; expected ${expected.join(", ")}.`;
+      report("unknown-directive", message, keyword(directive));
+      continue;
+    }
+    for (const target of directive.targets.filter((item) => !item.target)) {
+      const expected = Object.keys(directiveTargets).join(", ");
+      const message = `Unknown directive target "${target.name}"; expected ${expected}.`;
+      report("unknown-directive-target", message, target);
+    }
+    const scope = directiveScope(directive);
+
+    if (directive.action === "disable-next-line") {
+      // Stacked directives (`oplint-...` above `opfmt-...`) share the line below them.
+      let line = directive.line + 1;
+      while (directiveLines.has(line) && !lines.has(line)) line++;
+      if (scope.length > 0 && !lines.has(line)) {
+        const message = `"${name(directive)}" is not followed by code.`;
+        report("unused-directive", message, keyword(directive));
+      }
+    } else if (Object.hasOwn(closingActions, directive.action)) {
+      for (const tool of scope) {
+        if (!open[directive.action].has(tool)) open[directive.action].set(tool, directive);
+      }
+    } else {
+      const opened = open[openingActions[directive.action]];
+      const closed = new Set();
+      for (const tool of scope) {
+        if (!opened.has(tool)) continue;
+        closed.add(opened.get(tool));
+        opened.delete(tool);
+      }
+      if (scope.length > 0 && closed.size === 0) {
+        const opener = `${directive.tool}-${openingActions[directive.action]}`;
+        const message = `"${name(directive)}" has no "${opener}" before it.`;
+        report("unmatched-directive", message, keyword(directive));
+      }
+      for (const opener of closed) {
+        if (!hasCodeBetween(opener.line, directive.line)) {
+          report("unused-directive", `"${name(opener)}" disables no code.`, keyword(opener));
+        }
+      }
+    }
+  }
+
+  for (const [action, opened] of Object.entries(open)) {
+    const unclosed = new Map();
+    for (const [tool, directive] of opened) {
+      // A tool's own `disable` covers the rest of the file.
+      if (action === "disable" && directive.tool !== "op") {
+        if (!hasCodeBetween(directive.line, Infinity)) {
+          report("unused-directive", `"${name(directive)}" disables no code.`, keyword(directive));
+        }
+        continue;
+      }
+      unclosed.set(directive, [...(unclosed.get(directive) || []), tool]);
+    }
+    for (const [directive, tools] of unclosed) {
+      const closer = `${directive.tool}-${closingActions[action]}`;
+      const which = directive.tool === "op" ? ` for ${tools.join("|")}` : "";
+      const message = `"${name(directive)}" has no "${closer}"${which} after it.`;
+      report("unmatched-directive", message, keyword(directive));
+    }
+  }
+  return diagnostics.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Returns target completions when `offset` is in the target list of a
+ * suite-level `// op-<action>` directive: right after the action or a `|`.
+ * Targets already listed are left out.
+ */
+export function getDirectiveTargetCompletions(text, offset) {
+  const comment = tokenizeSource(text).find(
+    (token) => token.kind === "comment" && token.start < offset && offset <= token.end,
+  );
+  if (!comment) return null;
+  const before = comment.value.slice(0, offset - comment.start);
+  const match = /^\/\/\s*op-([A-Za-z][\w-]*)\s+([\w|]*)$/.exec(before);
+  if (!match || !directiveActions.includes(match[1])) return null;
+
+  const listed = match[2].split("|");
+  const prefix = listed.pop();
+  const present = new Set(listed.map(resolveTarget));
+  const items = Object.entries(directiveTargets)
+    .filter(([target]) => !present.has(target))
+    .map(([target, description]) => ({ name: target, description }));
+  return { prefix, items };
+}
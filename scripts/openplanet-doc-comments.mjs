@@ -0,0 +1,346 @@
+import path from "node:path";
+
+import { findPluginPaths, readDependencyPlugin } from "./openplanet-dependencies.mjs";
+import { findQualifiedNameAt, tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+const typeKeywords = new Set(["class", "interface", "enum"]);
+const typeEndTokens = new Set(["@", ">", "]", "&"]);
+const tagRx = /^@([A-Za-z]+)\b\s*/;
+
+export function isDocComment(value) {
+  return /^\/\/\/(?!\/)/.test(value) || /^\/\*\*(?![*/])/.test(value);
+}
+
+/** Strips the comment markers and leading `*` gutters from a doc comment. */
+function docCommentLines(value) {
+  if (value.startsWith("///")) return value.split("\n").map((line) => line.replace(/^\s*\/\/\/ ?/, ""));
+  return value
+    .replace(/^\/\*\*/, "")
+    .replace(/\*\/$/, "")
+    .split("\n")
+    .map((line) => line.replace(/^\s*\* ?/, "").replace(/\s+$/, ""));
+}
+
+/**
+ * Parses the text of one or more doc comments (`///` lines or a `/** *\/`
+ * block) into a summary, `@param` descriptions, a `@return` description and
+ * the remaining tags. Text inside `@code`/`@endcode` keeps its line breaks.
+ */
+export function parseDocComment(value) {
+  const doc = { summary: "", params: [], returns: "", tags: [] };
+  let target = { append: (line) => (doc.summary += `${line}\n`) };
+  let inCode = false;
+
+  for (const line of docCommentLines(value)) {
+    const trimmed = line.trim();
+    if (inCode) {
+      if (/^@endcode\b/.test(trimmed)) {
+        target.append("```");
+        inCode = false;
+      } else target.append(line);
+      continue;
+    }
+    const tag = tagRx.exec(trimmed);
+    if (!tag) {
+      target.append(trimmed);
+      continue;
+    }
+
+    const name = tag[1].toLowerCase();
+    const rest = trimmed.slice(tag[0].length);
+    if (name === "code" || name === "example") {
+      target.append("```openplanet-angelscript");
+      if (rest) target.append(rest);
+      inCode = name === "code";
+      continue;
+    }
+    if (name === "param" || name === "arg") {
+      const [, paramName = "", description = ""] = /^([A-Za-z_]\w*)?\s*(.*)$/.exec(rest);
+      const param = { name: paramName, description };
+      doc.params.push(param);
+      target = { append: (text) => (param.description += `\n${text}`) };
+      continue;
+    }
+    if (name === "return" || name === "returns") {
+      doc.returns = rest;
+      target = { append: (text) => (doc.returns += `\n${text}`) };
+      continue;
+    }
+    if (name === "brief") {
+      doc.summary += `${rest}\n`;
+      target = { append: (text) => (doc.summary += `${text}\n`) };
+      continue;
+    }
+    const entry = { tag: name, text: rest };
+    doc.tags.push(entry);
+    target = { append: (text) => (entry.text += `\n${text}`) };
+  }
+  if (inCode) target.append("```");
+
+  const tidy = (text) => text.replace(/\n{3,}/g, "\n\n").trim();
+  doc.summary = tidy(doc.summary);
+  doc.returns = tidy(doc.returns);
+  for (const param of doc.params) param.description = tidy(param.description);
+  for (const entry of doc.tags) entry.text = tidy(entry.text);
+  return doc;
+}
+
+/**
+ * Returns the doc comment directly above the code token at `fullIndex`: one
+ * `/** *\/` block or a run of `///` lines. Attributes such as `[Setting]` and
+ * other comments in between break the association.
+ */
+function precedingDocComment(tokens, fullIndex) {
+  const parts = [];
+  for (let i = fullIndex - 1; i >= 0; i--) {
+    const token = tokens[i];
+    if (token.kind !== "comment" || !isDocComment(token.value)) break;
+    if (parts.length > 0 && (token.value.startsWith("/**") || token.line < parts[0].line - 1)) break;
+    parts.unshift(token);
+    if (token.value.startsWith("/**")) break;
+  }
+  if (parts.length === 0) return null;
+  return parts.map((token) => token.value).join("\n");
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Collects the documented functions, funcdefs and types declared at namespace
+ * level in a script. Each entry carries its namespace-qualified name, the
+ * declaration as written and the parsed doc comment.
+ */
+export function collectDocumentedDeclarations(text, source = "") {
+  const tokens = tokenizeSource(text);
+  const code = [];
+  tokens.forEach((token, fullIndex) => {
+    if (token.kind !== "comment" && token.kind !== "directive") code.push({ ...token, fullIndex });
+  });
+
+  const declarations = [];
+  const scopes = [];
+  let statementStart = 0;
+  const currentNamespace = () =>
+    scopes
+      .filter((scope) => scope.namespace)
+      .map((scope) => scope.namespace)
+      .join("::");
+  const atNamespaceLevel = () => scopes.every((scope) => scope.namespace);
+  const qualify = (name) => (currentNamespace() ? `${currentNamespace()}::${name}` : name);
+
+  function addDeclaration(kind, name, signatureEnd) {
+    const first = code[statementStart];
+    const comment = precedingDocComment(tokens, first.fullIndex);
+    if (!comment) return;
+    declarations.push({
+      kind,
+      name,
+      ns: currentNamespace(),
+      qualifiedName: qualify(name),
+      signature: collapseWhitespace(text.slice(first.start, signatureEnd)),
+      doc: parseDocComment(comment),
+      source,
+      line: first.line,
+    });
+  }
+
+  for (let i = 0; i < code.length; i++) {
+    const token = code[i];
+    if (token.value === "namespace" && code[i + 1]?.kind === "identifier") {
+      const names = [code[i + 1].value];
+      let j = i + 2;
+      while (code[j]?.value === "::" && code[j + 1]?.kind === "identifier") {
+        names.push(code[j + 1].value);
+        j += 2;
+      }
+      if (code[j]?.value === "{") {
+        for (const name of names) scopes.push({ namespace: name, group: 1 });
+        scopes[scopes.length - 1].group = names.length;
+        i = j;
+        statementStart = i + 1;
+        continue;
+      }
+    }
+    if (token.value === "{") {
+      scopes.push({ namespace: null });
+      statementStart = i + 1;
+      continue;
+    }
+    if (token.value === "}") {
+      const closed = scopes.pop();
+      for (let n = 1; n < (closed?.group ?? 0); n++) scopes.pop();
+      statementStart = i + 1;
+      continue;
+    }
+    if (token.value === ";") {
+      statementStart = i + 1;
+      continue;
+    }
+    if (!atNamespaceLevel() || token.kind !== "identifier") continue;
+
+    if (typeKeywords.has(token.value) && code[i + 1]?.kind === "identifier") {
+      let end = i + 2;
+      while (end < code.length && !["{", ";"].includes(code[end].value)) end++;
+      const signatureEnd = code[end - 1]?.end ?? code[i + 1].end;
+      addDeclaration(token.value, code[i + 1].value, signatureEnd);
+      i++;
+      continue;
+    }
+
+    const previous = code[i - 1];
+    const isDeclaredName =
+      code[i + 1]?.value === "(" &&
+      i > statementStart &&
+      (previous?.kind === "identifier" || typeEndTokens.has(previous?.value));
+    if (!isDeclaredName) continue;
+
+    let close = i + 1;
+    for (let depth = 0; close < code.length; close++) {
+      if (code[close].value === "(") depth++;
+      else if (code[close].value === ")" && --depth === 0) break;
+    }
+    const kind = code[statementStart]?.value === "funcdef" ? "funcdef" : "function";
+    addDeclaration(kind, token.value, code[close]?.end ?? token.end);
+    i = close;
+  }
+  return declarations;
+}
+
+export function createDocIndex() {
+  return { bySource: new Map(), byName: new Map() };
+}
+
+function unindexNames(index, source) {
+  for (const declaration of index.bySource.get(source) || []) {
+    const list = index.byName.get(declaration.qualifiedName);
+    if (!list) continue;
+    const kept = list.filter((entry) => entry.source !== source);
+    if (kept.length > 0) index.byName.set(declaration.qualifiedName, kept);
+    else index.byName.delete(declaration.qualifiedName);
+  }
+}
+
+/**
+ * Replaces the declarations indexed for `source` (a file path or an export
+ * label). Only that source's entries in the name lookup are touched.
+ */
+export function setDocSource(index, source, text) {
+  const declarations = text === null ? [] : collectDocumentedDeclarations(text, source);
+  unindexNames(index, source);
+  if (declarations.length === 0) {
+    index.bySource.delete(source);
+    return;
+  }
+  index.bySource.set(source, declarations);
+  for (const declaration of declarations) {
+    const list = index.byName.get(declaration.qualifiedName) || [];
+    list.push(declaration);
+    index.byName.set(declaration.qualifiedName, list);
+  }
+}
+
+export function removeDocSource(index, source) {
+  unindexNames(index, source);
+  index.bySource.delete(source);
+}
+
+/**
+ * Indexes the export files of every dependency plugin under `pluginDirs`,
+ * labelled `<plugin id>/<export file>`, skipping plugins whose path satisfies
+ * `skip` (folders already indexed as workspace sources). Returns the labels
+ * so the caller can drop them on the next rescan.
+ */
+export function indexDependencyDocs(index, pluginDirs, { skip = () => false } = {}) {
+  const sources = [];
+  const seen = new Set();
+  for (const pluginPath of pluginDirs.flatMap(findPluginPaths)) {
+    const key = path.resolve(pluginPath).toLowerCase();
+    if (seen.has(key) || skip(pluginPath)) continue;
+    seen.add(key);
+
+    let plugin;
+    try {
+      plugin = readDependencyPlugin(pluginPath);
+    } catch {
+      continue;
+    }
+    for (const item of plugin?.exports || []) {
+      const source = `${plugin.id}/${item.file}`;
+      setDocSource(index, source, item.text);
+      sources.push(source);
+    }
+  }
+  return sources;
+}
+
+export function lookupDocEntries(index, qualifiedName) {
+  return index.byName.get(qualifiedName) || [];
+}
+
+/** Lists the namespaces enclosing `offset`, innermost last. */
+function enclosingNamespaces(tokens, offset) {
+  const scopes = [];
+  for (let i = 0; i < tokens.length && tokens[i].start < offset; i++) {
+    const token = tokens[i];
+    if (token.value === "namespace" && tokens[i + 1]?.kind === "identifier") {
+      const names = [tokens[i + 1].value];
+      let j = i + 2;
+      while (tokens[j]?.value === "::" && tokens[j + 1]?.kind === "identifier") {
+        names.push(tokens[j + 1].value);
+        j += 2;
+      }
+      if (tokens[j]?.value === "{" && tokens[j].start < offset) {
+        scopes.push(names);
+        i = j;
+        continue;
+      }
+    }
+    if (token.value === "{") scopes.push(null);
+    else if (token.value === "}") scopes.pop();
+  }
+  return scopes.filter(Boolean).flat();
+}
+
+/**
+ * Resolves the documented declarations for the name under `offset`. Names are
+ * qualified up to the hovered segment and also tried inside each enclosing
+ * namespace, innermost first, the way AngelScript looks them up.
+ */
+export function resolveDocEntriesAt(index, text, offset) {
+  const location = findQualifiedNameAt(text, offset);
+  if (!location || location.precededByDot) return null;
+
+  const hovered = location.segments[location.hoveredIndex];
+  const name = location.names.slice(0, location.hoveredIndex + 1).join("::");
+  const namespaces = enclosingNamespaces(location.tokens, hovered.start);
+  for (let depth = namespaces.length; depth >= 0; depth--) {
+    const prefix = namespaces.slice(0, depth).join("::");
+    const entries = lookupDocEntries(index, prefix ? `${prefix}::${name}` : name);
+    if (entries.length > 0) return { entries, start: hovered.start, end: hovered.end };
+  }
+  return null;
+}
+
+/** Renders hover Markdown for the documented declarations of one name. */
+export function renderDocHoverMarkdown(entries) {
+  const sections = [];
+  for (const entry of entries) {
+    const lines = ["```openplanet-angelscript", entry.signature, "```"];
+    const facts = [`*${entry.kind}*`];
+    if (entry.ns) facts.push(`Namespace: \`${entry.ns}\``);
+    if (entry.source) facts.push(`Defined in: ${entry.source}`);
+    lines.push(facts.join(" · "));
+    if (entry.doc.summary) lines.push("", entry.doc.summary);
+    for (const param of entry.doc.params) {
+      lines.push("", `*@param* \`${param.name}\`${param.description ? ` — ${param.description}` : ""}`);
+    }
+    if (entry.doc.returns) lines.push("", `*@return* — ${entry.doc.returns}`);
+    for (const { tag, text } of entry.doc.tags) {
+      lines.push("", `*@${tag}*${text ? ` — ${text}` : ""}`);
+    }
+    sections.push(lines.join("\n"));
+  }
+  return sections.join("\n\n---\n\n");
+}
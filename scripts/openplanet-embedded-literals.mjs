@@ -0,0 +1,157 @@
+import { codeTokens, tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+// `Regex::` functions whose second argument is the pattern. The injection
+// grammar's call alternation is checked against this list.
+export const regexPatternFunctions = [
+  "Contains",
+  "IsMatch",
+  "Match",
+  "Replace",
+  "Search",
+  "SearchAll",
+];
+
+// `SQLite::Database` methods whose first argument is an SQL statement. Like the
+// injection grammar, only calls on an `SQLite::Database(...)` receiver count,
+// since other types have `Execute`/`Prepare` methods too.
+export const sqlStatementMethods = ["Execute", "Prepare"];
+
+const closers = { ")": "(", "]": "[", "}": "{" };
+const simpleEscapes = { n: "\n", r: "\r", t: "\t", 0: "\0", "\\": "\\", '"': '"', "'": "'", $: "$" };
+
+/**
+ * Decodes a plain `"..."`/`'...'` literal token into the string AngelScript
+ * passes at runtime. Returns null for prefixed or unterminated literals.
+ */
+export function decodeStringLiteral(value) {
+  const quote = value[0];
+  if ((quote !== '"' && quote !== "'") || value.length < 2 || value[value.length - 1] !== quote) {
+    return null;
+  }
+  const body = value.slice(1, -1);
+  let out = "";
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== "\\") {
+      out += body[i];
+      continue;
+    }
+    const next = body[i + 1];
+    const hexLength = { x: 2, u: 4, U: 8 }[next];
+    if (hexLength && /^[0-9A-Fa-f]+$/.test(body.slice(i + 2, i + 2 + hexLength))) {
+      out += String.fromCodePoint(parseInt(body.slice(i + 2, i + 2 + hexLength), 16));
+      i += 1 + hexLength;
+      continue;
+    }
+    out += simpleEscapes[next] ?? next ?? "";
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Splits the arguments of the call whose `(` is at `openIndex` on top-level
+ * commas. Returns null when the call is not closed.
+ */
+function readCallArguments(tokens, openIndex) {
+  const args = [[]];
+  const stack = [];
+  for (let i = openIndex + 1; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (value === "(" || value === "[" || value === "{") stack.push(value);
+    else if (closers[value]) {
+      if (stack.length === 0) return value === ")" ? args : null;
+      if (stack.pop() !== closers[value]) return null;
+    } else if (value === "," && stack.length === 0) {
+      args.push([]);
+      continue;
+    }
+    args[args.length - 1].push(tokens[i]);
+  }
+  return null;
+}
+
+// True when the `)` at `closeIndex` ends an `SQLite::Database(...)` construction.
+function closesDatabaseConstruction(tokens, closeIndex) {
+  let depth = 0;
+  for (let i = closeIndex; i >= 0; i--) {
+    if (tokens[i].value === ")") depth++;
+    else if (tokens[i].value === "(" && --depth === 0) {
+      return (
+        tokens[i - 1]?.value === "Database" &&
+        tokens[i - 2]?.value === "::" &&
+        tokens[i - 3]?.value === "SQLite"
+      );
+    }
+  }
+  return false;
+}
+
+function literalArgument(args, position) {
+  const arg = args?.[position];
+  if (arg?.length !== 1 || arg[0].kind !== "string") return null;
+  const value = decodeStringLiteral(arg[0].value);
+  return value === null ? null : { token: arg[0], value };
+}
+
+/**
+ * Finds the string literals passed as a `Regex::` pattern, to `Json::Parse`,
+ * or as the statement of an `SQLite::Database(...)` `Execute`/`Prepare` call. Each result has
+ * the literal's range and its decoded value.
+ */
+export function findEmbeddedLiterals(text) {
+  const tokens = codeTokens(tokenizeSource(text));
+  const found = [];
+  const add = (language, literal) => {
+    if (!literal) return;
+    const { token, value } = literal;
+    found.push({ language, start: token.start, end: token.end, value });
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.kind !== "identifier") continue;
+    if (
+      sqlStatementMethods.includes(token.value) &&
+      tokens[i - 1]?.value === "." &&
+      tokens[i + 1]?.value === "("
+    ) {
+      if (tokens[i - 2]?.value !== ")" || !closesDatabaseConstruction(tokens, i - 2)) continue;
+      add("sql", literalArgument(readCallArguments(tokens, i + 1), 0));
+      continue;
+    }
+    if (tokens[i + 1]?.value !== "::" || tokens[i - 1]?.value === "::") continue;
+    if (tokens[i + 3]?.value !== "(") continue;
+    const member = tokens[i + 2].value;
+    if (token.value === "Regex" && regexPatternFunctions.includes(member)) {
+      add("regex", literalArgument(readCallArguments(tokens, i + 3), 1));
+    } else if (token.value === "Json" && member === "Parse") {
+      add("json", literalArgument(readCallArguments(tokens, i + 3), 0));
+    }
+  }
+  return found;
+}
+
+/**
+ * Reports regex and JSON literals that fail to parse. Openplanet's `Regex`
+ * uses ECMAScript syntax, so patterns are checked with `RegExp`.
+ */
+export function checkEmbeddedLiterals(text) {
+  const diagnostics = [];
+  for (const literal of findEmbeddedLiterals(text)) {
+    const isRegex = literal.language === "regex";
+    if (!isRegex && literal.language !== "json") continue;
+    try {
+      if (isRegex) new RegExp(literal.value);
+      else JSON.parse(literal.value);
+    } catch (err) {
+      diagnostics.push({
+        severity: "warning",
+        code: isRegex ? "invalid-regex" : "invalid-json",
+        message: isRegex ? `${err.message}.` : `Invalid JSON passed to Json::Parse: ${err.message}.`,
+        start: literal.start,
+        end: literal.end,
+      });
+    }
+  }
+  return diagnostics;
+}
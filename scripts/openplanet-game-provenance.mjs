@@ -0,0 +1,86 @@
+import { findInactiveRegions } from "./openplanet-defines.mjs";
+import { gameDefineInstalls } from "./openplanet-grammar-config.mjs";
+import { codeTokens, readQualifiedChain, tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+const gameDefines = Object.keys(gameDefineInstalls);
+const isGameDefine = (name) => Object.prototype.hasOwnProperty.call(gameDefineInstalls, name);
+
+function lookupInstalls(map, name) {
+  return Object.prototype.hasOwnProperty.call(map || {}, name) ? map[name] : null;
+}
+
+/**
+ * Returns a `line => games` function listing the game defines whose build
+ * compiles each line. Only the game defines are decided; branches that depend
+ * on other defines count as compiled for every game.
+ */
+export function createGameGuards(text) {
+  const excluded = new Map(
+    gameDefines.map((game) => [
+      game,
+      findInactiveRegions(text, [game], { isKnownDefine: isGameDefine }),
+    ]),
+  );
+  return (line) =>
+    gameDefines.filter(
+      (game) =>
+        !excluded.get(game).some((region) => region.startLine <= line && line <= region.endLine),
+    );
+}
+
+/**
+ * Flags types and functions that are missing from a game the code is compiled
+ * for. `provenance` is a symbol snapshot (`buildMetadataSnapshot`) recording
+ * the installs of each name; only games whose install was read are checked.
+ * Code inside a game `#if` is checked against the games that branch allows;
+ * unguarded code is checked against `targetGames` (the game defines of the
+ * active target profile).
+ */
+export function checkCrossGameUsage(text, provenance, { targetGames = [] } = {}) {
+  if (!provenance) return [];
+  const readInstalls = new Set(provenance.installs);
+  const checkedGames = gameDefines.filter((game) => readInstalls.has(gameDefineInstalls[game]));
+  if (checkedGames.length === 0) return [];
+
+  const gamesAtLine = createGameGuards(text);
+  const targets = targetGames.filter(isGameDefine);
+  const tokens = codeTokens(tokenizeSource(text));
+  const diagnostics = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const previous = tokens[i - 1]?.value;
+    if (tokens[i].kind !== "identifier" || previous === "." || previous === "::") {
+      i++;
+      continue;
+    }
+
+    const { segments, nextIndex } = readQualifiedChain(tokens, i);
+    i = nextIndex;
+    const name = segments.map((segment) => segment.value).join("::");
+    const isCall = tokens[nextIndex]?.value === "(";
+    const installs =
+      (isCall && lookupInstalls(provenance.functions, name)) || lookupInstalls(provenance.types, name);
+    if (!installs || installs.length === 0) continue;
+
+    const games = gamesAtLine(segments[0].line);
+    const guarded = games.length < gameDefines.length;
+    const missing = (guarded ? games : targets).filter(
+      (game) => checkedGames.includes(game) && !installs.includes(gameDefineInstalls[game]),
+    );
+    if (missing.length === 0) continue;
+
+    const availableGames = gameDefines.filter((game) => installs.includes(gameDefineInstalls[game]));
+    const reason = guarded
+      ? `but the enclosing #if compiles this code for ${missing.join(", ")}.`
+      : `but the target profile compiles it for ${missing.join(", ")}.` +
+        (availableGames.length > 0 ? ` Guard it with #if ${availableGames.join(" || ")}.` : "");
+    diagnostics.push({
+      severity: "warning",
+      code: "missing-in-game",
+      message: `"${name}" does not exist in ${missing.join(", ")} (only in ${installs.join(", ")}), ${reason}`,
+      start: segments[0].start,
+      end: segments[segments.length - 1].end,
+    });
+  }
+  return diagnostics;
+}
@@ -2,6 +2,28 @@ import path from "node:path";
 
 export const defaultInstallDirNames = ["OpenplanetNext", "OpenplanetTurbo", "Openplanet4"];
 
+export const installLabels = {
+  OpenplanetNext: "Next",
+  OpenplanetTurbo: "Turbo",
+  Openplanet4: "MP4",
+};
+
+// Game defines and the install whose metadata describes that game.
+export const gameDefineInstalls = {
+  TMNEXT: "Next",
+  MP4: "MP4",
+  TURBO: "Turbo",
+};
+
+/** Labels a metadata file by its install folder (`OpenplanetNext` -> `Next`). */
+export function installLabelForPath(filePath) {
+  const dirName = path.basename(path.dirname(filePath));
+  const known = Object.keys(installLabels).find(
+    (name) => name.toLowerCase() === dirName.toLowerCase(),
+  );
+  return known ? installLabels[known] : dirName;
+}
+
 export const installDirEnvKeys = [
   "OPENPLANET_DIRS",
   "OPENPLANET_NEXT_DIR",
@@ -13,6 +35,9 @@ export const coreJsonFileName = "OpenplanetCore.json";
 export const gameJsonFileRx = /^Openplanet(?!Core)[A-Za-z0-9_]*\.json$/i;
 export const watchedMetadataFileRx = /^Openplanet(?:Core|(?!Core)[A-Za-z0-9_]*)\.json$|^Openplanet\.h$/i;
 
+export const identRx = /^[A-Za-z_][A-Za-z0-9_]*$/;
+export const namespaceRx = /^[A-Za-z_][A-Za-z0-9_]*(?:::[A-Za-z_][A-Za-z0-9_]*)*$/;
+
 export const preprocessorDefineRegexFragments = [
   "FOREVER",
   "UNITED_FOREVER",
@@ -39,6 +64,14 @@ export const preprocessorDefineRegexFragments = [
   "COMP_[A-Z0-9_]+",
 ];
 
+// Presets for the target-profile picker; each lists the defines Openplanet
+// would set for that game/build.
+export const targetProfilePresets = [
+  { label: "TMNEXT + WINDOWS + SIG_REGULAR", defines: ["TMNEXT", "WINDOWS", "SIG_REGULAR"] },
+  { label: "MP4 + DEVELOPER", defines: ["MP4", "DEVELOPER"] },
+  { label: "TURBO", defines: ["TURBO"] },
+];
+
 export const callbackFunctionNames = [
   "Main",
   "Render",
@@ -143,8 +176,8 @@ export function makeRegexFragmentAlternation(values) {
   return sorted.join("|");
 }
 
-export function collectInstallDirsFromEnv() {
+export function collectInstallDirsFromEnv(env = process.env) {
   return resolveUniquePaths(
-    installDirEnvKeys.flatMap((envKey) => valueToList(process.env[envKey])),
+    installDirEnvKeys.flatMap((envKey) => valueToList(env[envKey])),
   );
 }
@@ -0,0 +1,682 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { applyStaticGrammarMetadata } from "./openplanet-grammar-static.mjs";
+import { formatMetadataWarnings } from "./openplanet-metadata-validation.mjs";
+import {
+  collectSymbolsByInstall,
+  collectSymbolsFromSources,
+  formatProbedInstallDirs,
+  readJson,
+  resolveSourcePaths,
+} from "./openplanet-metadata.mjs";
+import {
+  buildMetadataSnapshot,
+  readMetadataSnapshot,
+  serializeMetadataSnapshot,
+} from "./openplanet-snapshot.mjs";
+import {
+  createSymbolSnapshot,
+  describeSymbolSource,
+  diffSymbolSnapshots,
+  renderSymbolDiffMarkdown,
+} from "./openplanet-symbol-diff.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const defaultGrammarPath = path.resolve(
+  __dirname,
+  "..",
+  "syntaxes",
+  "openplanet-angelscript.tmLanguage.json",
+);
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function sortForAlternation(values) {
+  return [...values].sort((a, b) => {
+    if (b.length !== a.length) return b.length - a.length;
+    return a.localeCompare(b);
+  });
+}
+
+function makeAlternation(values) {
+  const sorted = sortForAlternation(values);
+  if (sorted.length === 0) return "(?!)";
+  return sorted.map(escapeRegex).join("|");
+}
+
+function chunkAlternation(values, maxChunkLength = 18000) {
+  return chunkFragments(sortForAlternation(values).map(escapeRegex), maxChunkLength);
+}
+
+function chunkFragments(fragments, maxChunkLength = 18000) {
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  for (const item of fragments) {
+    const itemLength = item.length + (current.length > 0 ? 1 : 0);
+    if (current.length > 0 && currentLength + itemLength > maxChunkLength) {
+      chunks.push(current.join("|"));
+      current = [item];
+      currentLength = item.length;
+      continue;
+    }
+    current.push(item);
+    currentLength += itemLength;
+  }
+
+  if (current.length > 0) chunks.push(current.join("|"));
+  return chunks;
+}
+
+function walkPatterns(root, cb) {
+  if (Array.isArray(root)) {
+    for (const item of root) walkPatterns(item, cb);
+    return;
+  }
+  if (!root || typeof root !== "object") return;
+  if (typeof root.name === "string" && typeof root.match === "string") cb(root);
+  for (const value of Object.values(root)) walkPatterns(value, cb);
+}
+
+function findPatternByName(grammar, name) {
+  let found = null;
+  walkPatterns(grammar.repository, (pattern) => {
+    if (pattern.name !== name) return;
+    if (found !== null) {
+      throw new Error(`Expected a single pattern named "${name}", found multiple.`);
+    }
+    found = pattern;
+  });
+  if (!found) throw new Error(`Pattern "${name}" not found in grammar.`);
+  return found;
+}
+
+export function setNamespaceMatches(grammar, namespaceAlternation) {
+  findPatternByName(grammar, "meta.function.definition.builtin.angelscript").match =
+    String.raw`\b(?:\b(?:private|protected|shared|external|abstract|mixin|final|override)\b\s+)*(const\s+)?(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)(?:\s*<\s*([A-Za-z_]\w*(?:\s*::\s*[A-Za-z_]\w*)*)\s*(?:[@&]+)?\s*>)?(?:\s*\[\])*(?:\s*[@&]+)?\s+([A-Za-z_]\w*)\s*(?=\()`;
+
+  findPatternByName(grammar, "meta.variable.definition.const.builtin.angelscript").match =
+    String.raw`\b(const)\s+(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)(?:\s*<\s*([A-Za-z_]\w*(?:\s*::\s*[A-Za-z_]\w*)*)\s*(?:[@&]+)?\s*>)?(?:\s*\[\])*(?:\s*[@&]+)?(?:\s*(?:in|out|inout)\b)?\s+([A-Za-z_]\w*)\b(?=\s*(?:=|;|,|\)|\]|\}))`;
+
+  findPatternByName(grammar, "meta.variable.definition.builtin.angelscript").match =
+    String.raw`\b(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)(?:\s*<\s*([A-Za-z_]\w*(?:\s*::\s*[A-Za-z_]\w*)*)\s*(?:[@&]+)?\s*>)?(?:\s*\[\])*(?:\s*[@&]+)?(?:\s*(?:in|out|inout)\b)?\s+([A-Za-z_]\w*)\b(?=\s*(?:=|;|,|\)|\]|\}))`;
+
+  findPatternByName(grammar, "meta.function.reference.wrapper.builtin.angelscript").match =
+    String.raw`\b(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)\b`;
+
+  findPatternByName(grammar, "meta.function.reference.builtin.angelscript").match =
+    String.raw`\b(startnew)\s*\(\s*(?!(?:CoroutineFunc|CoroutineFuncUserdata)\b)(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)\b`;
+
+  findPatternByName(grammar, "meta.scope-resolution.function-call.builtin.angelscript").match =
+    String.raw`\b(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)\b(?=\s*\()`;
+
+  findPatternByName(grammar, "meta.scope-resolution.member.builtin.angelscript").match =
+    String.raw`\b(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)\b(?!\s*\()`;
+}
+
+export function upsertDeepBuiltinScopePatterns(grammar, namespaceAlternation) {
+  const patterns = grammar.repository.memberAccess.patterns;
+  const functionName = "meta.scope-resolution.function-call.deep-builtin.angelscript";
+  const memberName = "meta.scope-resolution.member.deep-builtin.angelscript";
+  const functionPattern = {
+    name: functionName,
+    match: String.raw`\b(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)\s*::\s*([A-Za-z_]\w*)\b(?=\s*\()`,
+    captures: {
+      1: { name: "support.namespace.builtin.angelscript" },
+      2: { name: "entity.name.type.angelscript" },
+      3: { name: "entity.name.function.angelscript" },
+    },
+  };
+  const memberPattern = {
+    name: memberName,
+    match: String.raw`\b(${namespaceAlternation})\s*::\s*([A-Za-z_]\w*)\s*::\s*([A-Za-z_]\w*)\b(?!\s*\()`,
+    captures: {
+      1: { name: "support.namespace.builtin.angelscript" },
+      2: { name: "entity.name.type.angelscript" },
+      3: { name: "variable.other.member.angelscript" },
+    },
+  };
+
+  const existingFunctionIndex = patterns.findIndex((p) => p.name === functionName);
+  if (existingFunctionIndex >= 0) patterns.splice(existingFunctionIndex, 1);
+  const existingMemberIndex = patterns.findIndex((p) => p.name === memberName);
+  if (existingMemberIndex >= 0) patterns.splice(existingMemberIndex, 1);
+
+  const singleBuiltinFunctionIndex = patterns.findIndex(
+    (p) => p.name === "meta.scope-resolution.function-call.builtin.angelscript",
+  );
+  const insertIndex = singleBuiltinFunctionIndex >= 0 ? singleBuiltinFunctionIndex : 0;
+  patterns.splice(insertIndex, 0, functionPattern, memberPattern);
+}
+
+const namespaceScopedPatternNames = [
+  "meta.function.definition.builtin.angelscript",
+  "meta.variable.definition.const.builtin.angelscript",
+  "meta.variable.definition.builtin.angelscript",
+  "meta.function.reference.wrapper.builtin.angelscript",
+  "meta.function.reference.builtin.angelscript",
+  "meta.scope-resolution.function-call.deep-builtin.angelscript",
+  "meta.scope-resolution.member.deep-builtin.angelscript",
+  "meta.scope-resolution.function-call.builtin.angelscript",
+  "meta.scope-resolution.member.builtin.angelscript",
+];
+
+const dependencyCaptureScopes = {
+  "support.namespace.builtin.angelscript": "support.namespace.dependency.angelscript",
+  "variable.other.member.angelscript": "variable.other.member.dependency.angelscript",
+};
+
+function findPatternList(grammar, pattern) {
+  let found = null;
+  const visit = (node) => {
+    if (found || !node || typeof node !== "object") return;
+    if (Array.isArray(node) && node.includes(pattern)) {
+      found = node;
+      return;
+    }
+    for (const value of Object.values(node)) visit(value);
+  };
+  visit(grammar.repository);
+  if (!found) throw new Error(`Pattern "${pattern.name}" is not part of a pattern list.`);
+  return found;
+}
+
+/**
+ * Clones every namespace-scoped built-in pattern for the namespaces exported
+ * by dependency plugins, so `MLHook::Foo()` gets `.dependency.` scopes instead
+ * of the built-in ones. Stale clones are dropped when no dependency is found.
+ */
+export function upsertDependencyNamespacePatterns(grammar, namespaceAlternation, dependencyAlternation) {
+  for (const builtinName of namespaceScopedPatternNames) {
+    const builtin = findPatternByName(grammar, builtinName);
+    const patterns = findPatternList(grammar, builtin);
+    const dependencyName = builtinName.replace("builtin", "dependency");
+    const existingIndex = patterns.findIndex((p) => p.name === dependencyName);
+    if (existingIndex >= 0) patterns.splice(existingIndex, 1);
+    if (!dependencyAlternation) continue;
+
+    const builtinGroup = `(${namespaceAlternation})`;
+    if (!builtin.match.includes(builtinGroup)) {
+      throw new Error(`Pattern "${builtinName}" does not match on the built-in namespaces.`);
+    }
+    const captures = structuredClone(builtin.captures);
+    const captureKeys = Object.keys(captures);
+    for (const key of captureKeys) {
+      captures[key].name = dependencyCaptureScopes[captures[key].name] ?? captures[key].name;
+    }
+    if (builtinName.includes("function-call")) {
+      captures[captureKeys.at(-1)].name = "support.function.dependency.angelscript";
+    }
+    patterns.splice(patterns.indexOf(builtin), 0, {
+      name: dependencyName,
+      match: builtin.match.split(builtinGroup).join(`(${dependencyAlternation})`),
+      captures,
+    });
+  }
+}
+
+const scopeSeparator = String.raw`\s*::\s*`;
+
+function qualifiedNameFragment(qualifiedName) {
+  return qualifiedName.split("::").map(escapeRegex).join(scopeSeparator);
+}
+
+/**
+ * Splits metadata enums by how they are written in code: inside a built-in
+ * namespace (`UI::Cond::Always`), scoped to a game class
+ * (`CGameCtnApp::EState::Ready`) or global (`Enum::Value`).
+ */
+function groupEnumsByShape(enums, namespaces, types) {
+  const shapes = { builtin: [], type: [], global: [] };
+  for (const [qualifiedName, values] of enums) {
+    const separator = qualifiedName.lastIndexOf("::");
+    const owner = separator < 0 ? "" : qualifiedName.slice(0, separator);
+    const shape = !owner ? "global" : namespaces.has(owner) ? "builtin" : types.has(owner) ? "type" : null;
+    if (!shape) continue;
+    shapes[shape].push({ qualifiedName, values: [...values] });
+  }
+  return shapes;
+}
+
+function enumPairFragment({ qualifiedName, values }) {
+  return `${qualifiedNameFragment(qualifiedName)}${scopeSeparator}(?:${makeAlternation(values)})`;
+}
+
+export function upsertEnumMemberPatterns(grammar, namespaceAlternation, enums, namespaces, types) {
+  const patterns = grammar.repository.memberAccess.patterns;
+  const prefix = "meta.scope-resolution.member.enum.";
+  for (let i = patterns.length - 1; i >= 0; i--) {
+    if (typeof patterns[i]?.name === "string" && patterns[i].name.startsWith(prefix)) {
+      patterns.splice(i, 1);
+    }
+  }
+
+  const memberScope = { name: "constant.other.enum-member.angelscript" };
+  const unknownScope = { name: "invalid.illegal.unknown-enum-member.angelscript" };
+  const enumScope = { name: "entity.name.type.enum.angelscript" };
+  const shapeOwners = {
+    builtin: {
+      owner: `(${namespaceAlternation})`,
+      guard: String.raw`(?=[A-Za-z_][\w:\s]*::\s*[A-Za-z_]\w*\s*::)`,
+      scope: { name: "support.namespace.builtin.angelscript" },
+    },
+    type: {
+      owner: String.raw`([A-Za-z_]\w*)`,
+      guard: String.raw`(?=[A-Za-z_]\w*\s*::\s*[A-Za-z_]\w*\s*::)`,
+      scope: { name: "support.type.openplanet.angelscript" },
+    },
+    global: { owner: "", guard: String.raw`(?=[A-Za-z_]\w*\s*::)`, scope: null },
+  };
+
+  const generated = [];
+  const shapes = groupEnumsByShape(enums, namespaces, types);
+  for (const [shape, entries] of Object.entries(shapes)) {
+    const withValues = entries.filter((entry) => entry.values.length > 0);
+    if (entries.length === 0) continue;
+    const { owner, guard, scope } = shapeOwners[shape];
+    const head = owner ? `${owner}${scopeSeparator}` : "";
+    const tail = String.raw`([A-Za-z_]\w*)${scopeSeparator}([A-Za-z_]\w*)\b`;
+    const captures = (lastScope) =>
+      scope ? { 1: scope, 2: enumScope, 3: lastScope } : { 1: enumScope, 2: lastScope };
+
+    chunkFragments(withValues.map(enumPairFragment)).forEach((chunk, i) => {
+      generated.push({
+        name: `${prefix}${shape}.angelscript.${i}`,
+        match: String.raw`\b${guard}(?=(?:${chunk})\b(?!\s*\())${head}${tail}`,
+        captures: captures(memberScope),
+      });
+    });
+
+    const enumFragments = entries.map((entry) => qualifiedNameFragment(entry.qualifiedName));
+    chunkFragments(enumFragments).forEach((chunk, i) => {
+      generated.push({
+        name: `${prefix}unknown.${shape}.angelscript.${i}`,
+        match: String.raw`\b${guard}(?=(?:${chunk})${scopeSeparator}[A-Za-z_]\w*\b(?!\s*(?:\(|::)))${head}${tail}`,
+        captures: captures(unknownScope),
+      });
+    });
+  }
+
+  if (enums.size === 0) generated.push(...fallbackEnumMemberPatterns(namespaceAlternation, prefix));
+
+  const deepFunctionIndex = patterns.findIndex(
+    (p) => p.name === "meta.scope-resolution.function-call.deep-builtin.angelscript",
+  );
+  patterns.splice(deepFunctionIndex >= 0 ? deepFunctionIndex : 0, 0, ...generated);
+}
+
+/**
+ * Without enum metadata (no install, placeholder snapshot) `Enum::Value`
+ * pairs cannot be checked, so only the unambiguous shapes are scoped as enum
+ * members: a capitalized enum inside a built-in namespace
+ * (`UI::Cond::Always`) and a Nadeo `E*` enum inside a `C*` game class
+ * (`CGameCtnApp::EState::Ready`). They are dropped once real enums are known.
+ */
+function fallbackEnumMemberPatterns(namespaceAlternation, prefix) {
+  const end = String.raw`\b(?!\s*(?:\(|::))`;
+  const memberScope = { name: "constant.other.enum-member.angelscript" };
+  const enumScope = { name: "entity.name.type.enum.angelscript" };
+  return [
+    {
+      name: `${prefix}fallback.builtin.angelscript`,
+      match: String.raw`\b(${namespaceAlternation})${scopeSeparator}([A-Z]\w*)${scopeSeparator}([A-Za-z_]\w*)${end}`,
+      captures: { 1: { name: "support.namespace.builtin.angelscript" }, 2: enumScope, 3: memberScope },
+    },
+    {
+      name: `${prefix}fallback.type.angelscript`,
+      match: String.raw`\b(C[A-Z]\w*)${scopeSeparator}(E[A-Z]\w*)${scopeSeparator}([A-Za-z_]\w*)${end}`,
+      captures: { 1: { name: "support.type.openplanet.angelscript" }, 2: enumScope, 3: memberScope },
+    },
+  ];
+}
+
+export function upsertCaseLabelEnumMembers(grammar, enums) {
+  const patterns = grammar.repository.caseLabels.patterns[0].patterns;
+  const name = "constant.other.enum-member.angelscript";
+  const globalValues = new Set();
+  for (const [qualifiedName, values] of enums) {
+    if (qualifiedName.includes("::")) continue;
+    for (const value of values) globalValues.add(value);
+  }
+
+  const existingIndex = patterns.findIndex((p) => p.name === name);
+  // Known enums without global values leave nothing to match; without any
+  // enum metadata every bare case word falls back to an enum member.
+  if (enums.size > 0 && globalValues.size === 0) {
+    if (existingIndex >= 0) patterns.splice(existingIndex, 1);
+    return;
+  }
+  const values = enums.size === 0 ? String.raw`[A-Za-z_]\w*` : `(?:${makeAlternation(globalValues)})`;
+  const pattern = { name, match: String.raw`\b${values}\b` };
+  if (existingIndex >= 0) {
+    patterns[existingIndex] = pattern;
+    return;
+  }
+  const fallbackIndex = patterns.findIndex((p) => p.name === "variable.other.readwrite.angelscript");
+  patterns.splice(fallbackIndex >= 0 ? fallbackIndex : patterns.length, 0, pattern);
+}
+
+export function upsertKnownTypePatterns(grammar, typeChunks) {
+  const patterns = grammar.repository.types.patterns;
+  const name = "support.type.openplanet.angelscript";
+  const keptPatterns = patterns.filter((p) => p.name !== name);
+  patterns.length = 0;
+  patterns.push(...keptPatterns);
+
+  const referenceIndex = patterns.findIndex((p) => p.name === "storage.modifier.reference.angelscript");
+  const insertAt = referenceIndex >= 0 ? referenceIndex : patterns.length;
+  const generated = typeChunks.map((chunk) => ({
+    name,
+    match: String.raw`\b(?:${chunk})\b`,
+  }));
+  patterns.splice(insertAt, 0, ...generated);
+}
+
+export function upsertBuiltinGlobalFunctions(grammar, globalFunctionAlternation) {
+  const patterns = grammar.repository.functionCalls.patterns;
+  const name = "support.function.builtin.openplanet.angelscript";
+  const existingIndex = patterns.findIndex((p) => p.name === name);
+  const pattern = {
+    name,
+    match: String.raw`\b(?:${globalFunctionAlternation})\b(?=\s*\()`,
+  };
+
+  if (existingIndex >= 0) {
+    patterns[existingIndex] = pattern;
+    return;
+  }
+
+  const genericCallIndex = patterns.findIndex((p) => p.name === "entity.name.function.angelscript");
+  const insertIndex = genericCallIndex >= 0 ? genericCallIndex : patterns.length;
+  patterns.splice(insertIndex, 0, pattern);
+}
+
+export function upsertOpenplanetVariableDefinitionPatterns(grammar, typeChunks) {
+  const patterns = grammar.repository.declarations.patterns;
+
+  const isOpenplanetVarPattern = (p) =>
+    typeof p?.name === "string" &&
+    (p.name.startsWith("meta.variable.definition.openplanet.angelscript") ||
+      p.name.startsWith("meta.variable.definition.const.openplanet.angelscript"));
+
+  for (let i = patterns.length - 1; i >= 0; i--) {
+    if (isOpenplanetVarPattern(patterns[i])) patterns.splice(i, 1);
+  }
+
+  const constPatterns = typeChunks.map((chunk, i) => ({
+    name: `meta.variable.definition.const.openplanet.angelscript.${i}`,
+    match: String.raw`\b(const)\s+(${chunk})(?:\s*<\s*([A-Za-z_]\w*(?:\s*::\s*[A-Za-z_]\w*)*)\s*(?:[@&]+)?\s*>)?(?:\s*\[\])*(?:\s*[@&]+)?(?:\s*(?:in|out|inout)\b)?\s+([A-Za-z_]\w*)\b(?=\s*(?:=|;|,|\)|\]|\}))`,
+    captures: {
+      1: { name: "storage.modifier.angelscript" },
+      2: { name: "support.type.openplanet.angelscript" },
+      3: { name: "entity.name.type.angelscript" },
+      4: { name: "variable.other.constant.angelscript" },
+    },
+  }));
+
+  const nonConstPatterns = typeChunks.map((chunk, i) => ({
+    name: `meta.variable.definition.openplanet.angelscript.${i}`,
+    match: String.raw`\b(?!return\b|if\b|for\b|while\b|switch\b|case\b|break\b|continue\b|else\b|new\b|delete\b)(${chunk})(?:\s*<\s*([A-Za-z_]\w*(?:\s*::\s*[A-Za-z_]\w*)*)\s*(?:[@&]+)?\s*>)?(?:\s*\[\])*(?:\s*[@&]+)?(?:\s*(?:in|out|inout)\b)?\s+([A-Za-z_]\w*)\b(?=\s*(?:=|;|,|\)|\]|\}))`,
+    captures: {
+      1: { name: "support.type.openplanet.angelscript" },
+      2: { name: "entity.name.type.angelscript" },
+      3: { name: "variable.other.readwrite.angelscript" },
+    },
+  }));
+
+  const constIndex = patterns.findIndex((p) => p.name === "meta.variable.definition.const.angelscript");
+  const insertConstAt = constIndex >= 0 ? constIndex : patterns.length;
+  patterns.splice(insertConstAt, 0, ...constPatterns);
+
+  const varIndex = patterns.findIndex((p) => p.name === "meta.variable.definition.angelscript");
+  const insertVarAt = varIndex >= 0 ? varIndex : patterns.length;
+  patterns.splice(insertVarAt, 0, ...nonConstPatterns);
+}
+
+export function updateConstructorCallPattern(grammar) {
+  findPatternByName(grammar, "meta.constructor.call.angelscript").match =
+    String.raw`(?<=\bnew\s)(?!(?:CoroutineFunc|CoroutineFuncUserdata)\b)([A-Z][A-Za-z0-9_]*)\b(?=\s*\()`;
+}
+
+function moveIncludeAfter(patterns, includeToMove, includeAfter) {
+  const moveIndex = patterns.findIndex((pattern) => pattern?.include === includeToMove);
+  if (moveIndex < 0) return;
+
+  const afterIndex = patterns.findIndex((pattern) => pattern?.include === includeAfter);
+  if (afterIndex < 0 || moveIndex === afterIndex + 1) return;
+
+  const [entry] = patterns.splice(moveIndex, 1);
+  const nextAfterIndex = patterns.findIndex((pattern) => pattern?.include === includeAfter);
+  const insertIndex = nextAfterIndex >= 0 ? nextAfterIndex + 1 : patterns.length;
+  patterns.splice(insertIndex, 0, entry);
+}
+
+export function stabilizeFunctionAndTypeScopes(grammar) {
+  if (Array.isArray(grammar.patterns)) {
+    moveIncludeAfter(grammar.patterns, "#types", "#functionCalls");
+  }
+
+  const typeIdentifierPatterns = grammar?.repository?.typeIdentifiers?.patterns;
+  if (Array.isArray(typeIdentifierPatterns) && typeIdentifierPatterns.length > 0) {
+    const primaryTypeIdentifierPattern = typeIdentifierPatterns[0];
+    if (
+      primaryTypeIdentifierPattern &&
+      primaryTypeIdentifierPattern.name === "entity.name.type.angelscript"
+    ) {
+      primaryTypeIdentifierPattern.match =
+        String.raw`\b[A-Z][A-Za-z0-9]*[a-z][A-Za-z0-9_]*\b(?!\s*\()`;
+    }
+  }
+}
+
+export const grammarHashKey = "openplanetGrammarHash";
+
+/** Hashes the grammar content (without the stored hash) so reruns can detect "no change". */
+export function grammarContentHash(grammar) {
+  const { [grammarHashKey]: _storedHash, ...content } = grammar;
+  return `sha256-${crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex")}`;
+}
+
+function readExistingGrammarHash(grammarPath) {
+  try {
+    return grammarContentHash(readJson(grammarPath));
+  } catch {
+    return null;
+  }
+}
+
+function readPreviousSnapshot(snapshotPath) {
+  try {
+    return readJson(snapshotPath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Diffs the symbols against the snapshot kept from the previous run, writes
+ * `symbol-diff.json`/`symbol-diff.md` and replaces the snapshot. Also writes
+ * `symbol-provenance.json`, which records the installs each symbol came from
+ * (from `symbols.byInstall`, so no metadata file is read again).
+ */
+export function writeSymbolReports(reportDir, symbols, sourcePaths) {
+  fs.mkdirSync(reportDir, { recursive: true });
+  const snapshotPath = path.join(reportDir, "symbols.json");
+  const snapshot = createSymbolSnapshot(symbols, { source: describeSymbolSource(sourcePaths) });
+  const report = diffSymbolSnapshots(readPreviousSnapshot(snapshotPath), snapshot);
+  const jsonPath = path.join(reportDir, "symbol-diff.json");
+  const markdownPath = path.join(reportDir, "symbol-diff.md");
+  fs.writeFileSync(jsonPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+  fs.writeFileSync(markdownPath, renderSymbolDiffMarkdown(report), "utf8");
+  fs.writeFileSync(snapshotPath, `${JSON.stringify(snapshot, null, 2)}\n`, "utf8");
+
+  const provenance = buildMetadataSnapshot({
+    labeled: symbols.byInstall,
+    snapshots: sourcePaths.snapshotPaths.map(readMetadataSnapshot),
+  });
+  const provenancePath = path.join(reportDir, "symbol-provenance.json");
+  fs.writeFileSync(provenancePath, serializeMetadataSnapshot(provenance), "utf8");
+  return { report, jsonPath, markdownPath, provenancePath };
+}
+
+/**
+ * Patches a grammar object in place with discovered symbols (see
+ * `collectSymbolsFromSources`) and returns the counts behind the patterns.
+ */
+export function applySymbolsToGrammar(grammar, symbols) {
+  applyStaticGrammarMetadata(grammar);
+  const { namespaces, types, globalFunctions, enums, dependencies } = symbols;
+  const dependencyNamespaces = [...dependencies.namespaces].filter((ns) => !namespaces.has(ns));
+
+  const namespaceAlternation = makeAlternation(namespaces);
+  const dependencyAlternation =
+    dependencyNamespaces.length > 0 ? makeAlternation(dependencyNamespaces) : null;
+  const typeChunks = chunkAlternation(types);
+  const globalFunctionAlternation = makeAlternation(globalFunctions);
+
+  setNamespaceMatches(grammar, namespaceAlternation);
+  upsertDeepBuiltinScopePatterns(grammar, namespaceAlternation);
+  upsertDependencyNamespacePatterns(grammar, namespaceAlternation, dependencyAlternation);
+  upsertEnumMemberPatterns(grammar, namespaceAlternation, enums, namespaces, types);
+  upsertCaseLabelEnumMembers(grammar, enums);
+  upsertKnownTypePatterns(grammar, typeChunks);
+  upsertBuiltinGlobalFunctions(grammar, globalFunctionAlternation);
+  upsertOpenplanetVariableDefinitionPatterns(grammar, typeChunks);
+  updateConstructorCallPattern(grammar);
+  stabilizeFunctionAndTypeScopes(grammar);
+
+  return {
+    namespaces: namespaces.size,
+    dependencyNamespaces: dependencyNamespaces.length,
+    types: types.size,
+    typeChunks: typeChunks.length,
+    globalFunctions: globalFunctions.size,
+    enums: enums.size,
+  };
+}
+
+function collectWarnings(sourcePaths, symbols) {
+  const warnings = [];
+  if (sourcePaths.usedFallbackSnapshot) {
+    warnings.push("No Openplanet install found; symbols come from the fallback snapshot.");
+  }
+  for (const plugin of symbols.dependencies.plugins) {
+    if (plugin.error) warnings.push(`Dependency plugin ${plugin.id} skipped: ${plugin.error}`);
+  }
+  warnings.push(...formatMetadataWarnings(symbols.metadataWarnings || []));
+  return warnings;
+}
+
+/**
+ * Runs the whole pipeline: resolves metadata sources (`sourceArgs` takes the
+ * CLI option names, see `resolveSourcePaths`), collects symbols, patches the
+ * grammar at `grammarPath` and, unless `write` is false, writes it to
+ * `outPath` when its content hash changed (always with `force`) plus the
+ * symbol reports when a `reportDir` is given. Skipped metadata entries end up in `warnings` (capped
+ * for logs) and `metadataWarnings` (every `{file, path, message}`). Throws
+ * when no metadata source is found or a file stays unparseable.
+ */
+export function generateGrammar({
+  sourceArgs = {},
+  discovery = {},
+  grammarPath = defaultGrammarPath,
+  outPath = grammarPath,
+  reportDir = null,
+  write = true,
+  force = false,
+} = {}) {
+  const sourcePaths = resolveSourcePaths(sourceArgs, discovery);
+  const grammar = readJson(grammarPath);
+  const symbols = collectSymbolsFromSources(sourcePaths);
+  const counts = applySymbolsToGrammar(grammar, symbols);
+
+  const resolvedOutPath = path.resolve(outPath);
+  const hash = grammarContentHash(grammar);
+  grammar[grammarHashKey] = hash;
+  const upToDate = readExistingGrammarHash(resolvedOutPath) === hash;
+
+  let written = false;
+  let reports = null;
+  if (write) {
+    if (force || !upToDate) {
+      fs.mkdirSync(path.dirname(resolvedOutPath), { recursive: true });
+      fs.writeFileSync(resolvedOutPath, `${JSON.stringify(grammar, null, 2)}\n`, "utf8");
+      written = true;
+    }
+    if (reportDir) reports = writeSymbolReports(reportDir, symbols, sourcePaths);
+  }
+
+  return {
+    sourcePaths,
+    symbols,
+    counts,
+    warnings: collectWarnings(sourcePaths, symbols),
+    metadataWarnings: symbols.metadataWarnings,
+    grammar,
+    hash,
+    outPath: resolvedOutPath,
+    upToDate,
+    written,
+    reports,
+  };
+}
+
+/** Formats a `generateGrammar` result as the CLI's summary lines. */
+export function formatGenerationLog(result) {
+  const { sourcePaths, symbols, counts, reports } = result;
+  const lines = [
+    result.upToDate && !result.written
+      ? `Grammar unchanged: ${result.outPath}`
+      : `Updated grammar: ${result.outPath}`,
+    `Grammar hash: ${result.hash}`,
+    `Install dirs: ${sourcePaths.installDirs.length}`,
+    ...formatProbedInstallDirs(sourcePaths.probedInstallDirs),
+    `Core JSON files: ${sourcePaths.coreJsonPaths.length}`,
+    `Game JSON files: ${sourcePaths.gameJsonPaths.length}`,
+    `Header files: ${sourcePaths.headerPaths.length}`,
+    `Snapshot files: ${sourcePaths.snapshotPaths.length}` +
+      (sourcePaths.usedFallbackSnapshot ? " (fallback, no Openplanet install found)" : ""),
+    `Namespaces: ${counts.namespaces}`,
+  ];
+  for (const plugin of symbols.dependencies.plugins) {
+    if (plugin.error) lines.push(`Dependency plugin ${plugin.id}: skipped (${plugin.error})`);
+    else lines.push(`Dependency plugin ${plugin.id}: ${plugin.exports.length} export file(s)`);
+  }
+  lines.push(
+    `Dependency namespaces: ${counts.dependencyNamespaces}`,
+    `Types: ${counts.types} (${counts.typeChunks} chunk(s))`,
+    `Global built-in functions: ${counts.globalFunctions}`,
+    `Enums: ${counts.enums}`,
+  );
+  if (reports) {
+    lines.push(
+      `Symbol changes: ${reports.report.added} added, ${reports.report.removed} removed` +
+        (reports.report.hasPrevious ? "" : " (new baseline)"),
+      `Symbol report: ${reports.markdownPath}`,
+      `Symbol report JSON: ${reports.jsonPath}`,
+      `Symbol provenance: ${reports.provenancePath}`,
+    );
+  }
+  return lines;
+}
+
+/** Writes a versioned symbol snapshot of the resolved sources to `snapshotPath`. */
+export function exportMetadataSnapshot({ sourceArgs = {}, discovery = {}, snapshotPath }) {
+  const sourcePaths = resolveSourcePaths(sourceArgs, discovery);
+  const snapshot = buildMetadataSnapshot({
+    labeled: collectSymbolsByInstall(sourcePaths),
+    snapshots: sourcePaths.snapshotPaths.map(readMetadataSnapshot),
+  });
+  const outPath = path.resolve(snapshotPath);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, serializeMetadataSnapshot(snapshot), "utf8");
+  return { sourcePaths, snapshot, outPath };
+}
@@ -0,0 +1,22 @@
+import { parentPort, workerData } from "node:worker_threads";
+
+import { formatGenerationLog, generateGrammar } from "./openplanet-grammar-generator.mjs";
+
+// Runs `generateGrammar(workerData)` off the extension host thread. Only a
+// summary is posted back; the grammar and symbol sets stay in the worker.
+try {
+  const result = generateGrammar(workerData);
+  parentPort.postMessage({
+    ok: true,
+    outPath: result.outPath,
+    hash: result.hash,
+    upToDate: result.upToDate,
+    written: result.written,
+    counts: result.counts,
+    warnings: result.warnings,
+    metadataWarningCount: result.metadataWarnings.length,
+    log: formatGenerationLog(result),
+  });
+} catch (err) {
+  parentPort.postMessage({ ok: false, error: err instanceof Error ? err.message : String(err) });
+}
@@ -0,0 +1,458 @@
+const bareKeyRx = /[A-Za-z0-9_-]/;
+const integerRx = /^[+-]?(?:0x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*|0o[0-7](?:_?[0-7])*|0b[01](?:_?[01])*|\d(?:_?\d)*)$/;
+const floatRx = /^[+-]?(?:\d(?:_?\d)*(?:\.\d(?:_?\d)*)?(?:[eE][+-]?\d(?:_?\d)*)?|inf|nan)$/;
+const dateTimeRx = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?$|^\d{2}:\d{2}:\d{2}(?:\.\d+)?$/;
+const escapeChars = new Set(["b", "t", "n", "f", "r", '"', "\\"]);
+
+/**
+ * The `info.toml` keys Openplanet reads. `string[]` values are arrays of
+ * strings; `file` marks entries that name script files of the plugin.
+ */
+export const infoTomlSchema = {
+  meta: {
+    description: "Plugin metadata shown in the Openplanet plugin manager.",
+    keys: {
+      name: { type: "string", required: true, description: "Display name of the plugin." },
+      author: { type: "string", description: "Author shown in the plugin manager." },
+      category: { type: "string", description: "Category the plugin is listed under." },
+      version: { type: "string", required: true, description: "Plugin version, e.g. `1.0.3`." },
+      siteid: { type: "integer", description: "Openplanet website plugin ID, used for updates." },
+      blocks: { type: "string[]", description: "Plugin IDs that cannot be loaded alongside this one." },
+      essential: { type: "boolean", description: "Whether the plugin cannot be disabled." },
+      perms: {
+        type: "string",
+        description: "Permission the player needs to load the plugin, e.g. `paid` for Club access.",
+      },
+    },
+  },
+  script: {
+    description: "How Openplanet compiles and links the plugin's scripts.",
+    keys: {
+      timeout: { type: "integer", description: "Script timeout in milliseconds (0 disables it)." },
+      dependencies: { type: "string[]", description: "Plugin IDs that must be loaded first." },
+      optional_dependencies: {
+        type: "string[]",
+        description: "Plugin IDs that are used when installed, but are not required.",
+      },
+      exports: {
+        type: "string[]",
+        file: "export",
+        description: "Script files exposed to dependent plugins.",
+      },
+      shared_exports: {
+        type: "string[]",
+        file: "export",
+        description: "Script files shared with dependent plugins, e.g. shared classes.",
+      },
+      imports: {
+        type: "string[]",
+        file: "import",
+        description: "Shared Openplanet scripts to compile in, e.g. `Icons.as`.",
+      },
+      defines: { type: "string[]", description: "Preprocessor defines declared by this plugin." },
+      module: { type: "string", description: "Name dependent plugins use for this plugin's exports." },
+    },
+  },
+  game: {
+    description: "Game versions the plugin loads on.",
+    keys: {
+      min_version: {
+        type: "string",
+        description: "Oldest game version (build date string) the plugin loads on.",
+      },
+      max_version: {
+        type: "string",
+        description: "Newest game version (build date string) the plugin loads on.",
+      },
+    },
+  },
+};
+
+function describeType(type) {
+  return type === "string[]" ? "an array of strings" : `a ${type}`;
+}
+
+function matchesType(value, type) {
+  if (type === "string[]") return value.type === "array";
+  if (type === "float") return value.type === "float" || value.type === "integer";
+  return value.type === type;
+}
+
+/**
+ * Parses the TOML subset `info.toml` files use (tables, dotted/quoted keys,
+ * strings, numbers, booleans, dates, arrays and inline tables) while keeping
+ * offsets for every key and value so diagnostics can point at them.
+ */
+export function parseToml(text) {
+  const entries = [];
+  const tables = [];
+  const errors = [];
+  let pos = 0;
+  let currentTable = "";
+
+  function error(message, start, end = start + 1) {
+    errors.push({ message, start, end: Math.max(end, start + 1) });
+  }
+
+  function skipInline() {
+    while (text[pos] === " " || text[pos] === "\t") pos++;
+  }
+
+  function skipComment() {
+    if (text[pos] !== "#") return;
+    while (pos < text.length && text[pos] !== "\n") pos++;
+  }
+
+  function skipBlank() {
+    for (;;) {
+      skipInline();
+      skipComment();
+      if (text[pos] === "\r" || text[pos] === "\n") pos++;
+      else return;
+    }
+  }
+
+  function skipToLineEnd() {
+    while (pos < text.length && text[pos] !== "\n") pos++;
+  }
+
+  function expectLineEnd() {
+    skipInline();
+    skipComment();
+    if (pos < text.length && text[pos] !== "\n" && text[pos] !== "\r") {
+      const start = pos;
+      skipToLineEnd();
+      error("Expected the end of the line.", start, pos);
+    }
+  }
+
+  function parseString(start) {
+    const literal = text[pos] === "'";
+    const quote = text[pos];
+    const multiline = text.startsWith(quote.repeat(3), pos);
+    const closer = multiline ? quote.repeat(3) : quote;
+    pos += closer.length;
+    let value = "";
+    while (pos < text.length) {
+      if (text.startsWith(closer, pos)) {
+        pos += closer.length;
+        return { type: "string", value, start, end: pos };
+      }
+      const ch = text[pos];
+      if (ch === "\n" && !multiline) break;
+      if (ch === "\\" && !literal) {
+        const next = text[pos + 1];
+        if (escapeChars.has(next)) {
+          value += { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r" }[next] ?? next;
+          pos += 2;
+        } else if (next === "u" || next === "U") {
+          const length = next === "u" ? 4 : 8;
+          const hex = text.slice(pos + 2, pos + 2 + length);
+          if (/^[0-9A-Fa-f]+$/.test(hex) && hex.length === length) {
+            value += String.fromCodePoint(parseInt(hex, 16));
+          } else {
+            error("Invalid unicode escape.", pos, pos + 2);
+          }
+          pos += 2 + length;
+        } else if (multiline && /[ \t\r\n]/.test(next ?? "")) {
+          pos++;
+          while (/[ \t\r\n]/.test(text[pos] ?? "")) pos++;
+        } else {
+          error(`Invalid escape sequence "\\${next ?? ""}".`, pos, pos + 2);
+          pos += 2;
+        }
+        continue;
+      }
+      value += ch;
+      pos++;
+    }
+    error("Unterminated string.", start, pos);
+    return { type: "string", value, start, end: pos };
+  }
+
+  function parseArray(start) {
+    pos++;
+    const items = [];
+    for (;;) {
+      skipBlank();
+      if (pos >= text.length) {
+        error("Unterminated array.", start, pos);
+        break;
+      }
+      if (text[pos] === "]") {
+        pos++;
+        break;
+      }
+      const item = parseValue();
+      if (!item) {
+        skipToLineEnd();
+        break;
+      }
+      items.push(item);
+      skipBlank();
+      if (text[pos] === ",") pos++;
+      else if (text[pos] !== "]") {
+        error('Expected "," or "]" in array.', pos);
+        skipToLineEnd();
+        break;
+      }
+    }
+    return { type: "array", value: items.map((item) => item.value), items, start, end: pos };
+  }
+
+  function parseInlineTable(start) {
+    pos++;
+    const value = {};
+    skipInline();
+    if (text[pos] === "}") {
+      pos++;
+      return { type: "table", value, start, end: pos };
+    }
+    for (;;) {
+      skipInline();
+      const key = parseKey();
+      if (!key) break;
+      skipInline();
+      if (text[pos] !== "=") {
+        error('Expected "=" after key.', pos);
+        break;
+      }
+      pos++;
+      skipInline();
+      const item = parseValue();
+      if (!item) break;
+      value[key.name] = item.value;
+      skipInline();
+      if (text[pos] === ",") pos++;
+      else if (text[pos] === "}") {
+        pos++;
+        return { type: "table", value, start, end: pos };
+      } else {
+        error('Expected "," or "}" in inline table.', pos);
+        break;
+      }
+    }
+    skipToLineEnd();
+    return { type: "table", value, start, end: pos };
+  }
+
+  function parseValue() {
+    const start = pos;
+    const ch = text[pos];
+    if (ch === '"' || ch === "'") return parseString(start);
+    if (ch === "[") return parseArray(start);
+    if (ch === "{") return parseInlineTable(start);
+
+    while (pos < text.length && /[0-9A-Za-z_+\-.:]/.test(text[pos])) pos++;
+    const isDate = /^\d{4}-\d{2}-\d{2}$/.test(text.slice(start, pos));
+    if (isDate && text[pos] === " " && /\d/.test(text[pos + 1] ?? "")) {
+      pos++;
+      while (pos < text.length && /[0-9A-Za-z_+\-.:]/.test(text[pos])) pos++;
+    }
+    const raw = text.slice(start, pos);
+    if (raw === "true" || raw === "false") return { type: "boolean", value: raw === "true", start, end: pos };
+    if (integerRx.test(raw)) return { type: "integer", value: Number(raw.replace(/_/g, "")), start, end: pos };
+    if (floatRx.test(raw)) return { type: "float", value: Number(raw.replace(/_/g, "")), start, end: pos };
+    if (dateTimeRx.test(raw)) return { type: "datetime", value: raw, start, end: pos };
+    error(raw ? `Invalid value "${raw}".` : "Expected a value.", start, pos);
+    return null;
+  }
+
+  function parseKey() {
+    skipInline();
+    const start = pos;
+    const parts = [];
+    let end = pos;
+    for (;;) {
+      skipInline();
+      if (text[pos] === '"' || text[pos] === "'") {
+        const quoted = parseString(pos);
+        parts.push(quoted.value);
+      } else {
+        const partStart = pos;
+        while (pos < text.length && bareKeyRx.test(text[pos])) pos++;
+        if (pos === partStart) {
+          error("Expected a key.", pos);
+          return null;
+        }
+        parts.push(text.slice(partStart, pos));
+      }
+      end = pos;
+      skipInline();
+      if (text[pos] !== ".") break;
+      pos++;
+    }
+    return { name: parts.join("."), start, end };
+  }
+
+  for (;;) {
+    skipBlank();
+    if (pos >= text.length) break;
+    const lineStart = pos;
+
+    if (text[pos] === "[") {
+      const isArray = text[pos + 1] === "[";
+      pos += isArray ? 2 : 1;
+      const key = parseKey();
+      const closer = isArray ? "]]" : "]";
+      if (!key || !text.startsWith(closer, pos)) {
+        if (key) error(`Expected "${closer}" after table name.`, pos);
+        skipToLineEnd();
+        continue;
+      }
+      pos += closer.length;
+      currentTable = key.name;
+      tables.push({
+        name: key.name,
+        isArray,
+        start: lineStart,
+        end: pos,
+        nameStart: key.start,
+        nameEnd: key.end,
+      });
+      expectLineEnd();
+      continue;
+    }
+
+    const key = parseKey();
+    if (!key) {
+      skipToLineEnd();
+      continue;
+    }
+    skipInline();
+    if (text[pos] !== "=") {
+      error('Expected "=" after key.', pos);
+      skipToLineEnd();
+      continue;
+    }
+    pos++;
+    skipInline();
+    const value = parseValue();
+    if (!value) {
+      skipToLineEnd();
+      continue;
+    }
+    entries.push({ table: currentTable, key: key.name, keyStart: key.start, keyEnd: key.end, value });
+    expectLineEnd();
+  }
+
+  return { entries, tables, errors };
+}
+
+/**
+ * Validates an `info.toml` against `infoTomlSchema`. `options.fileExists(kind,
+ * relativePath)` checks `exports`/`imports` entries; returning null skips the
+ * check when the file cannot be verified. Diagnostics use document offsets.
+ */
+export function validateInfoToml(text, options = {}) {
+  const { entries, tables, errors } = parseToml(text);
+  const diagnostics = errors.map((item) => ({ ...item, severity: "error", code: "toml-syntax" }));
+  const report = (severity, code, message, start, end) =>
+    diagnostics.push({ severity, code, message, start, end });
+
+  for (const table of tables) {
+    if (table.isArray || !infoTomlSchema[table.name]) {
+      const known = Object.keys(infoTomlSchema).map((name) => `[${name}]`).join(", ");
+      const message = `Unknown table "[${table.name}]". Openplanet reads ${known}.`;
+      report("warning", "unknown-table", message, table.nameStart, table.nameEnd);
+    }
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    const schema = infoTomlSchema[entry.table];
+    if (!schema) {
+      if (!entry.table) {
+        const message = `Key "${entry.key}" must be declared inside [meta] or [script].`;
+        report("warning", "unknown-key", message, entry.keyStart, entry.keyEnd);
+      }
+      continue;
+    }
+
+    const id = `${entry.table}.${entry.key}`;
+    if (seen.has(id)) {
+      const message = `Duplicate key "${entry.key}" in [${entry.table}].`;
+      report("error", "duplicate-key", message, entry.keyStart, entry.keyEnd);
+      continue;
+    }
+    seen.add(id);
+
+    const keySchema = schema.keys[entry.key];
+    if (!keySchema) {
+      const message = `Unknown key "${entry.key}" in [${entry.table}].`;
+      report("warning", "unknown-key", message, entry.keyStart, entry.keyEnd);
+      continue;
+    }
+    if (!matchesType(entry.value, keySchema.type)) {
+      report(
+        "error",
+        "wrong-type",
+        `"${entry.key}" must be ${describeType(keySchema.type)}, found ${entry.value.type}.`,
+        entry.value.start,
+        entry.value.end,
+      );
+      continue;
+    }
+    if (keySchema.type !== "string[]") continue;
+
+    for (const item of entry.value.items) {
+      if (item.type !== "string") {
+        const message = `"${entry.key}" entries must be strings, found ${item.type}.`;
+        report("error", "wrong-type", message, item.start, item.end);
+        continue;
+      }
+      if (keySchema.file && options.fileExists?.(keySchema.file, item.value) === false) {
+        const where =
+          keySchema.file === "import" ? "the plugin or the shared Openplanet scripts" : "the plugin folder";
+        const message = `${entry.key} entry "${item.value}" does not exist in ${where}.`;
+        report("warning", "missing-file", message, item.start, item.end);
+      }
+    }
+  }
+
+  const metaTable = tables.find((table) => table.name === "meta" && !table.isArray);
+  for (const [key, keySchema] of Object.entries(infoTomlSchema.meta.keys)) {
+    if (!keySchema.required || seen.has(`meta.${key}`)) continue;
+    const start = metaTable ? metaTable.nameStart : 0;
+    const firstLineEnd = text.indexOf("\n");
+    const end = metaTable ? metaTable.nameEnd : firstLineEnd < 0 ? text.length : firstLineEnd;
+    report("error", "missing-required", `Missing required [meta] key "${key}".`, start, end);
+  }
+
+  return diagnostics.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Returns table-name completions after `[` and key completions at the start of
+ * a line (keys already present in the current table are left out).
+ */
+export function getInfoTomlCompletions(text, offset) {
+  const lineStart = text.lastIndexOf("\n", offset - 1) + 1;
+  const linePrefix = text.slice(lineStart, offset);
+
+  const tableMatch = /^\s*\[\s*([\w-]*)$/.exec(linePrefix);
+  if (tableMatch) {
+    const items = Object.entries(infoTomlSchema).map(([name, schema]) => ({
+      name,
+      type: "table",
+      description: schema.description,
+    }));
+    return { context: "table", table: "", prefix: tableMatch[1], items };
+  }
+
+  const keyMatch = /^\s*([\w-]*)$/.exec(linePrefix);
+  if (!keyMatch) return null;
+
+  const lineEnd = text.indexOf("\n", offset);
+  const rest = lineEnd < 0 ? "" : text.slice(lineEnd);
+  const { entries, tables } = parseToml(text.slice(0, lineStart) + rest);
+  const table = tables.filter((item) => item.start < lineStart).pop()?.name ?? "";
+  const schema = infoTomlSchema[table];
+  if (!schema) return null;
+
+  const present = new Set(entries.filter((entry) => entry.table === table).map((entry) => entry.key));
+  const items = Object.entries(schema.keys)
+    .filter(([name]) => !present.has(name))
+    .map(([name, keySchema]) => ({ name, ...keySchema }));
+  return { context: "key", table, prefix: keyMatch[1], items };
+}
@@ -0,0 +1,122 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { defaultInstallDirNames, resolveUniquePaths } from "./openplanet-grammar-config.mjs";
+
+// Steam roots relative to the home directory: native, Flatpak, then the
+// `~/.steam` links, so deduplicated installs keep their real path.
+const steamRootNames = [
+  ".local/share/Steam",
+  ".var/app/com.valvesoftware.Steam/.local/share/Steam",
+  ".steam/steam",
+  ".steam/root",
+];
+
+function listSubdirs(dirPath) {
+  let names;
+  try {
+    names = fs.readdirSync(dirPath);
+  } catch {
+    return [];
+  }
+  return names
+    .filter((name) => {
+      try {
+        return fs.statSync(path.join(dirPath, name)).isDirectory();
+      } catch {
+        return false;
+      }
+    })
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// Extra Steam library folders (games installed on other drives) from libraryfolders.vdf.
+function readSteamLibraryPaths(steamRoot) {
+  const libraries = [];
+  for (const vdfPath of [
+    path.join(steamRoot, "steamapps", "libraryfolders.vdf"),
+    path.join(steamRoot, "config", "libraryfolders.vdf"),
+  ]) {
+    let text;
+    try {
+      text = fs.readFileSync(vdfPath, "utf8");
+    } catch {
+      continue;
+    }
+    for (const match of text.matchAll(/"path"\s+"((?:[^"\\]|\\.)*)"/g)) {
+      libraries.push(match[1].replace(/\\(.)/g, "$1"));
+    }
+  }
+  return libraries;
+}
+
+/**
+ * Lists Wine prefixes that may hold an Openplanet install: `WINEPREFIX`,
+ * `~/.wine`, and every Proton prefix (`steamapps/compatdata/<appid>/pfx`) in
+ * the known Steam roots and their library folders.
+ */
+export function listWinePrefixes({ homeDir = os.homedir(), env = process.env } = {}) {
+  const prefixes = [];
+  if (env.WINEPREFIX) prefixes.push(env.WINEPREFIX);
+  prefixes.push(path.join(homeDir, ".wine"));
+
+  const steamRoots = steamRootNames.map((name) => path.join(homeDir, name));
+  const libraries = resolveUniquePaths([...steamRoots, ...steamRoots.flatMap(readSteamLibraryPaths)]);
+  for (const library of libraries) {
+    const compatDataDir = path.join(library, "steamapps", "compatdata");
+    for (const appId of listSubdirs(compatDataDir)) {
+      prefixes.push(path.join(compatDataDir, appId, "pfx"));
+    }
+  }
+  return resolveUniquePaths(prefixes);
+}
+
+/**
+ * Lists the default install folders to probe: `OpenplanetNext`,
+ * `OpenplanetTurbo` and `Openplanet4` in the home directory and, off Windows,
+ * in every user folder of each Wine/Proton prefix.
+ */
+export function listInstallDirCandidates({
+  homeDir = os.homedir(),
+  platform = process.platform,
+  env = process.env,
+} = {}) {
+  const userDirs = [homeDir];
+  if (platform !== "win32") {
+    for (const prefix of listWinePrefixes({ homeDir, env })) {
+      const usersDir = path.join(prefix, "drive_c", "users");
+      for (const user of listSubdirs(usersDir)) {
+        if (user !== "Public") userDirs.push(path.join(usersDir, user));
+      }
+    }
+  }
+  return resolveUniquePaths(
+    userDirs.flatMap((userDir) => defaultInstallDirNames.map((name) => path.join(userDir, name))),
+  );
+}
+
+/**
+ * Probes candidate install folders, returning `{installDirs, probed}` where
+ * `probed` lists every candidate with `found`. Folders reached through more
+ * than one path (`~/.steam/steam` usually links to `~/.local/share/Steam`)
+ * are only returned once.
+ */
+export function probeInstallDirs(candidates) {
+  const probed = [];
+  const installDirs = [];
+  const seen = new Set();
+  for (const dir of candidates) {
+    let realPath = null;
+    try {
+      if (fs.statSync(dir).isDirectory()) realPath = fs.realpathSync(dir);
+    } catch {
+      // Missing candidates are reported as not found.
+    }
+    probed.push({ dir, found: realPath !== null });
+    if (realPath === null || seen.has(realPath)) continue;
+    seen.add(realPath);
+    installDirs.push(dir);
+  }
+  return { installDirs, probed };
+}
@@ -0,0 +1,234 @@
+import fs from "node:fs";
+
+import { identRx, namespaceRx } from "./openplanet-grammar-config.mjs";
+
+// Delays before re-reading a metadata file that Openplanet may still be writing.
+export const defaultReadRetryDelaysMs = [100, 250, 500];
+
+const retryableReadErrorCodes = new Set(["ENOENT", "EBUSY", "EPERM"]);
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isRetryableReadError(err) {
+  return err instanceof SyntaxError || retryableReadErrorCodes.has(err?.code);
+}
+
+function readFailedError(filePath, err, attempts) {
+  const reason = err instanceof SyntaxError ? "invalid JSON" : "unreadable";
+  return new Error(
+    `Openplanet metadata file is ${reason} after ${attempts} attempt(s): ${filePath}: ${err.message}`,
+  );
+}
+
+/**
+ * Reads and parses a metadata JSON file, retrying with backoff while it looks
+ * partially written (truncated JSON, or the file briefly missing or locked).
+ * Throws an error naming the file once every retry has failed. The retries
+ * block the calling thread, so this is for the CLI and the generator worker;
+ * the extension host uses `readMetadataJsonAsync`.
+ */
+export function readMetadataJson(filePath, { retryDelaysMs = defaultReadRetryDelaysMs } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      if (!isRetryableReadError(err) || attempt >= retryDelaysMs.length) {
+        throw readFailedError(filePath, err, attempt + 1);
+      }
+      sleepSync(retryDelaysMs[attempt]);
+    }
+  }
+}
+
+/** Like `readMetadataJson`, but reads and waits between retries without blocking. */
+export async function readMetadataJsonAsync(filePath, { retryDelaysMs = defaultReadRetryDelaysMs } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    } catch (err) {
+      if (!isRetryableReadError(err) || attempt >= retryDelaysMs.length) {
+        throw readFailedError(filePath, err, attempt + 1);
+      }
+      await new Promise((resolve) => setTimeout(resolve, retryDelaysMs[attempt]));
+    }
+  }
+}
+
+function jsonPathKey(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return identRx.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+function createReporter(file, warnings) {
+  return (jsonPath, message) => warnings.push({ file, path: jsonPath, message });
+}
+
+function checkEnumValues(values, jsonPath, report) {
+  if (Array.isArray(values)) {
+    values.forEach((value, i) => {
+      const name = typeof value === "string" ? value : value?.name ?? value?.n;
+      if (typeof name !== "string" || !identRx.test(name)) {
+        report(jsonPathKey(jsonPath, i), `enum value skipped: invalid name ${JSON.stringify(name)}`);
+      }
+    });
+    return;
+  }
+  if (isObject(values)) {
+    for (const name of Object.keys(values)) {
+      if (!identRx.test(name)) {
+        report(jsonPathKey(jsonPath, name), `enum value skipped: invalid name ${JSON.stringify(name)}`);
+      }
+    }
+    return;
+  }
+  report(jsonPath, "enum has no values: expected an object or an array");
+}
+
+function checkList(value, jsonPath, report) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    report(jsonPath, "skipped: expected an array");
+    return [];
+  }
+  return value;
+}
+
+function checkNamedEntries(list, listPath, label, report) {
+  checkList(list, listPath, report).forEach((item, i) => {
+    const itemPath = jsonPathKey(listPath, i);
+    if (!isObject(item)) {
+      report(itemPath, `${label} skipped: expected an object`);
+    } else if (typeof item.name !== "string" || !identRx.test(item.name)) {
+      report(`${itemPath}.name`, `${label} skipped: invalid name ${JSON.stringify(item.name)}`);
+    }
+  });
+}
+
+const coreGroups = {
+  functions: "function",
+  funcdefs: "funcdef",
+  props: "property",
+  classes: "class",
+  enums: "enum",
+};
+
+/**
+ * Checks the shape of an `OpenplanetCore.json` document and returns a warning
+ * (`{file, path, message}`, `path` being a JSON path) for every entry the
+ * symbol collectors skip, class methods and properties included.
+ */
+export function validateCoreJson(core, file) {
+  const warnings = [];
+  const report = createReporter(file, warnings);
+  if (!isObject(core)) {
+    report("$", "skipped: expected an object");
+    return warnings;
+  }
+
+  for (const [group, label] of Object.entries(coreGroups)) {
+    checkList(core[group], `$.${group}`, report).forEach((item, i) => {
+      const itemPath = jsonPathKey(`$.${group}`, i);
+      if (!isObject(item)) {
+        report(itemPath, `${label} skipped: expected an object`);
+        return;
+      }
+      if (typeof item.name !== "string" || !identRx.test(item.name)) {
+        report(`${itemPath}.name`, `${label} skipped: invalid name ${JSON.stringify(item.name)}`);
+      }
+      if (item.ns && (typeof item.ns !== "string" || !namespaceRx.test(item.ns))) {
+        report(`${itemPath}.ns`, `namespace ignored: invalid name ${JSON.stringify(item.ns)}`);
+      }
+      if (group === "enums") checkEnumValues(item.values, `${itemPath}.values`, report);
+      if (group === "classes") {
+        checkNamedEntries(item.methods, `${itemPath}.methods`, "method", report);
+        checkNamedEntries(item.props, `${itemPath}.props`, "property", report);
+      }
+    });
+  }
+  return warnings;
+}
+
+/**
+ * Checks the shape of a game JSON document (`OpenplanetNext.json`, ...) and
+ * returns a warning for every namespace, class, enum and member the symbol
+ * collectors skip.
+ */
+export function validateGameJson(gameJson, file) {
+  const warnings = [];
+  const report = createReporter(file, warnings);
+  if (!isObject(gameJson?.ns)) {
+    report("$.ns", "skipped: expected an object of namespaces");
+    return warnings;
+  }
+
+  for (const [topNs, classes] of Object.entries(gameJson.ns)) {
+    const nsPath = jsonPathKey("$.ns", topNs);
+    if (!namespaceRx.test(topNs)) report(nsPath, "namespace ignored: invalid name");
+    if (!isObject(classes)) {
+      report(nsPath, "namespace skipped: expected an object of classes");
+      continue;
+    }
+    for (const [className, cls] of Object.entries(classes)) {
+      const classPath = jsonPathKey(nsPath, className);
+      if (!identRx.test(className)) {
+        report(classPath, "class skipped: invalid name");
+        continue;
+      }
+      if (!isObject(cls)) {
+        report(classPath, "class details skipped: expected an object");
+        continue;
+      }
+
+      const enumKey = "e" in cls ? "e" : "enums";
+      checkList(cls[enumKey], jsonPathKey(classPath, enumKey), report).forEach((en, i) => {
+        const enumPath = jsonPathKey(jsonPathKey(classPath, enumKey), i);
+        const name = en?.n ?? en?.name;
+        if (typeof name !== "string" || !identRx.test(name)) {
+          report(enumPath, `enum skipped: invalid name ${JSON.stringify(name)}`);
+          return;
+        }
+        const valuesKey = "v" in en ? "v" : "values";
+        checkEnumValues(en[valuesKey], jsonPathKey(enumPath, valuesKey), report);
+      });
+
+      const memberKey = "m" in cls ? "m" : "members";
+      checkList(cls[memberKey], jsonPathKey(classPath, memberKey), report).forEach((member, i) => {
+        const memberPath = jsonPathKey(jsonPathKey(classPath, memberKey), i);
+        const name = member?.n ?? member?.name;
+        if (typeof name !== "string" || !identRx.test(name)) {
+          report(memberPath, `member skipped: invalid name ${JSON.stringify(name)}`);
+          return;
+        }
+        const argsKey = "a" in member ? "a" : "args";
+        const args = member[argsKey];
+        if (args !== undefined && !Array.isArray(args) && typeof args !== "string") {
+          report(
+            jsonPathKey(memberPath, argsKey),
+            "member arguments ignored: expected an array or a string",
+          );
+        }
+      });
+    }
+  }
+  return warnings;
+}
+
+export function formatMetadataWarning({ file, path: jsonPath, message }) {
+  return `${file}: ${jsonPath}: ${message}`;
+}
+
+/**
+ * Formats metadata warnings for logs, keeping the first `limit` and counting
+ * the rest so a badly malformed file does not flood the output.
+ */
+export function formatMetadataWarnings(warnings, { limit = 50 } = {}) {
+  const lines = warnings.slice(0, limit).map(formatMetadataWarning);
+  if (warnings.length > limit) {
+    lines.push(`...and ${warnings.length - limit} more metadata warning(s)`);
+  }
+  return lines;
+}
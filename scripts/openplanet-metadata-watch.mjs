@@ -0,0 +1,89 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { watchedMetadataFileRx } from "./openplanet-grammar-config.mjs";
+
+export const defaultDebounceMs = 1200;
+
+/**
+ * Debounces regeneration requests and never runs two at once: a request that
+ * arrives while `run(reason)` is in flight is queued and runs once afterwards.
+ * `run` may return a promise; the next queued run waits for it to settle.
+ */
+export function createRegenerationScheduler(run, { debounceMs = defaultDebounceMs } = {}) {
+  let timer = null;
+  let running = false;
+  let pendingReason = null;
+  let disposed = false;
+
+  async function runNow(reason) {
+    if (disposed) return;
+    if (running) {
+      pendingReason = "queued change";
+      return;
+    }
+    running = true;
+    try {
+      await run(reason);
+    } catch {
+      // Failures are reported by `run`; the queue keeps going.
+    } finally {
+      running = false;
+    }
+    if (pendingReason && !disposed) {
+      const queued = pendingReason;
+      pendingReason = null;
+      runNow(queued);
+    }
+  }
+
+  function schedule(reason) {
+    if (disposed) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      runNow(reason);
+    }, debounceMs);
+  }
+
+  return {
+    schedule,
+    runNow,
+    get running() {
+      return running;
+    },
+    dispose() {
+      disposed = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pendingReason = null;
+    },
+  };
+}
+
+/**
+ * Watches install directories for `Openplanet*.json`/`Openplanet.h` changes and
+ * calls `onChange("<Install>/<file>")`. Returns a handle whose `close()` stops
+ * every watcher; directories that cannot be watched are skipped.
+ */
+export function watchInstallDirs(installDirs, onChange) {
+  const watchers = [];
+  for (const dir of installDirs) {
+    try {
+      watchers.push(
+        fs.watch(dir, { persistent: true }, (_eventType, filename) => {
+          if (!filename || !watchedMetadataFileRx.test(filename)) return;
+          onChange(`${path.basename(dir)}/${filename}`);
+        }),
+      );
+    } catch {
+      // The directory vanished between resolution and watching.
+    }
+  }
+  return {
+    dirs: installDirs,
+    close() {
+      for (const watcher of watchers) watcher.close();
+    },
+  };
+}
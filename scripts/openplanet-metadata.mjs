@@ -0,0 +1,474 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import {
+  collectInstallDirsFromEnv,
+  coreJsonFileName,
+  gameJsonFileRx,
+  identRx,
+  installLabelForPath,
+  namespaceRx,
+  normalizeBool,
+  resolveUniquePaths,
+  valueToList,
+} from "./openplanet-grammar-config.mjs";
+import { collectDependencySymbols } from "./openplanet-dependencies.mjs";
+import { listInstallDirCandidates, probeInstallDirs } from "./openplanet-install-dirs.mjs";
+import {
+  readMetadataJson,
+  readMetadataJsonAsync,
+  validateCoreJson,
+  validateGameJson,
+} from "./openplanet-metadata-validation.mjs";
+import { addSnapshotToSymbols, readMetadataSnapshot } from "./openplanet-snapshot.mjs";
+
+export const primitiveTypes = new Set([
+  "void",
+  "bool",
+  "int",
+  "uint",
+  "int8",
+  "int16",
+  "int32",
+  "int64",
+  "uint8",
+  "uint16",
+  "uint32",
+  "uint64",
+  "float",
+  "double",
+  "string",
+  "vec2",
+  "vec3",
+  "vec4",
+  "int2",
+  "int3",
+  "nat2",
+  "nat3",
+  "quat",
+  "array",
+  "dictionary",
+]);
+
+export { identRx, namespaceRx };
+
+export function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+export function fileExists(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch {
+    return false;
+  }
+}
+
+export function dirExists(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function stripCppComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\//g, " ").replace(/\/\/.*$/gm, " ");
+}
+
+/** Reads enum value names from either a `{ Name: value }` map or a list. */
+export function readEnumValueNames(values) {
+  if (Array.isArray(values)) {
+    return values
+      .map((value) => (typeof value === "string" ? value : value?.name ?? value?.n))
+      .filter((name) => typeof name === "string" && identRx.test(name));
+  }
+  if (values && typeof values === "object") {
+    return Object.keys(values).filter((name) => identRx.test(name));
+  }
+  return [];
+}
+
+/** Lists the enums declared inside a game JSON class entry. */
+export function readGameClassEnums(cls) {
+  const enums = Array.isArray(cls?.e) ? cls.e : Array.isArray(cls?.enums) ? cls.enums : [];
+  return enums
+    .map((en) => ({ name: en?.n ?? en?.name, values: readEnumValueNames(en?.v ?? en?.values) }))
+    .filter((en) => typeof en.name === "string" && identRx.test(en.name));
+}
+
+function readGameMemberArgs(args) {
+  if (typeof args === "string") {
+    return args
+      .split(",")
+      .map((arg) => arg.trim())
+      .filter(Boolean)
+      .map((arg) => {
+        const match = /^(.*?)\s*([A-Za-z_]\w*)$/.exec(arg);
+        return match && match[1] ? { name: match[2], type: match[1] } : { name: "", type: arg };
+      });
+  }
+  return args.map((arg) => ({
+    name: typeof (arg?.n ?? arg?.name) === "string" ? arg.n ?? arg.name : "",
+    type: String(arg?.t ?? arg?.type ?? "").trim(),
+  }));
+}
+
+/**
+ * Lists the members declared on a game JSON class entry. Members carrying an
+ * argument list (`a`, even when empty) are methods and `t` is their return type.
+ */
+export function readGameClassMembers(cls) {
+  const members = Array.isArray(cls?.m) ? cls.m : Array.isArray(cls?.members) ? cls.members : [];
+  return members
+    .map((member) => {
+      const args = member?.a ?? member?.args;
+      const isMethod = Array.isArray(args) || typeof args === "string";
+      return {
+        name: member?.n ?? member?.name,
+        type: String(member?.t ?? member?.type ?? "").trim(),
+        isMethod,
+        args: isMethod ? readGameMemberArgs(args) : [],
+        description: String(member?.d ?? member?.desc ?? "").trim(),
+      };
+    })
+    .filter((member) => typeof member.name === "string" && identRx.test(member.name));
+}
+
+function addEnumValues(enums, qualifiedName, values) {
+  const known = enums.get(qualifiedName) || new Set();
+  for (const value of values) known.add(value);
+  enums.set(qualifiedName, known);
+}
+
+const asList = (value) => (Array.isArray(value) ? value : []);
+
+export function collectSymbolsFromCoreJson(core, out) {
+  if (!core || typeof core !== "object") return;
+  for (const group of [core.functions, core.enums, core.props, core.funcdefs, core.classes]) {
+    for (const item of asList(group)) {
+      if (typeof item?.ns === "string" && namespaceRx.test(item.ns)) out.namespaces.add(item.ns);
+    }
+  }
+
+  for (const cls of asList(core.classes)) {
+    if (!cls?.name || !identRx.test(cls.name)) continue;
+    if (primitiveTypes.has(cls.name)) continue;
+    out.types.add(cls.name);
+  }
+
+  for (const fn of asList(core.functions)) {
+    if (!fn?.name || !identRx.test(fn.name)) continue;
+    if (typeof fn.ns === "string" && namespaceRx.test(fn.ns)) out.namespacedFunctions?.add(`${fn.ns}::${fn.name}`);
+    else out.globalFunctions.add(fn.name);
+  }
+
+  for (const en of asList(core.enums)) {
+    if (!en?.name || !identRx.test(en.name)) continue;
+    const qualifiedName = typeof en.ns === "string" && namespaceRx.test(en.ns) ? `${en.ns}::${en.name}` : en.name;
+    addEnumValues(out.enums, qualifiedName, readEnumValueNames(en.values));
+  }
+}
+
+export function collectSymbolsFromGameJson(gameJson, out) {
+  if (!gameJson?.ns || typeof gameJson.ns !== "object") return;
+  for (const [topNs, classes] of Object.entries(gameJson.ns)) {
+    if (namespaceRx.test(topNs)) out.namespaces.add(topNs);
+    if (!classes || typeof classes !== "object") continue;
+    for (const [className, cls] of Object.entries(classes)) {
+      if (!identRx.test(className)) continue;
+      if (primitiveTypes.has(className)) continue;
+      out.types.add(className);
+      for (const en of readGameClassEnums(cls)) {
+        addEnumValues(out.enums, `${className}::${en.name}`, en.values);
+      }
+    }
+  }
+}
+
+export function collectSymbolsFromHeader(headerText, out) {
+  const text = stripCppComments(headerText);
+
+  const namespaceDeclRx = /\bnamespace\s+([A-Za-z_][A-Za-z0-9_:]*)\s*\{/g;
+  let match;
+  while ((match = namespaceDeclRx.exec(text)) !== null) {
+    if (namespaceRx.test(match[1])) out.namespaces.add(match[1]);
+  }
+
+  const usingNamespaceRx = /\busing\s+namespace\s+([A-Za-z_][A-Za-z0-9_:]*)\s*;/g;
+  while ((match = usingNamespaceRx.exec(text)) !== null) {
+    if (namespaceRx.test(match[1])) out.namespaces.add(match[1]);
+  }
+
+  const typeDeclRx = /\b(?:class|struct)\s+([A-Za-z_][A-Za-z0-9_]*)\b/g;
+  while ((match = typeDeclRx.exec(text)) !== null) {
+    const typeName = match[1];
+    if (!identRx.test(typeName) || primitiveTypes.has(typeName)) continue;
+    out.types.add(typeName);
+  }
+
+  const enumClassRx = /\benum\s+class\s+([A-Za-z_][A-Za-z0-9_]*(?:::[A-Za-z_][A-Za-z0-9_]*)*)\b/g;
+  while ((match = enumClassRx.exec(text)) !== null) {
+    for (const segment of match[1].split("::")) {
+      if (!identRx.test(segment) || primitiveTypes.has(segment)) continue;
+      out.types.add(segment);
+    }
+  }
+}
+
+function discoverInstallDataFiles(installDir, includeHeaders) {
+  const coreJsonPaths = [];
+  const gameJsonPaths = [];
+  const headerPaths = [];
+
+  for (const entry of fs.readdirSync(installDir, { withFileTypes: true })) {
+    if (!entry.isFile()) continue;
+    if (entry.name === coreJsonFileName) {
+      coreJsonPaths.push(path.join(installDir, entry.name));
+      continue;
+    }
+    if (gameJsonFileRx.test(entry.name)) {
+      gameJsonPaths.push(path.join(installDir, entry.name));
+    }
+  }
+
+  if (includeHeaders) {
+    const headerPath = path.join(installDir, "Openplanet.h");
+    if (fileExists(headerPath)) headerPaths.push(headerPath);
+  }
+
+  return { coreJsonPaths, gameJsonPaths, headerPaths };
+}
+
+function ensureExistingFiles(paths, label) {
+  for (const filePath of paths) {
+    if (!fileExists(filePath)) {
+      throw new Error(`${label} file not found: ${filePath}`);
+    }
+  }
+}
+
+/**
+ * Probes the install directories to read: `--openplanet-dir(s)`, else none
+ * when explicit files or snapshots are given, else the `OPENPLANET_*`
+ * environment variables, else the default folders in the home directory and
+ * in Wine/Proton prefixes. `discovery` (`{homeDir, platform, env}`) overrides
+ * the machine defaults. Returns `{installDirs, probed}`.
+ */
+export function probeSourceInstallDirs(args, discovery = {}) {
+  const explicitInstallDirs = resolveUniquePaths([
+    ...valueToList(args["openplanet-dir"]),
+    ...valueToList(args["openplanet-dirs"]),
+  ]);
+  const hasExplicitFiles = ["core", "game", "next", "header", "snapshot"].some(
+    (key) => valueToList(args[key]).length > 0,
+  );
+
+  let candidates = [];
+  if (explicitInstallDirs.length > 0) {
+    candidates = explicitInstallDirs;
+  } else if (!hasExplicitFiles) {
+    const envInstallDirs = collectInstallDirsFromEnv(discovery.env);
+    candidates = envInstallDirs.length > 0 ? envInstallDirs : listInstallDirCandidates(discovery);
+  }
+  return probeInstallDirs(candidates);
+}
+
+export function resolveInstallDirs(args, discovery = {}) {
+  return probeSourceInstallDirs(args, discovery).installDirs;
+}
+
+export function resolveSourcePaths(args, discovery = {}) {
+  const includeHeaders = normalizeBool(args["include-headers"]);
+
+  const explicitCorePaths = resolveUniquePaths(valueToList(args.core));
+  const explicitGamePaths = resolveUniquePaths([...valueToList(args.game), ...valueToList(args.next)]);
+  const explicitHeaderPaths = resolveUniquePaths(valueToList(args.header));
+  const snapshotPaths = resolveUniquePaths(valueToList(args.snapshot));
+  const { installDirs, probed: probedInstallDirs } = probeSourceInstallDirs(args, discovery);
+
+  const coreJsonPaths = new Set(explicitCorePaths);
+  const gameJsonPaths = new Set(explicitGamePaths);
+  const headerPaths = new Set(explicitHeaderPaths);
+
+  for (const installDir of installDirs) {
+    const discovered = discoverInstallDataFiles(installDir, includeHeaders);
+    for (const p of discovered.coreJsonPaths) coreJsonPaths.add(path.resolve(p));
+    for (const p of discovered.gameJsonPaths) gameJsonPaths.add(path.resolve(p));
+    for (const p of discovered.headerPaths) headerPaths.add(path.resolve(p));
+  }
+
+  const pluginDirs = resolveUniquePaths([
+    ...installDirs.map((installDir) => path.join(installDir, "Plugins")),
+    ...valueToList(args["dependency-dirs"]),
+  ]).filter((dirPath) => dirExists(dirPath));
+
+  const resolved = {
+    includeHeaders,
+    installDirs,
+    probedInstallDirs,
+    pluginDirs,
+    excludedPluginIds: valueToList(args["exclude-plugins"]),
+    coreJsonPaths: resolveUniquePaths([...coreJsonPaths]),
+    gameJsonPaths: resolveUniquePaths([...gameJsonPaths]),
+    headerPaths: resolveUniquePaths([...headerPaths]),
+    snapshotPaths,
+    usedFallbackSnapshot: false,
+  };
+
+  ensureExistingFiles(resolved.coreJsonPaths, "Core JSON");
+  ensureExistingFiles(resolved.gameJsonPaths, "Game JSON");
+  ensureExistingFiles(resolved.headerPaths, "Header");
+  ensureExistingFiles(resolved.snapshotPaths, "Snapshot");
+
+  const hasSources =
+    resolved.coreJsonPaths.length > 0 ||
+    resolved.gameJsonPaths.length > 0 ||
+    resolved.snapshotPaths.length > 0;
+  // Machines without an install (CI, Linux) can fall back to a committed or bundled snapshot.
+  const fallbackSnapshot = valueToList(args["fallback-snapshot"]).map((p) => path.resolve(p));
+  if (!hasSources && fallbackSnapshot.length > 0 && fileExists(fallbackSnapshot[0])) {
+    resolved.snapshotPaths = [fallbackSnapshot[0]];
+    resolved.usedFallbackSnapshot = true;
+  } else if (!hasSources) {
+    throw new Error(
+      [
+        "No Openplanet JSON sources found. Provide --openplanet-dir/--openplanet-dirs, explicit --core/--game paths, or --snapshot.",
+        ...formatProbedInstallDirs(probedInstallDirs),
+      ].join("\n"),
+    );
+  }
+
+  return resolved;
+}
+
+export function formatProbedInstallDirs(probed) {
+  return probed.map(({ dir, found }) => `Probed install dir: ${dir} (${found ? "found" : "missing"})`);
+}
+
+function createSymbolSets() {
+  return {
+    namespaces: new Set(),
+    types: new Set(),
+    globalFunctions: new Set(),
+    namespacedFunctions: new Set(),
+    enums: new Map(),
+  };
+}
+
+function validateMetadata(data, filePath, kind, warnings) {
+  if (!warnings) return;
+  const validate = kind === "core" ? validateCoreJson : validateGameJson;
+  warnings.push(...validate(data, filePath));
+}
+
+/**
+ * Reads a core or game JSON file (retrying while it is partially written) and
+ * appends its validation warnings to `warnings` when given.
+ */
+export function readMetadataFile(filePath, kind, warnings = null) {
+  const data = readMetadataJson(filePath);
+  validateMetadata(data, filePath, kind, warnings);
+  return data;
+}
+
+/** Like `readMetadataFile`, but reads and retries without blocking the thread. */
+export async function readMetadataFileAsync(filePath, kind, warnings = null) {
+  const data = await readMetadataJsonAsync(filePath);
+  validateMetadata(data, filePath, kind, warnings);
+  return data;
+}
+
+function listMetadataFiles(sourcePaths) {
+  return [
+    ...sourcePaths.coreJsonPaths.map((filePath) => ({ kind: "core", path: filePath })),
+    ...sourcePaths.gameJsonPaths.map((filePath) => ({ kind: "game", path: filePath })),
+    ...sourcePaths.headerPaths.map((filePath) => ({ kind: "header", path: filePath })),
+  ];
+}
+
+function metadataDocument({ kind, path: filePath }, data) {
+  return { kind, path: filePath, install: installLabelForPath(filePath), data };
+}
+
+/**
+ * Reads every core JSON, game JSON and header of the resolved sources once.
+ * Returns `{documents, warnings}`: each document is `{kind, path, install,
+ * data}` (`data` is the header text for headers), and `warnings` lists the
+ * validation warnings of the JSON files. Pass the result to
+ * `collectSymbolsFromSources`, `collectSymbolsByInstall` and `buildApiIndex`
+ * to share a single read.
+ */
+export function loadMetadataSources(sourcePaths) {
+  const warnings = [];
+  const documents = listMetadataFiles(sourcePaths).map((file) =>
+    metadataDocument(
+      file,
+      file.kind === "header"
+        ? fs.readFileSync(file.path, "utf8")
+        : readMetadataFile(file.path, file.kind, warnings),
+    ),
+  );
+  return { documents, warnings };
+}
+
+/**
+ * Like `loadMetadataSources`, for the extension host: files are read and
+ * retried asynchronously. Warnings keep the file order of the sync version.
+ */
+export async function loadMetadataSourcesAsync(sourcePaths) {
+  const files = listMetadataFiles(sourcePaths);
+  const fileWarnings = files.map(() => []);
+  const documents = await Promise.all(
+    files.map(async (file, i) =>
+      metadataDocument(
+        file,
+        file.kind === "header"
+          ? await fs.promises.readFile(file.path, "utf8")
+          : await readMetadataFileAsync(file.path, file.kind, fileWarnings[i]),
+      ),
+    ),
+  );
+  return { documents, warnings: fileWarnings.flat() };
+}
+
+const documentCollectors = {
+  core: collectSymbolsFromCoreJson,
+  game: collectSymbolsFromGameJson,
+  header: collectSymbolsFromHeader,
+};
+
+/**
+ * Collects symbols per install label (`Next`, `Turbo`, `MP4`, or the folder
+ * name) for snapshot export. Snapshot sources are not included.
+ */
+export function collectSymbolsByInstall(sourcePaths, loaded = loadMetadataSources(sourcePaths)) {
+  return collectSymbolsFromSources({ ...sourcePaths, snapshotPaths: [], pluginDirs: [] }, loaded).byInstall;
+}
+
+/**
+ * Collects symbol sets from every resolved source. Entries the collectors
+ * skip are listed in `metadataWarnings` (`{file, path, message}`), and
+ * `byInstall` holds the per-install sets of `collectSymbolsByInstall`.
+ */
+export function collectSymbolsFromSources(sourcePaths, loaded = loadMetadataSources(sourcePaths)) {
+  const out = createSymbolSets();
+  out.metadataWarnings = [...loaded.warnings];
+
+  const byInstall = new Map();
+  for (const document of loaded.documents) {
+    if (!byInstall.has(document.install)) byInstall.set(document.install, createSymbolSets());
+    documentCollectors[document.kind](document.data, out);
+    documentCollectors[document.kind](document.data, byInstall.get(document.install));
+  }
+  out.byInstall = [...byInstall].map(([install, symbols]) => ({ install, symbols }));
+
+  for (const snapshotPath of sourcePaths.snapshotPaths || []) {
+    addSnapshotToSymbols(readMetadataSnapshot(snapshotPath), out);
+  }
+
+  out.dependencies = collectDependencySymbols(sourcePaths.pluginDirs || [], {
+    excludeIds: sourcePaths.excludedPluginIds || [],
+  });
+  return out;
+}
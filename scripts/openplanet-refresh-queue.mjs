@@ -0,0 +1,86 @@
+/** Fills in the defaults of a refresh request (`{reason, quiet, promptReload, force}`). */
+export function normalizeRefreshRequest(opts = {}) {
+  return {
+    reason: opts.reason || "manual",
+    quiet: Boolean(opts.quiet),
+    promptReload: Boolean(opts.promptReload),
+    force: Boolean(opts.force),
+  };
+}
+
+/**
+ * Merges a refresh request into one already queued: the queued run is loud if
+ * either request is (keeping the loud request's reason), prompts for a reload
+ * if either asked to, and is forced if either was.
+ */
+export function mergeRefreshOptions(queued, next) {
+  return {
+    reason: next.quiet && !queued.quiet ? queued.reason : next.reason,
+    quiet: queued.quiet && next.quiet,
+    promptReload: queued.promptReload || next.promptReload,
+    force: queued.force || next.force,
+  };
+}
+
+/**
+ * Runs refreshes one at a time. `request(opts)` calls `start(request)` when
+ * idle; requests made while a refresh runs are coalesced into a single
+ * follow-up run, and `cancelQueued()` drops that follow-up. The follow-up
+ * starts only once the promise returned by `start` settles, so `start` must
+ * not settle before its run has fully stopped (a cancelled worker exited).
+ * Both `request` promises resolve to the result of the run they end up in
+ * (`false` when the queued run was cancelled).
+ */
+export function createRefreshQueue(start, { log = () => {} } = {}) {
+  let running = null;
+  let queued = null;
+
+  function run(request) {
+    running = Promise.resolve()
+      .then(() => start(request))
+      .finally(() => {
+        running = null;
+      });
+    return running;
+  }
+
+  function request(opts) {
+    const next = normalizeRefreshRequest(opts);
+    if (!running && !queued) return run(next);
+
+    if (queued) {
+      queued.request = mergeRefreshOptions(queued.request, next);
+      log(`Refresh requested (${next.reason}); coalesced with the queued refresh.`);
+      return queued.promise;
+    }
+    log(`Refresh requested (${next.reason}); queued until the running refresh finishes.`);
+    const entry = { request: next };
+    entry.promise = running
+      .catch(() => {})
+      .then(() => {
+        if (queued !== entry) return false;
+        queued = null;
+        return run(entry.request);
+      });
+    queued = entry;
+    return entry.promise;
+  }
+
+  function cancelQueued() {
+    if (!queued) return false;
+    log(`Queued refresh (${queued.request.reason}) cancelled.`);
+    queued = null;
+    return true;
+  }
+
+  return {
+    request,
+    cancelQueued,
+    get running() {
+      return running !== null;
+    },
+    get queued() {
+      return queued ? queued.request : null;
+    },
+  };
+}
@@ -0,0 +1,188 @@
+import { codeTokens, readQualifiedChain, tokenizeSource } from "./openplanet-source-scanner.mjs";
+import { createInferenceContext, findTypeMember, inferTypeAt } from "./openplanet-type-inference.mjs";
+
+export const builtinTokenModifier = "defaultLibrary";
+export const unresolvedTokenModifier = "unresolved";
+export const dependencyTokenModifier = "dependency";
+const requiredTokenTypes = ["namespace", "class", "enum", "function", "enumMember", "property", "method"];
+const memberOwnerKinds = new Set(["class", "gameClass"]);
+
+/**
+ * Derives the semantic token legend from the manifest's `semanticTokenScopes`
+ * keys so provider output always lines up with the contributed scope mapping.
+ */
+export function buildSemanticTokensLegend(semanticTokenScopes, language) {
+  const entry = (semanticTokenScopes || []).find((item) => item?.language === language);
+  const tokenTypes = [];
+  const tokenModifiers = [];
+
+  for (const selector of Object.keys(entry?.scopes || {})) {
+    const [tokenType, ...modifiers] = selector.split(".");
+    if (tokenType !== "*" && !tokenTypes.includes(tokenType)) tokenTypes.push(tokenType);
+    for (const modifier of modifiers) {
+      if (!tokenModifiers.includes(modifier)) tokenModifiers.push(modifier);
+    }
+  }
+
+  for (const tokenType of requiredTokenTypes) {
+    if (!tokenTypes.includes(tokenType)) tokenTypes.push(tokenType);
+  }
+  for (const modifier of [builtinTokenModifier, unresolvedTokenModifier, dependencyTokenModifier]) {
+    if (!tokenModifiers.includes(modifier)) tokenModifiers.push(modifier);
+  }
+
+  return { tokenTypes, tokenModifiers };
+}
+
+function longestNamespacePrefix(segments, namespaces) {
+  for (let length = segments.length; length > 0; length--) {
+    const candidate = segments
+      .slice(0, length)
+      .map((token) => token.value)
+      .join("::");
+    if (namespaces.has(candidate)) return length;
+  }
+  return 0;
+}
+
+/**
+ * Classifies identifiers that refer to Openplanet built-ins. `symbols` holds the
+ * `namespaces`/`types`/`globalFunctions`/`namespacedFunctions` sets and `enums`
+ * map built by `collectSymbolsFromSources`; names exported by dependency plugins
+ * (`symbols.dependencies`) get the `dependency` modifier instead. With an
+ * `apiIndex`, `.member` accesses on inferred game and Openplanet types are
+ * classified as known or unresolved.
+ */
+export function computeSemanticTokens(text, symbols, apiIndex = null) {
+  const tokens = codeTokens(tokenizeSource(text));
+  const inference = apiIndex ? createInferenceContext(apiIndex, text, tokens) : null;
+  const result = [];
+  const dependencies = symbols.dependencies || null;
+  const dependencyModifiers = [dependencyTokenModifier];
+
+  function emit(token, tokenType, tokenModifiers = [builtinTokenModifier]) {
+    result.push({
+      line: token.line,
+      character: token.character,
+      length: token.value.length,
+      tokenType,
+      tokenModifiers,
+    });
+  }
+
+  function emitMemberAccess(tokenIndex) {
+    const receiver = inferTypeAt(inference, tokenIndex - 2);
+    if (!receiver?.entry || !memberOwnerKinds.has(receiver.entry.kind)) return;
+    const token = tokens[tokenIndex];
+    const members = findTypeMember(apiIndex, receiver.entry, token.value);
+    if (members.length === 0) emit(token, "property", [unresolvedTokenModifier]);
+    else if (tokens[tokenIndex + 1]?.value === "(") emit(token, "method");
+    else emit(token, "property");
+  }
+
+  // Only real `Enum::Value` pairs become enum members; unknown members are left
+  // to the grammar, which marks them invalid.
+  function emitEnumAccess(segments, ownerSegments) {
+    const member = segments[segments.length - 1];
+    const enumName = segments
+      .slice(0, -1)
+      .map((segment) => segment.value)
+      .join("::");
+    const values = symbols.enums?.get(enumName);
+    for (const segment of ownerSegments.slice(0, -1)) emit(segment, "class");
+    if (!values) {
+      if (ownerSegments.length > 0) emit(ownerSegments[ownerSegments.length - 1], "class");
+      return;
+    }
+    if (ownerSegments.length > 0) emit(ownerSegments[ownerSegments.length - 1], "enum");
+    if (values.has(member.value)) emit(member, "enumMember");
+  }
+
+  // Calls into a built-in namespace are only built-ins when the API has the
+  // qualified function; plugin-local and misspelled ones stay plain functions.
+  function emitNamespacedCall(segments) {
+    const qualifiedName = segments.map((segment) => segment.value).join("::");
+    const known = symbols.namespacedFunctions?.has(qualifiedName);
+    emit(segments[segments.length - 1], "function", known ? [builtinTokenModifier] : []);
+  }
+
+  // Returns false when the chain does not start with a dependency namespace or name.
+  function emitDependencyAccess(segments, isCall) {
+    if (!dependencies) return false;
+    const namespaceLength = longestNamespacePrefix(segments, dependencies.namespaces);
+    const rest = segments.slice(namespaceLength);
+    const qualifiedName = segments.map((segment) => segment.value).join("::");
+    if (namespaceLength === 0) {
+      if (segments.length !== 1) return false;
+      if (isCall && dependencies.functions.has(qualifiedName)) {
+        emit(segments[0], "function", dependencyModifiers);
+      } else if (dependencies.types.has(qualifiedName)) {
+        emit(segments[0], "class", dependencyModifiers);
+      } else {
+        return false;
+      }
+      return true;
+    }
+
+    for (const segment of segments.slice(0, namespaceLength)) {
+      emit(segment, "namespace", dependencyModifiers);
+    }
+    if (rest.length === 0) return true;
+    for (const segment of rest.slice(0, -1)) emit(segment, "class", dependencyModifiers);
+    const last = rest[rest.length - 1];
+    if (isCall) emit(last, "function", dependencyModifiers);
+    else if (dependencies.types.has(qualifiedName)) emit(last, "class", dependencyModifiers);
+    return true;
+  }
+
+  let i = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+    const previous = tokens[i - 1]?.value;
+    if (token.kind === "identifier" && previous === "." && inference) emitMemberAccess(i);
+    if (token.kind !== "identifier" || previous === "." || previous === "::") {
+      i++;
+      continue;
+    }
+
+    const { segments, nextIndex } = readQualifiedChain(tokens, i);
+    const isCall = tokens[nextIndex]?.value === "(";
+    const namespaceLength = longestNamespacePrefix(segments, symbols.namespaces);
+    if (namespaceLength === 0 && emitDependencyAccess(segments, isCall)) {
+      i = nextIndex;
+      continue;
+    }
+    const rest = segments.slice(namespaceLength);
+
+    for (const segment of segments.slice(0, namespaceLength)) emit(segment, "namespace");
+
+    if (namespaceLength > 0) {
+      if (rest.length === 1) {
+        if (isCall) emitNamespacedCall(segments);
+        else if (symbols.types.has(rest[0].value)) emit(rest[0], "class");
+      } else if (rest.length > 1 && isCall) {
+        for (const segment of rest.slice(0, -1)) emit(segment, "class");
+        emitNamespacedCall(segments);
+      } else if (rest.length > 1) {
+        emitEnumAccess(segments, rest.slice(0, -1));
+      }
+    } else if (segments.length === 1) {
+      if (isCall && symbols.globalFunctions.has(token.value)) emit(token, "function");
+      else if (symbols.types.has(token.value)) emit(token, "class");
+    } else {
+      const ownerIsType = symbols.types.has(segments[0].value);
+      const enumName = segments
+        .slice(0, -1)
+        .map((segment) => segment.value)
+        .join("::");
+      if (ownerIsType) emit(segments[0], "class");
+      if (!isCall && symbols.enums?.has(enumName)) {
+        emitEnumAccess(segments, segments.slice(ownerIsType ? 1 : 0, -1));
+      }
+    }
+
+    i = nextIndex;
+  }
+
+  return result;
+}
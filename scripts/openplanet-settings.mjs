@@ -0,0 +1,299 @@
+import { decodeStringLiteral } from "./openplanet-embedded-literals.mjs";
+import { codeTokens, isOffsetInNonCode, tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+/**
+ * The keys Openplanet reads from `[Setting ...]` and `[SettingsTab ...]`.
+ * `flag` keys take no value; `appliesTo` limits a key to some setting types.
+ */
+export const settingAttributeSchema = {
+  Setting: {
+    name: {
+      type: "string",
+      description: "Label shown in the settings window. Defaults to the variable name.",
+    },
+    description: { type: "string", description: "Tooltip shown next to the setting." },
+    category: { type: "string", description: "Settings tab the setting is listed under." },
+    hidden: {
+      type: "flag",
+      description: "Saves the setting without showing it in the settings window.",
+    },
+    if: {
+      type: "string",
+      condition: true,
+      description: "Shows the setting only while the named bool setting is true (`!` negates).",
+    },
+    enableif: {
+      type: "string",
+      condition: true,
+      description: "Greys out the setting while the named bool setting is false (`!` negates).",
+    },
+    beforerender: { type: "string", description: "Function called before the setting is drawn." },
+    afterrender: { type: "string", description: "Function called after the setting is drawn." },
+    min: {
+      type: "number",
+      appliesTo: "numeric",
+      description: "Minimum value; numeric settings get a slider.",
+    },
+    max: {
+      type: "number",
+      appliesTo: "numeric",
+      description: "Maximum value; numeric settings get a slider.",
+    },
+    drag: {
+      type: "flag",
+      appliesTo: "numeric",
+      description: "Uses a drag input instead of a slider.",
+    },
+    step: { type: "number", appliesTo: "numeric", description: "Step of the input's +/- buttons." },
+    color: {
+      type: "flag",
+      appliesTo: "color",
+      description: "Shows a color picker instead of the vector inputs.",
+    },
+    multiline: { type: "flag", appliesTo: "string", description: "Uses a multi-line text box." },
+    password: {
+      type: "flag",
+      appliesTo: "string",
+      description: "Masks the input, for tokens and keys.",
+    },
+  },
+  SettingsTab: {
+    name: { type: "string", description: "Tab title in the settings window." },
+    icon: {
+      type: "string",
+      description: "Icon shown before the tab title, e.g. `Cogs` for `Icons::Cogs`.",
+    },
+    order: { type: "number", description: "Position of the tab among the plugin's tabs." },
+  },
+};
+
+const scalarTypes = [
+  "int",
+  "int8",
+  "int16",
+  "int64",
+  "uint",
+  "uint8",
+  "uint16",
+  "uint64",
+  "float",
+  "double",
+];
+const vectorTypes = ["vec2", "vec3", "vec4", "int2", "int3", "nat2", "nat3"];
+const appliesToTypes = {
+  numeric: { types: new Set([...scalarTypes, ...vectorTypes]), label: "numeric" },
+  color: { types: new Set(["vec3", "vec4"]), label: "vec3 and vec4" },
+  string: { types: new Set(["string"]), label: "string" },
+};
+
+function readNumber(tokens, index) {
+  const negative = tokens[index]?.value === "-";
+  const token = tokens[negative ? index + 1 : index];
+  if (token?.kind !== "number") return null;
+  const value = Number(token.value.replace(/[fFdDuUlL]+$/, ""));
+  if (!Number.isFinite(value)) return null;
+  return { value: negative ? -value : value, end: negative ? index + 2 : index + 1 };
+}
+
+/** Reads the `Type Name` declaration following an attribute's `]`. */
+function readDeclaration(tokens, index, text) {
+  let end = index;
+  while (end < tokens.length && !["=", ";", "(", "{", "[", "]"].includes(tokens[end].value)) end++;
+  const name = tokens[end - 1];
+  if (end - index < 2 || name?.kind !== "identifier") return null;
+  const typeEnd = tokens[end - 2];
+  return {
+    type: text.slice(tokens[index].start, typeEnd.end).replace(/\s+/g, " "),
+    name: name.value,
+    start: name.start,
+    end: name.end,
+    isFunction: tokens[end]?.value === "(",
+  };
+}
+
+const attributeStopTokens = new Set([";", "{", "}", "(", "["]);
+const valueStopTokens = new Set([...attributeStopTokens, "]", ","]);
+
+function readKeyValue(tokens, index) {
+  const token = tokens[index];
+  const number = readNumber(tokens, index);
+  if (number) {
+    const end = tokens[number.end - 1].end;
+    const value = { kind: "number", number: number.value, start: token.start, end };
+    return { value, next: number.end };
+  }
+  if (token?.kind === "string") {
+    const text = decodeStringLiteral(token.value);
+    return { value: { kind: "string", text, start: token.start, end: token.end }, next: index + 1 };
+  }
+  if (!token || valueStopTokens.has(token.value)) return { value: null, next: index };
+  return { value: { kind: token.kind, start: token.start, end: token.end }, next: index + 1 };
+}
+
+/**
+ * Parses every `[Setting ...]`/`[SettingsTab ...]` attribute with its keys
+ * (`key`, `key=value`) and the declaration that follows it. An attribute left
+ * open while typing ends before the next `;`, brace, parenthesis or `[`.
+ */
+export function parseSettingAttributes(text) {
+  const tokens = codeTokens(tokenizeSource(text));
+  const attributes = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const kind = tokens[i + 1]?.value;
+    if (tokens[i].value !== "[" || !Object.hasOwn(settingAttributeSchema, kind)) continue;
+
+    const attribute = {
+      kind,
+      start: tokens[i].start,
+      end: text.length,
+      closed: false,
+      keys: [],
+      declaration: null,
+    };
+    let j = i + 2;
+    const atEnd = () => tokens[j].value === "]" || attributeStopTokens.has(tokens[j].value);
+    while (j < tokens.length && !atEnd()) {
+      const token = tokens[j++];
+      if (token.kind !== "identifier") continue;
+      const key = { key: token.value, start: token.start, end: token.end, value: null };
+      if (tokens[j]?.value === "=") {
+        const read = readKeyValue(tokens, j + 1);
+        key.value = read.value;
+        j = read.next;
+      }
+      attribute.keys.push(key);
+    }
+    if (tokens[j]?.value === "]") {
+      attribute.end = tokens[j].end;
+      attribute.closed = true;
+      attribute.declaration = readDeclaration(tokens, j + 1, text);
+    } else if (j < tokens.length) {
+      attribute.end = tokens[j].start;
+    }
+    attributes.push(attribute);
+    i = j;
+  }
+  return attributes;
+}
+
+/** Lists the variables declared with `[Setting]` in a script, with their types. */
+export function collectSettingDeclarations(text) {
+  return parseSettingAttributes(text)
+    .filter(({ kind, declaration }) => kind === "Setting" && declaration && !declaration.isFunction)
+    .map(({ declaration }) => ({ name: declaration.name, type: declaration.type }));
+}
+
+function conditionProblem(value, settings) {
+  if (value?.kind !== "string" || value.text === null) return "expected a quoted setting name";
+  const name = value.text.trim().replace(/^!\s*/, "");
+  const setting = settings.find((item) => item.name === name);
+  if (!setting) return `no setting named "${name}" exists`;
+  if (setting.type !== "bool") return `"${name}" is declared as ${setting.type}`;
+  return null;
+}
+
+/**
+ * Checks `[Setting]`/`[SettingsTab]` attributes: unknown keys, keys that do
+ * not apply to the declared type, `min` greater than `max`, and `if`/`enableif`
+ * conditions naming something other than a bool setting. `settings` adds the
+ * settings declared in the plugin's other files.
+ */
+export function checkSettingAttributes(text, { settings = [] } = {}) {
+  const diagnostics = [];
+  const report = (code, message, start, end) =>
+    diagnostics.push({ severity: "warning", code, message, start, end });
+  const attributes = parseSettingAttributes(text);
+  const known = [...collectSettingDeclarations(text), ...settings];
+
+  for (const attribute of attributes) {
+    const schema = settingAttributeSchema[attribute.kind];
+    const type = attribute.declaration?.isFunction ? null : attribute.declaration?.type;
+    for (const key of attribute.keys) {
+      const keySchema = Object.hasOwn(schema, key.key) ? schema[key.key] : null;
+      if (!keySchema) {
+        const message = `Unknown [${attribute.kind}] key "${key.key}".`;
+        report("unknown-setting-key", message, key.start, key.end);
+        continue;
+      }
+      const allowed = appliesToTypes[keySchema.appliesTo];
+      if (allowed && type && !allowed.types.has(type)) {
+        report(
+          "setting-key-type",
+          `"${key.key}" only applies to ${allowed.label} settings, not "${type}".`,
+          key.start,
+          key.end,
+        );
+      }
+      if (keySchema.condition) {
+        const problem = conditionProblem(key.value, known);
+        if (problem) {
+          const range = key.value || key;
+          const message = `"${key.key}" must name a bool setting: ${problem}.`;
+          report("setting-condition", message, range.start, range.end);
+        }
+      }
+    }
+
+    const min = attribute.keys.find((key) => key.key === "min")?.value;
+    const max = attribute.keys.find((key) => key.key === "max")?.value;
+    if (min?.kind === "number" && max?.kind === "number" && min.number > max.number) {
+      const message = `"min" (${min.number}) is greater than "max" (${max.number}).`;
+      report("setting-min-max", message, min.start, min.end);
+    }
+  }
+  return diagnostics;
+}
+
+function attributeAt(text, offset) {
+  return parseSettingAttributes(text).find(
+    ({ start, end, closed }) => start < offset && (offset < end || (!closed && offset === end)),
+  );
+}
+
+/**
+ * Returns key completions when `offset` is where a key goes in a
+ * `[Setting ...]`/`[SettingsTab ...]` attribute: after the attribute name, a
+ * value or a comma. Keys already present are left out.
+ */
+export function getSettingKeyCompletions(text, offset) {
+  const attribute = attributeAt(text, offset);
+  if (!attribute || isOffsetInNonCode(text, offset)) return null;
+
+  const before = text.slice(attribute.start, offset);
+  const prefix = /[A-Za-z_]\w*$/.exec(before)?.[0] ?? "";
+  const head = before.slice(0, before.length - prefix.length);
+  if (!/[\s,]$/.test(head) || /=\s*$/.test(head)) return null;
+
+  const keyStart = offset - prefix.length;
+  const present = new Set(
+    attribute.keys.filter((key) => key.start !== keyStart).map((key) => key.key),
+  );
+  const items = Object.entries(settingAttributeSchema[attribute.kind])
+    .filter(([name]) => !present.has(name))
+    .map(([name, keySchema]) => ({ name, ...keySchema }));
+  return { kind: attribute.kind, prefix, items };
+}
+
+/** Finds the attribute key under `offset` along with its schema entry. */
+export function findSettingKeyAt(text, offset) {
+  const attribute = attributeAt(text, offset);
+  const key = attribute?.keys.find((item) => item.start <= offset && offset <= item.end);
+  const schema = key && settingAttributeSchema[attribute.kind];
+  if (!key || !Object.hasOwn(schema, key.key)) return null;
+  const { start, end } = key;
+  return { kind: attribute.kind, key: key.key, schema: schema[key.key], start, end };
+}
+
+const appliesToLabels = {
+  numeric: "Numeric settings (`int`, `float`, `vec2`, ...)",
+  color: "`vec3` and `vec4` settings",
+  string: "`string` settings",
+};
+
+export function renderSettingKeyMarkdown(kind, key, schema) {
+  const usages = { flag: key, number: `${key}=0`, string: `${key}="..."` };
+  const usage = usages[schema.type];
+  const lines = ["```openplanet-angelscript", `[${kind} ${usage}]`, "```", schema.description];
+  if (schema.appliesTo) lines.push("", `Applies to: ${appliesToLabels[schema.appliesTo]}`);
+  return lines.join("\n");
+}
@@ -0,0 +1,104 @@
+import { formatParam, lookupApiEntries } from "./openplanet-api-index.mjs";
+import { resolveReceiverType } from "./openplanet-completion.mjs";
+import { codeTokens, isOffsetInNonCode, tokenizeSource } from "./openplanet-source-scanner.mjs";
+import { findTypeMember } from "./openplanet-type-inference.mjs";
+
+const callableKinds = new Set(["function", "method", "funcdef", "gameMethod"]);
+const closers = { ")": "(", "]": "[", "}": "{" };
+
+/**
+ * Walks back from the cursor to the innermost unclosed `(` and counts the
+ * top-level commas in between to find the active argument.
+ */
+function findOpenCall(tokens) {
+  let depth = 0;
+  let commas = 0;
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const value = tokens[i].value;
+    if (closers[value]) {
+      depth++;
+      continue;
+    }
+    if (value === "(" || value === "[" || value === "{") {
+      if (depth > 0) {
+        depth--;
+        continue;
+      }
+      if (value !== "(") return null;
+      return { openIndex: i, activeParameter: commas };
+    }
+    if (value === ";" && depth === 0) return null;
+    if (value === "," && depth === 0) commas++;
+  }
+  return null;
+}
+
+function readCalleeBefore(tokens, openIndex) {
+  const names = [];
+  let i = openIndex - 1;
+  while (tokens[i]?.kind === "identifier") {
+    names.unshift(tokens[i].value);
+    if (tokens[i - 1]?.value !== "::") break;
+    i -= 2;
+  }
+  return { names, beforeIndex: names.length > 0 ? i - 1 : openIndex - 1 };
+}
+
+function buildSignature(entry) {
+  const prefix = `${entry.returnType ? `${entry.returnType} ` : ""}${entry.qualifiedName}(`;
+  const parameters = [];
+  let label = prefix;
+  entry.params.forEach((param, i) => {
+    if (i > 0) label += ", ";
+    const text = formatParam(param);
+    parameters.push({ label: [label.length, label.length + text.length], text });
+    label += text;
+  });
+  label += ")";
+
+  const documentation = [entry.description, entry.installs?.length ? `Installs: ${entry.installs.join(", ")}` : ""]
+    .filter(Boolean)
+    .join("\n\n");
+  return { label, parameters, documentation };
+}
+
+function resolveCallEntries(index, text, tokens, openIndex) {
+  const { names, beforeIndex } = readCalleeBefore(tokens, openIndex);
+  if (names.length === 0) return [];
+
+  if (tokens[beforeIndex]?.value === ".") {
+    const receiverEnd = tokens[beforeIndex].start;
+    const receiverType = resolveReceiverType(index, text.slice(0, receiverEnd));
+    if (!receiverType || names.length !== 1) return [];
+    return findTypeMember(index, receiverType, names[0]).filter((entry) => callableKinds.has(entry.kind));
+  }
+
+  const qualifiedName = names.join("::");
+  const entries = lookupApiEntries(index, qualifiedName);
+  const callables = entries.filter((entry) => callableKinds.has(entry.kind));
+  if (callables.length > 0) return callables;
+
+  // `Ns::Type(...)` constructs the type; its constructors are indexed as methods named after it.
+  const typeName = names[names.length - 1];
+  return lookupApiEntries(index, `${qualifiedName}::${typeName}`).filter((entry) => entry.kind === "method");
+}
+
+/**
+ * Returns every overload of the built-in being called at `offset` together with
+ * the active overload and argument, or null outside of a known call.
+ */
+export function getSignatureHelp(index, text, offset) {
+  if (!index || isOffsetInNonCode(text, offset)) return null;
+  const prefix = text.slice(0, offset);
+  const tokens = codeTokens(tokenizeSource(prefix));
+  const call = findOpenCall(tokens);
+  if (!call) return null;
+
+  const entries = resolveCallEntries(index, prefix, tokens, call.openIndex);
+  if (entries.length === 0) return null;
+
+  const signatures = entries.map(buildSignature);
+  let activeSignature = entries.findIndex((entry) => entry.params.length > call.activeParameter);
+  if (activeSignature < 0) activeSignature = 0;
+  return { signatures, activeSignature, activeParameter: call.activeParameter };
+}
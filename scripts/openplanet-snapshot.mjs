@@ -0,0 +1,149 @@
+import fs from "node:fs";
+
+export const snapshotFormat = "openplanet-symbol-snapshot";
+export const snapshotVersion = 1;
+
+const nameCategories = ["namespaces", "types", "functions"];
+
+function noteInstalls(map, name, installs) {
+  const known = map.get(name) || new Set();
+  for (const install of installs) known.add(install);
+  map.set(name, known);
+}
+
+const sortedList = (values) => [...values].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Builds a versioned snapshot from symbol sets grouped by install
+ * (`[{install, symbols}]`, see `collectSymbolsByInstall`) and from earlier
+ * snapshots, recording which installs declare each name.
+ */
+export function buildMetadataSnapshot({ labeled = [], snapshots = [] }) {
+  const data = {
+    namespaces: new Map(),
+    types: new Map(),
+    functions: new Map(),
+    enums: new Map(),
+  };
+  const enumValues = new Map();
+  const installs = new Set();
+
+  for (const { install, symbols } of labeled) {
+    installs.add(install);
+    for (const name of symbols.namespaces) noteInstalls(data.namespaces, name, [install]);
+    for (const name of symbols.types) noteInstalls(data.types, name, [install]);
+    for (const name of symbols.globalFunctions) noteInstalls(data.functions, name, [install]);
+    for (const name of symbols.namespacedFunctions || []) {
+      noteInstalls(data.functions, name, [install]);
+    }
+    for (const [name, values] of symbols.enums || []) {
+      noteInstalls(data.enums, name, [install]);
+      noteInstalls(enumValues, name, values);
+    }
+  }
+
+  for (const snapshot of snapshots) {
+    for (const install of snapshot.installs) installs.add(install);
+    for (const category of nameCategories) {
+      for (const [name, sources] of Object.entries(snapshot[category])) {
+        noteInstalls(data[category], name, sources);
+      }
+    }
+    for (const [name, en] of Object.entries(snapshot.enums)) {
+      noteInstalls(data.enums, name, en.installs);
+      noteInstalls(enumValues, name, en.values);
+    }
+  }
+
+  const snapshot = { format: snapshotFormat, version: snapshotVersion, installs: sortedList(installs) };
+  for (const category of nameCategories) {
+    snapshot[category] = Object.fromEntries(
+      sortedList(data[category].keys()).map((name) => [name, sortedList(data[category].get(name))]),
+    );
+  }
+  snapshot.enums = Object.fromEntries(
+    sortedList(data.enums.keys()).map((name) => [
+      name,
+      { installs: sortedList(data.enums.get(name)), values: [...enumValues.get(name)] },
+    ]),
+  );
+  return snapshot;
+}
+
+/**
+ * Serializes a snapshot with one symbol per line so committed snapshots stay
+ * small and diff cleanly.
+ */
+export function serializeMetadataSnapshot(snapshot) {
+  const lines = ["{"];
+  const fields = Object.entries(snapshot);
+  fields.forEach(([key, value], fieldIndex) => {
+    const comma = fieldIndex < fields.length - 1 ? "," : "";
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      lines.push(`  ${JSON.stringify(key)}: ${JSON.stringify(value)}${comma}`);
+      return;
+    }
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      lines.push(`  ${JSON.stringify(key)}: {}${comma}`);
+      return;
+    }
+    lines.push(`  ${JSON.stringify(key)}: {`);
+    entries.forEach(([name, entry], entryIndex) => {
+      const entryComma = entryIndex < entries.length - 1 ? "," : "";
+      lines.push(`    ${JSON.stringify(name)}: ${JSON.stringify(entry)}${entryComma}`);
+    });
+    lines.push(`  }${comma}`);
+  });
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+export function readMetadataSnapshot(filePath) {
+  const snapshot = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (snapshot?.format !== snapshotFormat) {
+    throw new Error(`Not an Openplanet symbol snapshot: ${filePath}`);
+  }
+  if (snapshot.version !== snapshotVersion) {
+    throw new Error(
+      `Unsupported Openplanet symbol snapshot version ${snapshot.version} (expected ${snapshotVersion}): ${filePath}`,
+    );
+  }
+  for (const category of [...nameCategories, "enums"]) snapshot[category] ||= {};
+  snapshot.installs ||= [];
+  return snapshot;
+}
+
+/**
+ * Lists why a snapshot cannot stand in for real metadata: it records no
+ * installs, no enums or no namespaced functions, or symbols lost their
+ * installs. Empty for an export of real installs.
+ */
+export function checkMetadataSnapshot(snapshot) {
+  const problems = [];
+  if (snapshot.installs.length === 0) problems.push("no installs are recorded");
+  if (Object.keys(snapshot.enums).length === 0) problems.push("no enums are recorded");
+  if (!Object.keys(snapshot.functions).some((name) => name.includes("::"))) {
+    problems.push("no namespaced functions are recorded");
+  }
+  for (const category of nameCategories) {
+    const orphans = Object.values(snapshot[category]).filter((installs) => installs.length === 0);
+    if (orphans.length > 0) problems.push(`${orphans.length} ${category} have no installs`);
+  }
+  return problems;
+}
+
+/** Merges a snapshot into symbol sets shaped like `collectSymbolsFromSources` output. */
+export function addSnapshotToSymbols(snapshot, out) {
+  for (const name of Object.keys(snapshot.namespaces)) out.namespaces.add(name);
+  for (const name of Object.keys(snapshot.types)) out.types.add(name);
+  for (const name of Object.keys(snapshot.functions)) {
+    if (name.includes("::")) out.namespacedFunctions?.add(name);
+    else out.globalFunctions.add(name);
+  }
+  for (const [name, en] of Object.entries(snapshot.enums)) {
+    const known = out.enums.get(name) || new Set();
+    for (const value of en.values) known.add(value);
+    out.enums.set(name, known);
+  }
+}
@@ -0,0 +1,221 @@
+const identStartRx = /[A-Za-z_]/;
+const identPartRx = /[A-Za-z0-9_]/;
+const digitRx = /[0-9]/;
+
+function isLineStart(text, offset) {
+  for (let i = offset - 1; i >= 0; i--) {
+    const ch = text[i];
+    if (ch === "\n") return true;
+    if (ch !== " " && ch !== "\t" && ch !== "\r") return false;
+  }
+  return true;
+}
+
+function findStringEnd(text, offset, quote) {
+  if (quote === '"' && text.startsWith('"""', offset)) {
+    const close = text.indexOf('"""', offset + 3);
+    return close < 0 ? text.length : close + 3;
+  }
+  let i = offset + 1;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === quote) return i + 1;
+    if (ch === "\n") return i;
+    i++;
+  }
+  return text.length;
+}
+
+/**
+ * Splits AngelScript source into a flat token list. Comments, strings and
+ * preprocessor lines are kept as single tokens so callers can skip them.
+ */
+export function tokenizeSource(text) {
+  const tokens = [];
+  let line = 0;
+  let lineStart = 0;
+  let i = 0;
+
+  function push(kind, start, end) {
+    tokens.push({
+      kind,
+      value: text.slice(start, end),
+      start,
+      end,
+      line,
+      character: start - lineStart,
+    });
+    for (let j = start; j < end; j++) {
+      if (text[j] === "\n") {
+        line++;
+        lineStart = j + 1;
+      }
+    }
+  }
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === "\n") {
+      line++;
+      lineStart = i + 1;
+      i++;
+      continue;
+    }
+    if (ch === " " || ch === "\t" || ch === "\r") {
+      i++;
+      continue;
+    }
+
+    if (ch === "/" && next === "/") {
+      const eol = text.indexOf("\n", i);
+      const end = eol < 0 ? text.length : eol;
+      push("comment", i, end);
+      i = end;
+      continue;
+    }
+    if (ch === "/" && next === "*") {
+      const close = text.indexOf("*/", i + 2);
+      const end = close < 0 ? text.length : close + 2;
+      push("comment", i, end);
+      i = end;
+      continue;
+    }
+
+    if (ch === "#" && isLineStart(text, i)) {
+      const eol = text.indexOf("\n", i);
+      const end = eol < 0 ? text.length : eol;
+      push("directive", i, end);
+      i = end;
+      continue;
+    }
+
+    if ((ch === "n" || ch === "f") && next === '"' && !identPartRx.test(text[i - 1] || "")) {
+      const end = findStringEnd(text, i + 1, '"');
+      push("string", i, end);
+      i = end;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const end = findStringEnd(text, i, ch);
+      push("string", i, end);
+      i = end;
+      continue;
+    }
+
+    if (identStartRx.test(ch)) {
+      let end = i + 1;
+      while (end < text.length && identPartRx.test(text[end])) end++;
+      push("identifier", i, end);
+      i = end;
+      continue;
+    }
+
+    if (digitRx.test(ch) || (ch === "." && digitRx.test(next || ""))) {
+      let end = i + 1;
+      while (end < text.length && /[0-9A-Za-z_.]/.test(text[end])) {
+        if (text[end] === "." && !digitRx.test(text[end + 1] || "")) break;
+        end++;
+      }
+      push("number", i, end);
+      i = end;
+      continue;
+    }
+
+    if (ch === ":" && next === ":") {
+      push("punctuation", i, i + 2);
+      i += 2;
+      continue;
+    }
+
+    push("punctuation", i, i + 1);
+    i++;
+  }
+
+  return tokens;
+}
+
+/** Returns the tokenizer output without comments and preprocessor lines. */
+export function codeTokens(tokens) {
+  return tokens.filter((token) => token.kind !== "comment" && token.kind !== "directive");
+}
+
+/**
+ * Reads a `Name(::Name)*` chain starting at `index`. Returns the segment tokens
+ * and the index of the first token after the chain.
+ */
+export function readQualifiedChain(tokens, index) {
+  const segments = [];
+  let i = index;
+  while (i < tokens.length && tokens[i].kind === "identifier") {
+    segments.push(tokens[i]);
+    if (tokens[i + 1]?.value === "::" && tokens[i + 2]?.kind === "identifier") {
+      i += 2;
+      continue;
+    }
+    i++;
+    break;
+  }
+  return { segments, nextIndex: i };
+}
+
+/**
+ * Finds the qualified name under `offset`. Returns null when the offset is not
+ * on an identifier in code (comments, strings and directives are ignored).
+ */
+export function findQualifiedNameAt(text, offset) {
+  const tokens = codeTokens(tokenizeSource(text));
+  let index = tokens.findIndex(
+    (token) => token.kind === "identifier" && token.start <= offset && offset < token.end,
+  );
+  if (index < 0) {
+    index = tokens.findIndex((token) => token.kind === "identifier" && token.end === offset);
+  }
+  if (index < 0) return null;
+
+  let startIndex = index;
+  while (tokens[startIndex - 1]?.value === "::" && tokens[startIndex - 2]?.kind === "identifier") {
+    startIndex -= 2;
+  }
+
+  const { segments, nextIndex } = readQualifiedChain(tokens, startIndex);
+  const hoveredIndex = segments.indexOf(tokens[index]);
+  return {
+    tokens,
+    startIndex,
+    segments,
+    hoveredIndex,
+    names: segments.map((token) => token.value),
+    precededByDot: tokens[startIndex - 1]?.value === ".",
+    isCall: tokens[nextIndex]?.value === "(",
+  };
+}
+
+const nonCodeKinds = new Set(["comment", "string", "directive"]);
+
+function isTokenClosed(token) {
+  if (token.kind === "comment") {
+    return token.value.startsWith("/*") && token.value.length >= 4 && token.value.endsWith("*/");
+  }
+  if (token.kind === "string") {
+    const body = token.value.replace(/^[nf]/, "");
+    const quote = body[0];
+    if (body.startsWith('"""')) return body.length >= 6 && body.endsWith('"""');
+    return body.length >= 2 && body.endsWith(quote) && !body.endsWith(`\\${quote}`);
+  }
+  return false;
+}
+
+/** Whether `offset` sits inside a comment, string literal or preprocessor line. */
+export function isOffsetInNonCode(text, offset) {
+  const token = tokenizeSource(text).find(
+    (item) => nonCodeKinds.has(item.kind) && item.start < offset && offset <= item.end,
+  );
+  if (!token) return false;
+  return offset < token.end || !isTokenClosed(token);
+}
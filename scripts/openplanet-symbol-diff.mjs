@@ -0,0 +1,123 @@
+export const symbolSnapshotVersion = 2;
+
+const categories = [
+  { key: "namespaces", label: "Namespaces" },
+  { key: "types", label: "Types" },
+  { key: "functions", label: "Functions" },
+  { key: "enumMembers", label: "Enum members" },
+];
+
+const sorted = (values) => [...values].sort((a, b) => a.localeCompare(b));
+
+/**
+ * Describes where the metadata came from, so a run against other installs or
+ * the fallback snapshot starts a new baseline instead of reporting removals.
+ */
+export function describeSymbolSource(sourcePaths) {
+  if (sourcePaths.usedFallbackSnapshot) return "fallback snapshot";
+  const files = [
+    ...sourcePaths.coreJsonPaths,
+    ...sourcePaths.gameJsonPaths,
+    ...sourcePaths.headerPaths,
+    ...sourcePaths.snapshotPaths,
+  ];
+  return sorted(files).join(";");
+}
+
+/**
+ * Flattens the symbol sets from `collectSymbolsFromSources` into sorted plain
+ * lists that can be written to disk and diffed on the next generation.
+ * Dependency plugin symbols are left out: they come from the workspace, not
+ * from Openplanet metadata.
+ */
+export function createSymbolSnapshot(symbols, { source = null } = {}) {
+  const enumMembers = [];
+  for (const [enumName, values] of symbols.enums || []) {
+    for (const value of values) enumMembers.push(`${enumName}::${value}`);
+  }
+  return {
+    version: symbolSnapshotVersion,
+    source,
+    namespaces: sorted(symbols.namespaces || []),
+    types: sorted(symbols.types || []),
+    functions: sorted([...(symbols.globalFunctions || []), ...(symbols.namespacedFunctions || [])]),
+    enumMembers: sorted(enumMembers),
+  };
+}
+
+/**
+ * Compares two snapshots category by category. Without a comparable previous
+ * snapshot (first run, an unreadable/outdated one, or one read from other
+ * sources) nothing is reported as changed.
+ */
+export function diffSymbolSnapshots(previous, current, generatedAt = new Date().toISOString()) {
+  const sourceChanged =
+    previous?.version === symbolSnapshotVersion && previous.source !== current.source;
+  const hasPrevious = previous?.version === symbolSnapshotVersion && !sourceChanged;
+  const report = { generatedAt, hasPrevious, sourceChanged, added: 0, removed: 0, categories: {} };
+  for (const { key } of categories) {
+    const before = new Set(hasPrevious ? previous[key] || [] : current[key]);
+    const after = new Set(current[key]);
+    const added = current[key].filter((name) => !before.has(name));
+    const removed = [...before].filter((name) => !after.has(name)).sort((a, b) => a.localeCompare(b));
+    report.categories[key] = { total: after.size, added, removed };
+    report.added += added.length;
+    report.removed += removed.length;
+  }
+  return report;
+}
+
+function renderNameList(lines, names, limit) {
+  for (const name of names.slice(0, limit)) lines.push(`- \`${name}\``);
+  if (names.length > limit) lines.push(`- ... and ${names.length - limit} more (see the JSON report)`);
+}
+
+/** Renders a diff report as Markdown, listing removed APIs first. */
+export function renderSymbolDiffMarkdown(report, { limit = 50 } = {}) {
+  const lines = ["# Openplanet symbol changes", "", `Generated: ${report.generatedAt}`, ""];
+  if (report.sourceChanged) {
+    lines.push("The metadata sources changed since the last run; this run is the new baseline.", "");
+  } else if (!report.hasPrevious) {
+    lines.push("No previous symbol snapshot was found; this run is the new baseline.", "");
+  } else if (report.added === 0 && report.removed === 0) {
+    lines.push("No symbols were added or removed.", "");
+  } else {
+    lines.push(`${report.added} added, ${report.removed} removed.`, "");
+  }
+
+  lines.push("| Category | Total | Added | Removed |", "| --- | ---: | ---: | ---: |");
+  for (const { key, label } of categories) {
+    const { total, added, removed } = report.categories[key];
+    lines.push(`| ${label} | ${total} | ${added.length} | ${removed.length} |`);
+  }
+  lines.push("");
+
+  if (report.removed > 0) {
+    lines.push(
+      "## Removed APIs",
+      "",
+      "> Plugins using these symbols will likely fail to compile on the new game/Openplanet version.",
+      "",
+    );
+    for (const { key, label } of categories) {
+      const { removed } = report.categories[key];
+      if (removed.length === 0) continue;
+      lines.push(`### ${label}`, "");
+      renderNameList(lines, removed, limit);
+      lines.push("");
+    }
+  }
+
+  if (report.added > 0) {
+    lines.push("## Added APIs", "");
+    for (const { key, label } of categories) {
+      const { added } = report.categories[key];
+      if (added.length === 0) continue;
+      lines.push(`### ${label}`, "");
+      renderNameList(lines, added, limit);
+      lines.push("");
+    }
+  }
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
@@ -0,0 +1,350 @@
+import { lookupApiChildren, lookupApiEntries, resolveTypeEntry } from "./openplanet-api-index.mjs";
+import { codeTokens, findQualifiedNameAt, tokenizeSource } from "./openplanet-source-scanner.mjs";
+
+const memberKinds = new Set(["method", "field", "gameMethod", "gameField"]);
+const callableKinds = new Set(["function", "method", "gameMethod"]);
+const containerRx = /^(?:const\s+)?[A-Za-z_][\w:]*\s*<\s*(.+?)\s*>\s*[@&]*$/;
+const arrayRx = /^(.+?)\s*\[\s*\]\s*[@&]*$/;
+const nonTypeWords = new Set([
+  "return",
+  "else",
+  "case",
+  "new",
+  "delete",
+  "in",
+  "out",
+  "inout",
+  "not",
+  "and",
+  "or",
+  "xor",
+  "is",
+  "throw",
+]);
+const handleMarkers = new Set(["@", "&"]);
+const parameterModes = new Set(["in", "out", "inout"]);
+const declarationEnds = new Set(["=", ";", ",", ")", ":"]);
+const templateStops = new Set([";", "{", "}", "(", ")", "="]);
+const maxInferenceDepth = 4;
+const memberCache = new WeakMap();
+
+/** Returns the element type of `array<T>`, `MwFastBuffer<T>` or `T[]` declarations. */
+export function elementTypeOf(typeDecl) {
+  const text = String(typeDecl || "").trim();
+  const arrayMatch = arrayRx.exec(text);
+  if (arrayMatch) return arrayMatch[1];
+  const containerMatch = containerRx.exec(text);
+  return containerMatch ? containerMatch[1] : null;
+}
+
+/**
+ * Lists the members of a type, walking the game-class inheritance chain so
+ * members declared on parents (for example `CMwNod`) are included.
+ */
+export function collectTypeMembers(index, typeEntry) {
+  const cached = memberCache.get(index) || new Map();
+  memberCache.set(index, cached);
+  if (cached.has(typeEntry.qualifiedName)) return cached.get(typeEntry.qualifiedName);
+
+  const members = new Map();
+  const seen = new Set();
+  let current = typeEntry;
+  while (current && !seen.has(current.qualifiedName)) {
+    seen.add(current.qualifiedName);
+    for (const entry of lookupApiChildren(index, current.qualifiedName)) {
+      if (!memberKinds.has(entry.kind)) continue;
+      const list = members.get(entry.name) || [];
+      if (list.length === 0 || list[0].owner === entry.owner) list.push(entry);
+      members.set(entry.name, list);
+    }
+    current = current.parent ? resolveTypeEntry(index, current.parent) : null;
+  }
+  cached.set(typeEntry.qualifiedName, members);
+  return members;
+}
+
+export function findTypeMember(index, typeEntry, name) {
+  return collectTypeMembers(index, typeEntry).get(name) || [];
+}
+
+// Reads the declared type starting at token `start`: a `::`-qualified name with
+// optional template arguments and `[]` suffixes. Returns the index after it, or -1.
+function readDeclaredType(tokens, start) {
+  if (tokens[start]?.kind !== "identifier") return -1;
+  let i = start + 1;
+  while (tokens[i]?.value === "::" && tokens[i + 1]?.kind === "identifier") i += 2;
+  if (tokens[i]?.value === "<") {
+    let depth = 0;
+    for (; i < tokens.length; i++) {
+      const value = tokens[i].value;
+      if (templateStops.has(value)) return -1;
+      if (value === "<") depth++;
+      else if (value === ">" && --depth === 0) break;
+    }
+    if (depth !== 0) return -1;
+    i++;
+  }
+  while (tokens[i]?.value === "[" && tokens[i + 1]?.value === "]") i += 2;
+  return i;
+}
+
+// Maps each `{` and `(` token index to the index of its closing token.
+function matchBrackets(tokens) {
+  const closing = new Map();
+  const open = [];
+  tokens.forEach((token, index) => {
+    if (token.value === "{" || token.value === "(") open.push(index);
+    else if (token.value === "}" || token.value === ")") {
+      const expected = token.value === "}" ? "{" : "(";
+      while (open.length > 0 && tokens[open[open.length - 1]].value !== expected) open.pop();
+      if (open.length > 0) closing.set(open.pop(), index);
+    }
+  });
+  return closing;
+}
+
+/**
+ * Finds where a declaration is visible: the enclosing `{}` block, or for
+ * parameters and `for` variables the block that follows their parentheses.
+ */
+function declarationScope(tokens, closing, openerIndex) {
+  const endOf = (index) => (closing.has(index) ? tokens[closing.get(index)].end : Infinity);
+  if (openerIndex < 0) return { start: 0, end: Infinity };
+  if (tokens[openerIndex].value === "(" && closing.has(openerIndex)) {
+    let next = closing.get(openerIndex) + 1;
+    while (tokens[next]?.kind === "identifier") next++;
+    if (tokens[next]?.value === "{") return { start: tokens[next].start, end: endOf(next) };
+  }
+  return { start: tokens[openerIndex].start, end: endOf(openerIndex) };
+}
+
+// Returns the index of the last token of the initializer that starts at `start`.
+function initializerEnd(tokens, start) {
+  let depth = 0;
+  let i = start;
+  for (; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (value === "(" || value === "[" || value === "{") depth++;
+    else if (value === ")" || value === "]" || value === "}") {
+      if (depth === 0) break;
+      depth--;
+    } else if (depth === 0 && (value === ";" || value === ",")) break;
+  }
+  return i > start ? i - 1 : -1;
+}
+
+// Collects variable and parameter declarations from the code tokens, so
+// comments and strings never count, along with the range each is visible in.
+function collectDeclarations(context) {
+  const { text, tokens } = context;
+  const closing = matchBrackets(tokens);
+  const declarations = new Map();
+  const openers = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const value = tokens[i].value;
+    if (value === "{" || value === "(") {
+      openers.push(i);
+      continue;
+    }
+    if (value === "}" || value === ")") {
+      const expected = value === "}" ? "{" : "(";
+      while (openers.length > 0 && tokens[openers[openers.length - 1]].value !== expected) openers.pop();
+      openers.pop();
+      continue;
+    }
+
+    const previous = tokens[i - 1]?.value;
+    if (previous === "." || previous === "::") continue;
+    const typeStart = value === "const" ? i + 1 : i;
+    const typeEnd = readDeclaredType(tokens, typeStart);
+    if (typeEnd < 0) continue;
+    if (typeEnd === typeStart + 1 && nonTypeWords.has(tokens[typeStart].value)) continue;
+
+    let nameIndex = typeEnd;
+    while (handleMarkers.has(tokens[nameIndex]?.value)) nameIndex++;
+    if (nameIndex > typeEnd && parameterModes.has(tokens[nameIndex]?.value)) {
+      if (tokens[nameIndex + 1]?.kind === "identifier") nameIndex++;
+    }
+    const name = tokens[nameIndex];
+    if (name?.kind !== "identifier" || !declarationEnds.has(tokens[nameIndex + 1]?.value)) continue;
+
+    const isAssigned = tokens[nameIndex + 1].value === "=" && tokens[nameIndex + 2]?.value !== "=";
+    const list = declarations.get(name.value) || [];
+    list.push({
+      offset: tokens[i].start,
+      decl: text.slice(tokens[typeStart].start, tokens[typeEnd - 1].end),
+      initializerEnd: isAssigned ? initializerEnd(tokens, nameIndex + 2) : -1,
+      scope: declarationScope(tokens, closing, openers.length > 0 ? openers[openers.length - 1] : -1),
+    });
+    declarations.set(name.value, list);
+    i = nameIndex;
+  }
+  return declarations;
+}
+
+/**
+ * Holds the document state shared by every inference in one request: the code
+ * tokens, memoized expression types and the variable declarations found so far.
+ */
+export function createInferenceContext(index, text, tokens = codeTokens(tokenizeSource(text))) {
+  return { index, text, tokens, memo: new Map(), declarations: null, depth: 0 };
+}
+
+function findMatchingOpen(tokens, closeIndex) {
+  const close = tokens[closeIndex].value;
+  const open = close === ")" ? "(" : close === "]" ? "[" : "<";
+  let depth = 0;
+  for (let i = closeIndex; i >= 0; i--) {
+    if (tokens[i].value === close) depth++;
+    else if (tokens[i].value === open) {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses the postfix expression that ends at `endIndex` backwards into steps:
+ * `name` (possibly `::`-qualified), `call`, `index` and `cast<T>`.
+ */
+function parseChainBackward(tokens, endIndex) {
+  const steps = [];
+  let i = endIndex;
+  for (;;) {
+    const postfix = [];
+    while (tokens[i]?.value === "]" || tokens[i]?.value === ")") {
+      const openIndex = findMatchingOpen(tokens, i);
+      if (openIndex < 0) return null;
+      postfix.unshift({ kind: tokens[i].value === "]" ? "index" : "call" });
+      i = openIndex - 1;
+    }
+
+    if (postfix[0]?.kind === "call" && tokens[i]?.value === ">") {
+      const ltIndex = findMatchingOpen(tokens, i);
+      if (ltIndex < 1 || tokens[ltIndex - 1].value !== "cast") return null;
+      const decl = tokens
+        .slice(ltIndex + 1, i)
+        .map((token) => token.value)
+        .join("");
+      steps.unshift({ kind: "cast", decl }, ...postfix.slice(1));
+      i = ltIndex - 2;
+    } else {
+      if (tokens[i]?.kind !== "identifier") return null;
+      const names = [tokens[i].value];
+      const offset = tokens[i].start;
+      i--;
+      while (tokens[i]?.value === "::" && tokens[i - 1]?.kind === "identifier") {
+        names.unshift(tokens[i - 1].value);
+        i -= 2;
+      }
+      steps.unshift({ kind: "name", names, offset }, ...postfix);
+    }
+
+    if (tokens[i]?.value !== ".") break;
+    i--;
+  }
+  return steps;
+}
+
+function typeState(context, decl, ns = "") {
+  if (!decl) return null;
+  return { decl, entry: resolveTypeEntry(context.index, decl, ns) };
+}
+
+function inferInitializer(context, endIndex) {
+  if (context.depth >= maxInferenceDepth) return null;
+  return inferTypeAt({ ...context, memo: new Map(), depth: context.depth + 1 }, endIndex);
+}
+
+// Picks the closest earlier declaration of `name` whose scope contains `offset`.
+function variableType(context, name, offset) {
+  if (!context.declarations) context.declarations = collectDeclarations(context);
+  const candidates = (context.declarations.get(name) || []).filter(
+    (item) => item.offset < offset && item.scope.start <= offset && offset < item.scope.end,
+  );
+  const declaration = candidates[candidates.length - 1];
+  if (!declaration) return null;
+  if (declaration.decl !== "auto") return typeState(context, declaration.decl);
+  if (declaration.initializerEnd < 0) return null;
+  return inferInitializer(context, declaration.initializerEnd);
+}
+
+function firstStepType(context, step, isCall) {
+  const qualifiedName = step.names.join("::");
+  const entries = lookupApiEntries(context.index, qualifiedName);
+
+  if (isCall) {
+    const callable = entries.find((entry) => callableKinds.has(entry.kind) && entry.returnType);
+    if (callable) return typeState(context, callable.returnType, callable.ns);
+    const constructed = resolveTypeEntry(context.index, qualifiedName);
+    return constructed ? { decl: qualifiedName, entry: constructed } : null;
+  }
+
+  const property = entries.find((entry) => entry.kind === "property" && entry.type);
+  if (property) return typeState(context, property.type, property.ns);
+  if (step.names.length > 1) return null;
+  return variableType(context, step.names[0], step.offset);
+}
+
+function memberStepType(context, current, step, isCall) {
+  if (!current?.entry || step.names.length !== 1) return null;
+  const members = findTypeMember(context.index, current.entry, step.names[0]);
+  const member = isCall
+    ? members.find((entry) => callableKinds.has(entry.kind))
+    : members.find((entry) => !callableKinds.has(entry.kind));
+  if (!member) return null;
+  return typeState(context, isCall ? member.returnType : member.type, member.ns);
+}
+
+/**
+ * Infers the type of the expression ending at token `endIndex`, e.g. the
+ * receiver before a `.`. Returns `{ decl, entry }` or null when unknown.
+ */
+export function inferTypeAt(context, endIndex) {
+  if (context.memo.has(endIndex)) return context.memo.get(endIndex);
+  context.memo.set(endIndex, null);
+
+  const steps = parseChainBackward(context.tokens, endIndex);
+  let current = null;
+  if (steps) {
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const isCall = steps[i + 1]?.kind === "call";
+      if (step.kind === "cast") current = typeState(context, step.decl);
+      else if (step.kind === "index") current = typeState(context, elementTypeOf(current?.decl));
+      else if (step.kind === "call") continue;
+      else current = i === 0 ? firstStepType(context, step, isCall) : memberStepType(context, current, step, isCall);
+      if (!current) break;
+    }
+  }
+
+  context.memo.set(endIndex, current);
+  return current;
+}
+
+/** Infers the type of the expression that ends right before `offset`. */
+export function inferTypeBeforeOffset(index, text, offset) {
+  const context = createInferenceContext(index, text);
+  let endIndex = -1;
+  for (let i = 0; i < context.tokens.length && context.tokens[i].end <= offset; i++) endIndex = i;
+  return endIndex < 0 ? null : inferTypeAt(context, endIndex);
+}
+
+/**
+ * Resolves `receiver.member` under `offset` through the receiver's inferred
+ * type, including members inherited from parent game classes.
+ */
+export function resolveMemberEntriesAt(index, text, offset) {
+  const location = findQualifiedNameAt(text, offset);
+  if (!location || !location.precededByDot || location.segments.length !== 1) return null;
+
+  const context = createInferenceContext(index, text, location.tokens);
+  const receiver = inferTypeAt(context, location.startIndex - 2);
+  if (!receiver?.entry) return null;
+
+  const member = location.segments[0];
+  const entries = findTypeMember(index, receiver.entry, member.value);
+  if (entries.length === 0) return null;
+  return { entries, start: member.start, end: member.end };
+}
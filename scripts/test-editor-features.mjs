@@ -0,0 +1,1649 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import zlib from "node:zlib";
+
+import { buildApiIndex, renderApiHoverMarkdown, resolveApiEntriesAt } from "./openplanet-api-index.mjs";
+import { findColorLiterals, formatColorLiteral } from "./openplanet-colors.mjs";
+import { getApiCompletions } from "./openplanet-completion.mjs";
+import { exportMetadataSnapshot } from "./openplanet-grammar-generator.mjs";
+import { checkCrossGameUsage } from "./openplanet-game-provenance.mjs";
+import { collectDependencySymbols, findPluginPaths } from "./openplanet-dependencies.mjs";
+import {
+  checkDirectives,
+  getDirectiveTargetCompletions,
+  parseDirectives,
+} from "./openplanet-directives.mjs";
+import {
+  collectDocumentedDeclarations,
+  createDocIndex,
+  indexDependencyDocs,
+  lookupDocEntries,
+  parseDocComment,
+  removeDocSource,
+  renderDocHoverMarkdown,
+  resolveDocEntriesAt,
+  setDocSource,
+} from "./openplanet-doc-comments.mjs";
+import {
+  checkDefineReferences,
+  collectPluginDefines,
+  computeDefineSemanticTokens,
+  evaluateDefineExpression,
+  findInactiveRegions,
+  findOwningPlugin,
+  readPluginManifest,
+} from "./openplanet-defines.mjs";
+import {
+  checkEmbeddedLiterals,
+  decodeStringLiteral,
+  findEmbeddedLiterals,
+} from "./openplanet-embedded-literals.mjs";
+import { getInfoTomlCompletions, validateInfoToml } from "./openplanet-info-toml.mjs";
+import {
+  collectSymbolsByInstall,
+  collectSymbolsFromSources,
+  loadMetadataSources,
+  loadMetadataSourcesAsync,
+  probeSourceInstallDirs,
+  resolveInstallDirs,
+  resolveSourcePaths,
+} from "./openplanet-metadata.mjs";
+import {
+  readMetadataJson,
+  readMetadataJsonAsync,
+  validateCoreJson,
+  validateGameJson,
+} from "./openplanet-metadata-validation.mjs";
+import { createRegenerationScheduler } from "./openplanet-metadata-watch.mjs";
+import { buildSemanticTokensLegend, computeSemanticTokens } from "./openplanet-semantic-tokens.mjs";
+import {
+  createRefreshQueue,
+  mergeRefreshOptions,
+  normalizeRefreshRequest,
+} from "./openplanet-refresh-queue.mjs";
+import {
+  checkSettingAttributes,
+  collectSettingDeclarations,
+  findSettingKeyAt,
+  getSettingKeyCompletions,
+  renderSettingKeyMarkdown,
+} from "./openplanet-settings.mjs";
+import {
+  createSymbolSnapshot,
+  describeSymbolSource,
+  diffSymbolSnapshots,
+  renderSymbolDiffMarkdown,
+} from "./openplanet-symbol-diff.mjs";
+import { getSignatureHelp } from "./openplanet-signature-help.mjs";
+import {
+  buildMetadataSnapshot,
+  checkMetadataSnapshot,
+  readMetadataSnapshot,
+  serializeMetadataSnapshot,
+} from "./openplanet-snapshot.mjs";
+import { tokenizeSource } from "./openplanet-source-scanner.mjs";
+import { resolveMemberEntriesAt } from "./openplanet-type-inference.mjs";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, "..");
+
+const fixtureCore = {
+  functions: [
+    {
+      name: "GetApp",
+      returntypedecl: "CGameCtnApp@",
+      decl: "CGameCtnApp@ GetApp()",
+      args: [],
+      desc: "Returns the game application object.",
+    },
+    {
+      name: "startnew",
+      returntypedecl: "CoroutineHandle@",
+      decl: "CoroutineHandle@ startnew(CoroutineFunc@ func)",
+      args: [{ name: "func", typedecl: "CoroutineFunc@" }],
+    },
+    { name: "yield", returntypedecl: "void", decl: "void yield()", args: [] },
+    {
+      name: "ExecutingPlugin",
+      ns: "Meta",
+      returntypedecl: "Meta::Plugin@",
+      args: [],
+      desc: "Returns the currently executing plugin.",
+    },
+    {
+      name: "Begin",
+      ns: "UI",
+      returntypedecl: "bool",
+      decl: "bool UI::Begin(const string&in label, int flags = 0)",
+      args: [
+        { name: "label", typedecl: "const string&in" },
+        { name: "flags", typedecl: "int", default: "0" },
+      ],
+      desc: "Begins a new window.",
+    },
+    {
+      name: "InputText",
+      ns: "UI",
+      returntypedecl: "string",
+      args: [
+        { name: "label", typedecl: "const string&in" },
+        { name: "str", typedecl: "const string&in" },
+      ],
+    },
+    {
+      name: "InputText",
+      ns: "UI",
+      returntypedecl: "string",
+      args: [
+        { name: "label", typedecl: "const string&in" },
+        { name: "str", typedecl: "const string&in" },
+        { name: "changed", typedecl: "bool&out" },
+        { name: "flags", typedecl: "UI::InputTextFlags", default: "UI::InputTextFlags::None" },
+      ],
+    },
+  ],
+  classes: [
+    {
+      name: "Plugin",
+      ns: "Meta",
+      desc: "A loaded plugin.",
+      methods: [{ name: "Enable", returntypedecl: "void", args: [] }],
+      props: [{ name: "Name", typedecl: "const string" }],
+    },
+    {
+      name: "HttpRequest",
+      ns: "Net",
+      methods: [
+        { name: "HttpRequest", args: [] },
+        { name: "HttpRequest", args: [{ name: "url", typedecl: "const string&in" }] },
+      ],
+    },
+  ],
+  enums: [{ name: "Cond", ns: "UI", values: { None: 0, Always: 1, Once: 2 } }],
+  props: [],
+  funcdefs: [{ name: "CoroutineFunc", decl: "void CoroutineFunc()" }],
+};
+
+const fixtureGame = {
+  ns: {
+    Game: {
+      CGameCtnApp: { e: [{ n: "EState", v: ["Idle", "Ready"] }] },
+    },
+  },
+};
+
+function writeFixtureInstall(rootDir, installName, files) {
+  const installDir = path.join(rootDir, installName);
+  fs.mkdirSync(installDir, { recursive: true });
+  for (const [fileName, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(installDir, fileName), JSON.stringify(content), "utf8");
+  }
+  return installDir;
+}
+
+function tokenAt(tokens, line, character) {
+  return tokens.find((token) => token.line === line && token.character === character);
+}
+
+function testSemanticTokens(fixtureRoot) {
+  const packageJson = JSON.parse(fs.readFileSync(path.join(repoRoot, "package.json"), "utf8"));
+  const legend = buildSemanticTokensLegend(
+    packageJson.contributes.semanticTokenScopes,
+    "openplanet-angelscript",
+  );
+  for (const tokenType of ["namespace", "class", "function", "enumMember"]) {
+    assert.ok(legend.tokenTypes.includes(tokenType), `Legend is missing token type "${tokenType}".`);
+  }
+  assert.ok(legend.tokenModifiers.includes("defaultLibrary"), "Legend is missing defaultLibrary.");
+  assert.ok(legend.tokenModifiers.includes("readonly"), "Legend dropped manifest modifiers.");
+  assert.ok(legend.tokenModifiers.includes("unresolved"), "Legend is missing unresolved.");
+  assert.ok(legend.tokenModifiers.includes("dependency"), "Legend is missing dependency.");
+
+  const installDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+    "OpenplanetNext.json": fixtureGame,
+  });
+  const symbols = collectSymbolsFromSources(resolveSourcePaths({ "openplanet-dir": installDir }));
+  assert.ok(symbols.namespaces.has("UI"), "Core namespaces were not collected.");
+  assert.ok(symbols.types.has("CGameCtnApp"), "Game types were not collected.");
+
+  const source = [
+    "// UI::Begin(GetApp())",
+    'void Main() { string s = "GetApp()";',
+    "  if (UI::Begin(\"x\", UI::Cond::Always)) {}",
+    "  CGameCtnApp@ app = GetApp(); app.GetApp(); Mine::Begin();",
+    "  x = UI::Cond::Alway; y = CGameCtnApp::EState::Ready;",
+    "}",
+  ].join("\n");
+  const tokens = computeSemanticTokens(source, symbols);
+
+  assert.ok(!tokens.some((token) => token.line === 0), "Comments must not produce semantic tokens.");
+  assert.ok(!tokens.some((token) => token.line === 1), "Strings must not produce semantic tokens.");
+  assert.equal(tokenAt(tokens, 2, 6)?.tokenType, "namespace");
+  assert.equal(tokenAt(tokens, 2, 10)?.tokenType, "function");
+  assert.equal(tokenAt(tokens, 2, 25)?.tokenType, "enum");
+  assert.equal(tokenAt(tokens, 2, 31)?.tokenType, "enumMember");
+  assert.deepEqual(tokenAt(tokens, 2, 31)?.tokenModifiers, ["defaultLibrary"]);
+  assert.equal(tokenAt(tokens, 3, 2)?.tokenType, "class");
+  assert.equal(tokenAt(tokens, 3, 21)?.tokenType, "function");
+  assert.equal(tokenAt(tokens, 3, 35), undefined, "Member calls must not be treated as globals.");
+  assert.equal(tokenAt(tokens, 3, 45), undefined, "Unknown namespaces must not be highlighted.");
+  assert.equal(tokenAt(tokens, 4, 16), undefined, "Unknown enum members must not be enum members.");
+  assert.equal(tokenAt(tokens, 4, 10)?.tokenType, "enum");
+  assert.equal(tokenAt(tokens, 4, 27)?.tokenType, "class");
+  assert.equal(tokenAt(tokens, 4, 40)?.tokenType, "enum");
+  assert.equal(tokenAt(tokens, 4, 48)?.tokenType, "enumMember");
+  assert.deepEqual(tokenAt(tokens, 2, 10)?.tokenModifiers, ["defaultLibrary"]);
+
+  // Namespaced calls missing from the API are not built-ins.
+  const local = computeSemanticTokens("void Main() { UI::Begn(); UI::MyHelper(); }", symbols);
+  assert.equal(tokenAt(local, 0, 18)?.tokenType, "function");
+  assert.deepEqual(tokenAt(local, 0, 18)?.tokenModifiers, []);
+  assert.deepEqual(tokenAt(local, 0, 30)?.tokenModifiers, []);
+}
+
+function hoverAt(index, source, needle, delta = 0) {
+  const offset = source.indexOf(needle) + delta;
+  return resolveApiEntriesAt(index, source, offset);
+}
+
+function testHoverIndex(fixtureRoot) {
+  const nextDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+    "OpenplanetNext.json": { ns: { Game: { CGameCtnApp: { p: "CMwNod" } } } },
+  });
+  const turboDir = writeFixtureInstall(fixtureRoot, "OpenplanetTurbo", {
+    "OpenplanetCore.json": { functions: [fixtureCore.functions[0]] },
+  });
+  const index = buildApiIndex(
+    resolveSourcePaths({ "openplanet-dirs": `${nextDir};${turboDir}` }),
+  );
+
+  const source = "auto app = GetApp();\nif (UI::Begin(\"w\")) {}\nMeta::Plugin@ p;\nCGameCtnApp@ a;\n// GetApp()";
+
+  const getApp = hoverAt(index, source, "GetApp");
+  assert.equal(getApp.entries.length, 1, "Identical signatures from several installs must merge.");
+  assert.deepEqual(getApp.entries[0].installs, ["Next", "Turbo"]);
+  assert.equal(getApp.start, source.indexOf("GetApp"));
+
+  const begin = hoverAt(index, source, "Begin", 2);
+  const beginMarkdown = renderApiHoverMarkdown(begin.entries);
+  assert.ok(beginMarkdown.includes("bool UI::Begin(const string&in label, int flags = 0)"));
+  assert.ok(beginMarkdown.includes("Namespace: `UI`"));
+  assert.ok(beginMarkdown.includes("Installs: Next"));
+  assert.ok(beginMarkdown.includes("Begins a new window."));
+
+  assert.equal(hoverAt(index, source, "UI::").entries[0].kind, "namespace");
+  assert.equal(hoverAt(index, source, "Plugin").entries[0].qualifiedName, "Meta::Plugin");
+
+  const gameClass = hoverAt(index, source, "CGameCtnApp");
+  assert.ok(renderApiHoverMarkdown(gameClass.entries).includes("Inherits: `CMwNod`"));
+
+  assert.equal(
+    resolveApiEntriesAt(index, source, source.lastIndexOf("GetApp")),
+    null,
+    "Hovering inside comments must not resolve built-ins.",
+  );
+}
+
+function completionNames(index, source) {
+  const result = getApiCompletions(index, source, source.length);
+  return result ? result.groups.map((group) => group.name) : null;
+}
+
+function testCompletion(fixtureRoot) {
+  const installDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+  });
+  const index = buildApiIndex(resolveSourcePaths({ "openplanet-dir": installDir }));
+
+  const uiNames = completionNames(index, "void Main() { UI::");
+  assert.ok(uiNames.includes("Begin"), "Namespace completion is missing functions.");
+  assert.ok(uiNames.includes("Cond"), "Namespace completion is missing enums.");
+
+  assert.deepEqual(completionNames(index, "auto c = UI::Cond::"), ["None", "Always", "Once"]);
+  assert.ok(completionNames(index, "Meta::").includes("Plugin"), "Nested types must complete.");
+
+  const globalNames = completionNames(index, "void Main() { st");
+  for (const name of ["startnew", "yield", "GetApp", "UI", "Meta"]) {
+    assert.ok(globalNames.includes(name), `Global completion is missing "${name}".`);
+  }
+  assert.ok(!globalNames.includes("Begin"), "Namespaced functions must not complete globally.");
+
+  const memberResult = getApiCompletions(index, "Meta::ExecutingPlugin().", 24);
+  assert.equal(memberResult.scope, "Meta::Plugin");
+  assert.deepEqual(memberResult.groups.map((group) => group.name).sort(), ["Enable", "Name"]);
+
+  assert.equal(completionNames(index, "// UI::"), null, "Comments must not complete.");
+  assert.equal(completionNames(index, 'print("UI::'), null, "Strings must not complete.");
+  assert.equal(completionNames(index, "unknownThing."), null);
+  assert.equal(completionNames(index, "case UI::Cond::Once:"), null, "`case` labels must not complete.");
+  assert.equal(completionNames(index, "auto x = ready ? 1 :"), null, "Ternaries must not complete.");
+  assert.ok(completionNames(index, "auto x = ready ? 1 : st").includes("startnew"));
+}
+
+function testSignatureHelp(fixtureRoot) {
+  const installDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+  });
+  const index = buildApiIndex(resolveSourcePaths({ "openplanet-dir": installDir }));
+  const helpAt = (source) => getSignatureHelp(index, source, source.length);
+
+  const inputText = helpAt('s = UI::InputText("Name", s, ');
+  assert.equal(inputText.signatures.length, 2, "Every overload must be listed.");
+  assert.equal(inputText.activeParameter, 2);
+  assert.equal(inputText.activeSignature, 1, "The first overload that fits the argument count is active.");
+  const fullOverload = inputText.signatures[1];
+  assert.equal(
+    fullOverload.label,
+    "string UI::InputText(const string&in label, const string&in str, bool&out changed, UI::InputTextFlags flags = UI::InputTextFlags::None)",
+  );
+  const [start, end] = fullOverload.parameters[2].label;
+  assert.equal(fullOverload.label.slice(start, end), "bool&out changed");
+
+  const nested = helpAt('UI::InputText(Foo(1, 2), "x", UI::Begin(');
+  assert.ok(nested.signatures[0].label.startsWith("bool UI::Begin("), "Innermost call must win.");
+  assert.equal(helpAt('UI::InputText(Foo(1, 2), ').activeParameter, 1);
+
+  assert.equal(helpAt("Meta::Plugin::Enable(").signatures[0].label, "void Meta::Plugin::Enable()");
+  assert.equal(helpAt("Meta::ExecutingPlugin().Enable(").signatures.length, 1);
+  assert.equal(helpAt("auto req = Net::HttpRequest(").signatures.length, 2, "Constructors must resolve.");
+
+  assert.equal(helpAt('UI::Begin("a, b'), null, "Commas inside strings are not arguments.");
+  assert.equal(helpAt("Unknown::Call("), null);
+}
+
+const fixtureGameMembers = {
+  ns: {
+    Game: {
+      CMwNod: { m: [{ n: "IdName", t: "string" }] },
+      CGameCtnApp: {
+        p: "CMwNod",
+        m: [
+          { n: "CurrentPlayground", t: "CGameCtnPlayground@", d: "Current playground." },
+          { n: "BackToMainMenu", t: "void", a: [] },
+        ],
+      },
+      CGameCtnPlayground: { p: "CMwNod", m: [{ n: "GameTerminals", t: "MwFastBuffer<CGameTerminal@>" }] },
+      CGameTerminal: { p: "CMwNod", m: [{ n: "ControlledPlayer", t: "CSmPlayer@" }] },
+      CSmPlayer: { p: "CMwNod", m: [{ n: "SpawnIndex", t: "int" }] },
+    },
+  },
+};
+
+function testGameMembers(fixtureRoot) {
+  const installDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+    "OpenplanetNext.json": fixtureGameMembers,
+  });
+  const sourcePaths = resolveSourcePaths({ "openplanet-dir": installDir });
+  const index = buildApiIndex(sourcePaths);
+  const header = "auto app = GetApp();\n";
+
+  const appMembers = completionNames(index, `${header}app.`);
+  for (const name of ["CurrentPlayground", "BackToMainMenu", "IdName"]) {
+    assert.ok(appMembers.includes(name), `Member completion is missing "${name}".`);
+  }
+  assert.deepEqual(
+    completionNames(index, `${header}app.CurrentPlayground.GameTerminals[0].`).sort(),
+    ["ControlledPlayer", "IdName"],
+    "Chains must resolve through fields and buffer indexing.",
+  );
+  assert.ok(completionNames(index, "cast<CSmPlayer>(node).").includes("SpawnIndex"));
+  assert.ok(
+    completionNames(index, "void F(CGameTerminal@ t) { t.ControlledPlayer.").includes("SpawnIndex"),
+    "Parameter declarations must provide receiver types.",
+  );
+  assert.equal(
+    completionNames(index, "void F() { // CGameCtnApp@ app;\n string s = \"CGameCtnApp@ app;\"; app."),
+    null,
+    "Declarations in comments and strings must not provide receiver types.",
+  );
+  assert.equal(
+    completionNames(index, "void F() { CGameCtnApp@ app; }\nvoid G() { app."),
+    null,
+    "Declarations in another function must not provide receiver types.",
+  );
+  assert.ok(
+    completionNames(index, "CGameCtnApp@ app;\nvoid G() { CGameTerminal@ t; if (true) { app.").includes("IdName"),
+    "Declarations in enclosing scopes must provide receiver types.",
+  );
+  assert.ok(
+    completionNames(index, "void F() { CSmPlayer@ p; { CGameTerminal@ p; } p.").includes("SpawnIndex"),
+    "Declarations in closed inner blocks must not shadow the outer one.",
+  );
+
+  const source = `${header}app.CurrentPlayground.Bogus; app.BackToMainMenu();`;
+  const hover = resolveMemberEntriesAt(index, source, source.indexOf("CurrentPlayground"));
+  assert.equal(hover.entries[0].kind, "gameField");
+  const markdown = renderApiHoverMarkdown(hover.entries);
+  assert.ok(markdown.includes("CGameCtnPlayground@ CGameCtnApp::CurrentPlayground"));
+  assert.ok(markdown.includes("*game property*"));
+  assert.equal(
+    resolveMemberEntriesAt(index, source, source.indexOf("IdName")),
+    null,
+    "Unknown members must not resolve.",
+  );
+  assert.equal(getSignatureHelp(index, `${header}app.BackToMainMenu(`, header.length + 19).signatures.length, 1);
+
+  const tokens = computeSemanticTokens(source, collectSymbolsFromSources(sourcePaths), index);
+  assert.deepEqual(tokenAt(tokens, 1, 4), {
+    line: 1,
+    character: 4,
+    length: "CurrentPlayground".length,
+    tokenType: "property",
+    tokenModifiers: ["defaultLibrary"],
+  });
+  assert.deepEqual(tokenAt(tokens, 1, 22)?.tokenModifiers, ["unresolved"]);
+  assert.equal(tokenAt(tokens, 1, 33)?.tokenType, "method");
+}
+
+function testInfoToml() {
+  const source = [
+    "[meta]",
+    'name = "Demo" # trailing comment',
+    "version = 1",
+    "colour = true",
+    "",
+    "[script]",
+    'exports = ["Export.as", 3, "Missing.as"]',
+    "imports = [",
+    '  "Icons.as",',
+    "]",
+    'defines = ["DEMO"]',
+    "[server]",
+    'bad = "a\\q"',
+  ].join("\n");
+  const checked = [];
+  const diagnostics = validateInfoToml(source, {
+    fileExists(kind, relativePath) {
+      checked.push(`${kind}:${relativePath}`);
+      return kind === "import" ? null : relativePath === "Export.as";
+    },
+  });
+  const summary = diagnostics.map((item) => [item.code, source.slice(item.start, item.end)]);
+  assert.deepEqual(summary, [
+    ["wrong-type", "1"],
+    ["unknown-key", "colour"],
+    ["wrong-type", "3"],
+    ["missing-file", '"Missing.as"'],
+    ["unknown-table", "server"],
+    ["toml-syntax", "\\q"],
+  ]);
+  assert.deepEqual(checked, ["export:Export.as", "export:Missing.as", "import:Icons.as"]);
+  assert.equal(diagnostics[0].severity, "error");
+  assert.equal(diagnostics[1].severity, "warning");
+
+  const missing = validateInfoToml('[meta]\nauthor = "x"\n').map((item) => item.message);
+  assert.deepEqual(missing, [
+    'Missing required [meta] key "name".',
+    'Missing required [meta] key "version".',
+  ]);
+  const valid = '[script]\ndependencies = ["a", "b"]\n[meta]\nname = "x"\nversion = "1"';
+  assert.equal(validateInfoToml(valid).length, 0);
+  const gated = [
+    "[meta]",
+    'name = "Club Tools"',
+    'version = "1.2"',
+    'perms = "paid"',
+    "[game]",
+    'min_version = "2023-10-05_12_49"',
+    'max_version = "2024-12-01_00_00"',
+  ].join("\n");
+  assert.deepEqual(validateInfoToml(gated), [], "[game] versions and perms must be accepted.");
+  assert.equal(validateInfoToml('[meta]\nname = "a"\nname = "b"\nversion = "1"')[0].code, "duplicate-key");
+
+  const keyText = '[meta]\nname = "x"\n\n\nversion = "1"\n[script]\n';
+  const keys = getInfoTomlCompletions(keyText, keyText.indexOf("\n\n") + 2);
+  assert.equal(keys.table, "meta");
+  assert.ok(
+    !keys.items.some((item) => item.name === "name" || item.name === "version"),
+    "Present keys must be skipped.",
+  );
+  assert.ok(keys.items.some((item) => item.name === "author"));
+  assert.deepEqual(
+    getInfoTomlCompletions("[sc", 3).items.map((item) => item.name),
+    ["meta", "script", "game"],
+  );
+  assert.equal(getInfoTomlCompletions('[meta]\nname = "', 15), null, "Values must not complete keys.");
+}
+
+function testPreprocessorDefines() {
+  const workspace = path.join(os.tmpdir(), "workspace");
+  const plugin = readPluginManifest(
+    [
+      "[meta]",
+      'name = "Mine"',
+      'version = "1"',
+      "[script]",
+      'defines = ["MY_FEATURE"]',
+      'optional_dependencies = ["OtherLib"]',
+    ].join("\n"),
+    path.join(workspace, "MyPlugin", "info.toml"),
+  );
+  const dependency = readPluginManifest(
+    '[script]\ndefines = ["OTHERLIB_V2"]\n',
+    path.join(workspace, "OtherLib", "info.toml"),
+  );
+  const plugins = [plugin, dependency];
+  assert.equal(plugin.id, "MyPlugin");
+  assert.equal(findOwningPlugin(plugins, path.join(workspace, "MyPlugin", "src", "Main.as")), plugin);
+  assert.equal(findOwningPlugin(plugins, path.join(workspace, "Loose.as")), null);
+
+  const declared = collectPluginDefines(plugin, plugins);
+  assert.deepEqual([...declared.keys()], ["MY_FEATURE", "DEPENDENCY_OTHERLIB", "OTHERLIB_V2"]);
+  assert.equal(declared.get("OTHERLIB_V2"), dependency.infoTomlPath);
+
+  const source = [
+    "#if TMNEXT && MY_FEATURE // MISSING_IN_COMMENT",
+    "#elif DEPENDENCY_OTHERLIB || OTHERLIB_V2",
+    "#elif UNDECLARED",
+    "#endif",
+    "#define LOCAL_FLAG",
+    "#if LOCAL_FLAG",
+    "#endif",
+    "// #if COMMENTED_OUT",
+  ].join("\n");
+  const diagnostics = checkDefineReferences(source, declared, "MyPlugin/info.toml");
+  assert.deepEqual(
+    diagnostics.map((item) => source.slice(item.start, item.end)),
+    ["UNDECLARED"],
+  );
+  assert.ok(diagnostics[0].message.includes("[script] defines in MyPlugin/info.toml"));
+  assert.ok(
+    checkDefineReferences(source, new Map(), null)[0].message.includes("No info.toml was found"),
+  );
+
+  const tokens = computeDefineSemanticTokens(source, declared);
+  assert.deepEqual(
+    tokens.map((token) => [token.line, token.character, token.tokenType]),
+    [
+      [0, 14, "macro"],
+      [1, 6, "macro"],
+      [1, 29, "macro"],
+      [4, 8, "macro"],
+      [5, 4, "macro"],
+    ],
+  );
+}
+
+function testInactiveRegions() {
+  const lookup = (name) => ({ TMNEXT: true, MP4: false }[name] ?? null);
+  assert.equal(evaluateDefineExpression("TMNEXT && !MP4", lookup), true);
+  assert.equal(evaluateDefineExpression("MP4 || (TMNEXT && !TMNEXT)", lookup), false);
+  assert.equal(evaluateDefineExpression("MP4 && CUSTOM", lookup), false);
+  assert.equal(evaluateDefineExpression("TMNEXT && CUSTOM", lookup), null);
+  assert.equal(evaluateDefineExpression("TMNEXT ||", lookup), null, "Broken conditions are unknown.");
+
+  const source = [
+    "#if TMNEXT",
+    "  a();",
+    "#elif MP4 // comment",
+    "  b();",
+    "#else",
+    "  c();",
+    "#endif",
+    "#if !TURBO && (MP4 || WINDOWS)",
+    "  d();",
+    "#endif",
+    "#if MY_FEATURE",
+    "  e();",
+    "#else",
+    "  f();",
+    "#endif",
+    "#if MP4",
+    "#if TMNEXT",
+    "  g();",
+    "#endif",
+    "#endif",
+    "#define LOCAL",
+    "#if !LOCAL",
+    "  h();",
+    "#endif",
+  ].join("\n");
+  const lines = (regions) => regions.map((region) => [region.startLine, region.endLine]);
+  assert.deepEqual(lines(findInactiveRegions(source, ["TMNEXT", "WINDOWS", "SIG_REGULAR"])), [
+    [3, 3],
+    [5, 5],
+    [16, 18],
+    [22, 22],
+  ]);
+  assert.deepEqual(lines(findInactiveRegions(source, ["MP4", "DEVELOPER"])), [
+    [1, 1],
+    [5, 5],
+    [17, 17],
+    [22, 22],
+  ]);
+  assert.deepEqual(lines(findInactiveRegions(source, ["TURBO"]))[2], [8, 8]);
+}
+
+// Writes a minimal deflated zip, the format of `.op` plugin packages.
+function writeZip(filePath, files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name, "utf8");
+    const data = Buffer.from(content, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt32LE(zlib.crc32(data), 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    localParts.push(header, nameBytes, compressed);
+    centralParts.push(central, nameBytes);
+    offset += header.length + nameBytes.length + compressed.length;
+  }
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  fs.writeFileSync(filePath, Buffer.concat([...localParts, centralDirectory, end]));
+}
+
+function testDependencyPlugins(fixtureRoot) {
+  const pluginsDir = path.join(fixtureRoot, "Plugins");
+  const hookDir = path.join(pluginsDir, "MLHook");
+  fs.mkdirSync(hookDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(hookDir, "info.toml"),
+    '[script]\nexports = ["Export.as", "Missing.as"]\n',
+  );
+  fs.writeFileSync(
+    path.join(hookDir, "Export.as"),
+    [
+      "namespace MLHook {",
+      "  // void Commented() {}",
+      "  import void Queue(const string &in type, MwId id = MwId()) from \"MLHook\";",
+      "  funcdef void HookFn(ref@ data);",
+      "  shared class HookMLEventsByType { void OnEvent(int x) {} }",
+      "  namespace Internal::Deep { array<int>@ Items() { return null; } }",
+      "}",
+      "void GlobalExport() {}",
+    ].join("\n"),
+  );
+  fs.mkdirSync(path.join(pluginsDir, "NotAPlugin"));
+  writeZip(path.join(pluginsDir, "Packed.op"), {
+    "info.toml": '[script]\nshared_exports = ["src/Api.as"]\n',
+    "src/Api.as": "namespace Packed { enum Mode { A } int Count() { return 0; } }",
+  });
+  fs.writeFileSync(path.join(pluginsDir, "Broken.op"), "not a zip");
+
+  assert.deepEqual(
+    findPluginPaths(pluginsDir).map((item) => path.basename(item)),
+    ["Broken.op", "MLHook", "Packed.op"],
+  );
+  assert.deepEqual(findPluginPaths(hookDir), [hookDir], "A plugin folder is its own plugin.");
+
+  const dependencies = collectDependencySymbols([pluginsDir]);
+  assert.deepEqual(
+    [...dependencies.namespaces].sort(),
+    ["MLHook", "MLHook::Internal", "MLHook::Internal::Deep", "Packed"],
+    "Bundled plugin namespaces are only assumed when no plugin folder is scanned.",
+  );
+  assert.deepEqual(
+    [...collectDependencySymbols([]).namespaces].sort(),
+    ["Camera", "Controls", "NadeoServices", "VehicleState"],
+  );
+  const withoutEdited = collectDependencySymbols([pluginsDir], { excludeIds: ["mlhook", "Packed"] });
+  assert.deepEqual([...withoutEdited.namespaces], [], "The plugin being edited is not a dependency.");
+  assert.ok(!withoutEdited.plugins.some((plugin) => plugin.id === "MLHook"));
+  assert.deepEqual(
+    [...dependencies.functions].sort(),
+    ["GlobalExport", "MLHook::Internal::Deep::Items", "MLHook::Queue", "Packed::Count"],
+  );
+  assert.deepEqual([...dependencies.types].sort(), ["MLHook::HookMLEventsByType", "Packed::Mode"]);
+  assert.deepEqual([...dependencies.funcdefs], ["MLHook::HookFn"]);
+  const hook = dependencies.plugins.find((plugin) => plugin.id === "MLHook");
+  assert.deepEqual(hook.missingExports, ["Missing.as"]);
+  assert.ok(dependencies.plugins.find((plugin) => plugin.id === "Broken.op").error);
+
+  const symbols = {
+    namespaces: new Set(["UI"]),
+    types: new Set(),
+    globalFunctions: new Set(),
+    dependencies,
+  };
+  const source = [
+    "MLHook::Queue(x); Packed::Mode m; UI::Begin();",
+    "GlobalExport(); Camera::GetCurrent();",
+  ].join("\n");
+  const tokens = computeSemanticTokens(source, symbols);
+  assert.equal(tokenAt(tokens, 0, 0)?.tokenType, "namespace");
+  assert.deepEqual(tokenAt(tokens, 0, 0)?.tokenModifiers, ["dependency"]);
+  assert.equal(tokenAt(tokens, 0, 8)?.tokenType, "function");
+  assert.equal(tokenAt(tokens, 0, 26)?.tokenType, "class");
+  assert.deepEqual(tokenAt(tokens, 0, 34)?.tokenModifiers, ["defaultLibrary"]);
+  assert.equal(tokenAt(tokens, 1, 0)?.tokenType, "function");
+  assert.equal(tokenAt(tokens, 1, 16), undefined, "Camera is not installed here.");
+}
+
+function testSymbolDiff(fixtureRoot) {
+  const installDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+    "OpenplanetNext.json": fixtureGame,
+  });
+  const sourcePaths = resolveSourcePaths({ "openplanet-dir": installDir });
+  const symbols = collectSymbolsFromSources(sourcePaths);
+  const current = createSymbolSnapshot(symbols, { source: describeSymbolSource(sourcePaths) });
+  assert.ok(current.functions.includes("UI::Begin"), "Namespaced functions must be snapshotted.");
+  assert.ok(current.functions.includes("GetApp"));
+  assert.ok(current.enumMembers.includes("CGameCtnApp::EState::Ready"));
+
+  const baseline = diffSymbolSnapshots(null, current, "2024-01-01T00:00:00.000Z");
+  assert.equal(baseline.hasPrevious, false);
+  assert.equal(baseline.added + baseline.removed, 0, "A first run must not report every symbol.");
+  assert.ok(renderSymbolDiffMarkdown(baseline).includes("new baseline"));
+
+  const previous = {
+    ...current,
+    types: [...current.types, "CGameOldType"],
+    functions: current.functions.filter((name) => name !== "UI::Begin"),
+  };
+  const report = diffSymbolSnapshots(previous, current, "2024-01-01T00:00:00.000Z");
+  assert.deepEqual(report.categories.types.removed, ["CGameOldType"]);
+  assert.deepEqual(report.categories.functions.added, ["UI::Begin"]);
+  assert.equal(report.removed, 1);
+  const markdown = renderSymbolDiffMarkdown(report);
+  assert.ok(
+    markdown.indexOf("## Removed APIs") < markdown.indexOf("## Added APIs"),
+    "Removed APIs must be listed before additions.",
+  );
+  assert.ok(markdown.includes("- `CGameOldType`"));
+
+  const withoutDependencies = createSymbolSnapshot(
+    { ...symbols, dependencies: { ...symbols.dependencies, namespaces: new Set() } },
+    { source: current.source },
+  );
+  const dependencyReport = diffSymbolSnapshots(current, withoutDependencies, "2024-01-01T00:00:00.000Z");
+  assert.equal(
+    dependencyReport.added + dependencyReport.removed,
+    0,
+    "Workspace dependency namespaces must not show up as API changes.",
+  );
+
+  const fallback = createSymbolSnapshot(symbols, {
+    source: describeSymbolSource({ ...sourcePaths, usedFallbackSnapshot: true }),
+  });
+  const switched = diffSymbolSnapshots(previous, fallback, "2024-01-01T00:00:00.000Z");
+  assert.equal(switched.sourceChanged, true);
+  assert.equal(switched.hasPrevious, false);
+  assert.equal(switched.removed, 0, "Switching metadata sources must start a new baseline.");
+  assert.ok(renderSymbolDiffMarkdown(switched).includes("sources changed"));
+}
+
+function testSnapshots(fixtureRoot) {
+  const nextDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+    "OpenplanetNext.json": fixtureGame,
+  });
+  const turboDir = writeFixtureInstall(fixtureRoot, "OpenplanetTurbo", {
+    "OpenplanetCore.json": { functions: [fixtureCore.functions[0]] },
+  });
+  const installPaths = resolveSourcePaths({ "openplanet-dirs": `${nextDir};${turboDir}` });
+  const snapshot = buildMetadataSnapshot({ labeled: collectSymbolsByInstall(installPaths) });
+  assert.deepEqual(snapshot.installs, ["Next", "Turbo"]);
+  assert.deepEqual(snapshot.functions.GetApp, ["Next", "Turbo"]);
+  assert.deepEqual(snapshot.functions["UI::Begin"], ["Next"]);
+  assert.deepEqual(snapshot.enums["UI::Cond"], {
+    installs: ["Next"],
+    values: ["None", "Always", "Once"],
+  });
+
+  const snapshotPath = path.join(fixtureRoot, "team.snapshot.json");
+  const text = serializeMetadataSnapshot(snapshot);
+  assert.deepEqual(JSON.parse(text), snapshot);
+  assert.ok(text.includes('\n    "GetApp": ["Next","Turbo"],\n'), "Snapshots keep one symbol per line.");
+  fs.writeFileSync(snapshotPath, text);
+
+  const fromSnapshot = collectSymbolsFromSources(resolveSourcePaths({ snapshot: snapshotPath }));
+  const loaded = loadMetadataSources(installPaths);
+  assert.deepEqual(
+    loaded.documents.map((document) => [document.kind, document.install]),
+    [["core", "Next"], ["core", "Turbo"], ["game", "Next"]],
+  );
+  const fromInstalls = collectSymbolsFromSources(installPaths, loaded);
+  assert.deepEqual(
+    buildMetadataSnapshot({ labeled: fromInstalls.byInstall }),
+    snapshot,
+    "Per-install sets must be built in the same pass as the merged symbols.",
+  );
+  assert.ok(buildApiIndex(installPaths, loaded).entries.has("UI::Begin"));
+  for (const key of ["namespaces", "types", "globalFunctions", "namespacedFunctions"]) {
+    assert.deepEqual([...fromSnapshot[key]].sort(), [...fromInstalls[key]].sort(), key);
+  }
+  assert.deepEqual(fromSnapshot.enums, fromInstalls.enums);
+  assert.deepEqual(
+    buildMetadataSnapshot({ snapshots: [readMetadataSnapshot(snapshotPath)] }),
+    snapshot,
+    "Re-exporting a snapshot must be lossless.",
+  );
+
+  const emptyDir = fs.mkdtempSync(path.join(fixtureRoot, "empty-"));
+  assert.throws(() => resolveSourcePaths({ "openplanet-dir": emptyDir }), /--snapshot/);
+  const fallback = resolveSourcePaths({
+    "openplanet-dir": emptyDir,
+    "fallback-snapshot": snapshotPath,
+  });
+  assert.equal(fallback.usedFallbackSnapshot, true);
+  assert.deepEqual(fallback.snapshotPaths, [snapshotPath]);
+
+  fs.writeFileSync(path.join(fixtureRoot, "bad.json"), '{"format":"other"}');
+  assert.throws(() => readMetadataSnapshot(path.join(fixtureRoot, "bad.json")), /Not an Openplanet/);
+  const exported = exportMetadataSnapshot({
+    sourceArgs: { "openplanet-dirs": `${nextDir};${turboDir}` },
+    snapshotPath: path.join(fixtureRoot, "exported.snapshot.json"),
+  });
+  assert.ok(exported.snapshot.installs.length > 0, "Exported snapshots must record their installs.");
+  assert.ok(Object.keys(exported.snapshot.enums).length > 0, "Exported snapshots must keep enums.");
+  for (const [name, installs] of Object.entries(exported.snapshot.types)) {
+    assert.ok(installs.length > 0, `${name} lost its installs.`);
+  }
+  assert.deepEqual(readMetadataSnapshot(exported.outPath), exported.snapshot);
+  assert.deepEqual(checkMetadataSnapshot(exported.snapshot), []);
+  assert.deepEqual(
+    checkMetadataSnapshot(
+      buildMetadataSnapshot({ snapshots: [{ ...exported.snapshot, installs: [], enums: {} }] }),
+    ),
+    ["no installs are recorded", "no enums are recorded"],
+  );
+
+  const bundled = readMetadataSnapshot(path.join(repoRoot, "snapshots", "openplanet-symbols.json"));
+  assert.ok(bundled.namespaces.UI && bundled.types.CGameCtnApp, "Bundled snapshot lost core symbols.");
+}
+
+function testCrossGameUsage(fixtureRoot) {
+  const nextDir = writeFixtureInstall(fixtureRoot, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+    "OpenplanetNext.json": fixtureGame,
+  });
+  const mp4Dir = writeFixtureInstall(fixtureRoot, "Openplanet4", {
+    "OpenplanetCore.json": { functions: [fixtureCore.functions[0]] },
+    "OpenplanetMP4.json": { ns: { Game: { CGameManiaPlanet: {} } } },
+  });
+  const sourcePaths = resolveSourcePaths({ "openplanet-dirs": `${nextDir};${mp4Dir}` });
+  const provenance = buildMetadataSnapshot({ labeled: collectSymbolsByInstall(sourcePaths) });
+  assert.deepEqual(provenance.types.CGameCtnApp, ["Next"]);
+
+  const source = [
+    "CGameCtnApp@ app = GetApp();",
+    "#if TMNEXT",
+    "CGameCtnApp@ a; UI::Begin(\"x\");",
+    "#elif MP4",
+    "CGameCtnApp@ b; UI::Begin(\"x\"); CGameManiaPlanet@ c = GetApp();",
+    "#elif TURBO",
+    "CGameCtnApp@ d;",
+    "#endif",
+    "#if !MP4",
+    "CGameManiaPlanet@ e;",
+    "#endif",
+  ].join("\n");
+  const lineOf = (offset) => source.slice(0, offset).split("\n").length - 1;
+  const found = (diagnostics) =>
+    diagnostics.map((item) => [source.slice(item.start, item.end), lineOf(item.start)]);
+
+  assert.deepEqual(found(checkCrossGameUsage(source, provenance)), [
+    ["CGameCtnApp", 4],
+    ["UI::Begin", 4],
+    ["CGameManiaPlanet", 9],
+  ]);
+  const targeted = checkCrossGameUsage(source, provenance, {
+    targetGames: ["TMNEXT", "MP4", "DEVELOPER"],
+  });
+  assert.deepEqual(
+    found(targeted)[0],
+    ["CGameCtnApp", 0],
+    "Unguarded code must honor the target profile's games.",
+  );
+  assert.ok(targeted[0].message.includes("target profile compiles it for MP4"));
+  assert.ok(targeted[0].message.includes("Guard it with #if TMNEXT"));
+  assert.deepEqual(
+    checkCrossGameUsage(source, provenance, { targetGames: ["TMNEXT", "WINDOWS"] }).length,
+    3,
+    "A single-game profile adds no checks to unguarded code.",
+  );
+  assert.deepEqual(
+    checkCrossGameUsage(source, { ...provenance, installs: [] }),
+    [],
+    "Games without metadata must not be checked.",
+  );
+}
+
+function testTokenizer() {
+  const tokens = tokenizeSource('#if TMNEXT\nx = f"a\\"b" + n"c";\n/* a\nb */ y::z');
+  assert.deepEqual(
+    tokens.map((token) => token.kind),
+    ["directive", "identifier", "punctuation", "string", "punctuation", "string", "punctuation", "comment", "identifier", "punctuation", "identifier"],
+  );
+  const lastToken = tokens[tokens.length - 1];
+  assert.equal(lastToken.line, 3, "Token lines must account for multi-line comments.");
+  assert.equal(lastToken.character, 8);
+}
+
+function testWineInstallDiscovery(root) {
+  const homeDir = path.join(root, "home");
+  const steamDir = path.join(homeDir, ".local", "share", "Steam");
+  const prefixUser = (library, appId) =>
+    path.join(library, "steamapps", "compatdata", appId, "pfx", "drive_c", "users", "steamuser");
+  const protonUser = prefixUser(steamDir, "2225070");
+  const protonNext = writeFixtureInstall(protonUser, "OpenplanetNext", {
+    "OpenplanetCore.json": fixtureCore,
+    "OpenplanetNext.json": fixtureGame,
+  });
+  const wineUsers = path.join(homeDir, ".wine", "drive_c", "users");
+  const wineNext = writeFixtureInstall(path.join(wineUsers, "alice"), "OpenplanetNext", {});
+  writeFixtureInstall(path.join(wineUsers, "Public"), "OpenplanetNext", {});
+
+  // A second Steam library on another drive, listed in libraryfolders.vdf.
+  const libraryDir = path.join(root, "games", "SteamLibrary");
+  const libraryMp4 = writeFixtureInstall(prefixUser(libraryDir, "228760"), "Openplanet4", {});
+  fs.mkdirSync(path.join(steamDir, "steamapps"), { recursive: true });
+  fs.writeFileSync(
+    path.join(steamDir, "steamapps", "libraryfolders.vdf"),
+    `"libraryfolders"\n{\n\t"1"\n\t{\n\t\t"path"\t\t${JSON.stringify(libraryDir)}\n\t}\n}\n`,
+    "utf8",
+  );
+  // `~/.steam/steam` usually links to the real Steam root; its prefixes must not be read twice.
+  fs.mkdirSync(path.join(homeDir, ".steam"));
+  fs.symlinkSync(steamDir, path.join(homeDir, ".steam", "steam"), "dir");
+
+  const linux = { homeDir, platform: "linux", env: {} };
+  assert.deepEqual(
+    resolveInstallDirs({}, linux).sort(),
+    [libraryMp4, protonNext, wineNext].sort(),
+    "Wine and Proton prefixes must be searched for installs.",
+  );
+
+  const { probed } = probeSourceInstallDirs({}, linux);
+  assert.ok(
+    probed.some(({ dir, found }) => dir === path.join(homeDir, "OpenplanetNext") && !found),
+    "The home folder candidates must be reported as probed.",
+  );
+  assert.ok(
+    probed.some(({ dir, found }) => dir === path.join(protonUser, "OpenplanetTurbo") && !found),
+    "Missing candidates inside a prefix must be reported as probed.",
+  );
+  assert.ok(
+    !probed.some(({ dir }) => dir.includes(`${path.sep}Public${path.sep}`)),
+    "The shared Wine Public profile is not a user folder.",
+  );
+
+  const sourcePaths = resolveSourcePaths({}, linux);
+  assert.deepEqual(sourcePaths.coreJsonPaths, [path.join(protonNext, "OpenplanetCore.json")]);
+  assert.equal(sourcePaths.probedInstallDirs.length, probed.length);
+
+  assert.deepEqual(
+    resolveInstallDirs({}, { homeDir, platform: "win32", env: {} }),
+    [],
+    "Windows installs live in the home folder, not in Wine prefixes.",
+  );
+  assert.deepEqual(
+    resolveInstallDirs({}, { ...linux, env: { OPENPLANET_NEXT_DIR: wineNext } }),
+    [wineNext],
+    "Environment variables take precedence over discovery.",
+  );
+  assert.throws(
+    () => resolveSourcePaths({}, { homeDir: path.join(root, "empty-home"), platform: "linux", env: {} }),
+    /Probed install dir: .*OpenplanetNext \(missing\)/,
+    "A failed lookup must list the folders it probed.",
+  );
+}
+
+async function testMetadataValidation(root) {
+  const core = {
+    functions: [{ name: "Begin", ns: "UI" }, { name: "bad-name" }, "oops", { name: "Ok", ns: "1x" }],
+    enums: [{ name: "Cond", ns: "UI", values: { Always: 1, "not valid": 2 } }, { name: "Empty" }],
+    classes: { name: "NotAList" },
+  };
+  const coreClasses = {
+    classes: [{ name: "Texture", methods: [{ name: "GetSize" }, { name: "2x" }], props: "width" }],
+  };
+  assert.deepEqual(
+    validateCoreJson(coreClasses, "core.json").map(({ path: jsonPath, message }) => `${jsonPath}: ${message}`),
+    [
+      '$.classes[0].methods[1].name: method skipped: invalid name "2x"',
+      "$.classes[0].props: skipped: expected an array",
+    ],
+    "Class members must be validated too.",
+  );
+  assert.deepEqual(
+    validateCoreJson(core, "core.json").map(({ path: jsonPath, message }) => `${jsonPath}: ${message}`),
+    [
+      '$.functions[1].name: function skipped: invalid name "bad-name"',
+      "$.functions[2]: function skipped: expected an object",
+      '$.functions[3].ns: namespace ignored: invalid name "1x"',
+      "$.classes: skipped: expected an array",
+      '$.enums[0].values["not valid"]: enum value skipped: invalid name "not valid"',
+      "$.enums[1].values: enum has no values: expected an object or an array",
+    ],
+  );
+  assert.deepEqual(validateCoreJson(fixtureCore, "core.json"), [], "Valid metadata must not warn.");
+
+  const game = {
+    ns: {
+      Game: {
+        CGameCtnApp: {
+          e: [{ n: "EState", v: ["Ready", 3] }],
+          m: [{ n: "Name" }, { t: "int" }, { n: "Reset", a: 7 }],
+        },
+        "Bad Class": {},
+      },
+      "bad ns": [],
+    },
+  };
+  assert.deepEqual(
+    validateGameJson(game, "game.json").map(({ path: jsonPath }) => jsonPath),
+    [
+      "$.ns.Game.CGameCtnApp.e[0].v[1]",
+      "$.ns.Game.CGameCtnApp.m[1]",
+      "$.ns.Game.CGameCtnApp.m[2].a",
+      '$.ns.Game["Bad Class"]',
+      '$.ns["bad ns"]',
+      '$.ns["bad ns"]',
+    ],
+  );
+  assert.equal(validateGameJson({}, "game.json")[0].path, "$.ns");
+
+  const installDir = writeFixtureInstall(root, "OpenplanetNext", {
+    "OpenplanetCore.json": core,
+    "OpenplanetNext.json": game,
+  });
+  const symbols = collectSymbolsFromSources(resolveSourcePaths({ "openplanet-dir": installDir }));
+  assert.ok(symbols.namespaces.has("UI") && symbols.types.has("CGameCtnApp"));
+  assert.ok(symbols.enums.get("UI::Cond").has("Always"), "Valid entries must survive bad siblings.");
+  assert.equal(symbols.metadataWarnings.length, 12);
+  assert.equal(symbols.metadataWarnings[0].file, path.join(installDir, "OpenplanetCore.json"));
+
+  // A file Openplanet is still writing parses once the write completes.
+  const partialPath = path.join(root, "Partial.json");
+  fs.writeFileSync(partialPath, '{"functions": [', "utf8");
+  assert.throws(
+    () => readMetadataJson(partialPath, { retryDelaysMs: [1, 1] }),
+    /invalid JSON after 3 attempt\(s\): .*Partial\.json/,
+  );
+  await assert.rejects(
+    readMetadataJsonAsync(partialPath, { retryDelaysMs: [1, 1] }),
+    /invalid JSON after 3 attempt\(s\): .*Partial\.json/,
+  );
+  const writer = spawn(process.execPath, [
+    "-e",
+    `setTimeout(() => require("fs").writeFileSync(${JSON.stringify(partialPath)}, '{"functions": []}'), 100)`,
+  ]);
+  const writerExited = new Promise((resolve) => writer.on("exit", resolve));
+  try {
+    assert.deepEqual(readMetadataJson(partialPath, { retryDelaysMs: [400, 800, 1600] }), {
+      functions: [],
+    });
+  } finally {
+    await writerExited;
+  }
+
+  // The async read retries on timers, so the event loop keeps running meanwhile.
+  fs.writeFileSync(partialPath, '{"functions": [', "utf8");
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 10);
+  const pending = readMetadataJsonAsync(partialPath, { retryDelaysMs: [100, 200, 400] });
+  setTimeout(() => fs.writeFileSync(partialPath, '{"functions": []}'), 50);
+  try {
+    assert.deepEqual(await pending, { functions: [] });
+  } finally {
+    clearInterval(ticker);
+  }
+  assert.ok(ticks > 0, "Async metadata reads must not block the event loop.");
+
+  const asyncLoaded = await loadMetadataSourcesAsync(resolveSourcePaths({ "openplanet-dir": installDir }));
+  const syncLoaded = loadMetadataSources(resolveSourcePaths({ "openplanet-dir": installDir }));
+  assert.deepEqual(asyncLoaded, syncLoaded);
+}
+
+async function testMetadataWatch(root) {
+  const installDir = path.join(root, "OpenplanetNext");
+  fs.mkdirSync(installDir);
+  const missingDir = path.join(root, "Missing");
+  assert.deepEqual(
+    resolveInstallDirs({ "openplanet-dirs": `${installDir};${missingDir}` }),
+    [path.resolve(installDir)],
+    "Only existing install folders are watched.",
+  );
+  assert.deepEqual(
+    resolveInstallDirs({ snapshot: path.join(root, "symbols.json") }),
+    [],
+    "Snapshot-only sources must not fall back to the default install folders.",
+  );
+
+  const runs = [];
+  let finishRun = null;
+  const scheduler = createRegenerationScheduler(
+    (reason) =>
+      new Promise((resolve) => {
+        runs.push(reason);
+        finishRun = resolve;
+      }),
+    { debounceMs: 10 },
+  );
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  try {
+    scheduler.schedule("Next/OpenplanetNext.json");
+    scheduler.schedule("Next/OpenplanetCore.json");
+    await sleep(50);
+    assert.deepEqual(runs, ["Next/OpenplanetCore.json"], "Bursts of changes must be debounced.");
+    assert.equal(scheduler.running, true);
+
+    scheduler.runNow("first");
+    scheduler.runNow("second");
+    finishRun();
+    await sleep(10);
+    assert.deepEqual(
+      runs,
+      ["Next/OpenplanetCore.json", "queued change"],
+      "Changes during a run must queue a single follow-up run.",
+    );
+    finishRun();
+    await sleep(10);
+    assert.equal(scheduler.running, false);
+    assert.equal(runs.length, 2);
+  } finally {
+    scheduler.dispose();
+  }
+}
+
+async function testRefreshQueue() {
+  assert.deepEqual(
+    mergeRefreshOptions(
+      normalizeRefreshRequest({ reason: "manual", promptReload: true }),
+      normalizeRefreshRequest({ reason: "metadata change", quiet: true }),
+    ),
+    { reason: "manual", quiet: false, promptReload: true, force: false },
+    "A quiet request merged into a loud one must stay loud and keep the loud reason.",
+  );
+  assert.equal(
+    mergeRefreshOptions(
+      normalizeRefreshRequest({ force: true }),
+      normalizeRefreshRequest({ reason: "session start", quiet: true }),
+    ).force,
+    true,
+    "A forced request must stay forced after merging.",
+  );
+
+  const runs = [];
+  const finishers = [];
+  const logs = [];
+  const queue = createRefreshQueue(
+    (request) =>
+      new Promise((resolve) => {
+        runs.push(request);
+        finishers.push(resolve);
+      }),
+    { log: (message) => logs.push(message) },
+  );
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  const first = queue.request({ reason: "manual" });
+  await flush();
+  assert.equal(queue.running, true);
+  const second = queue.request({ reason: "metadata change", quiet: true });
+  const third = queue.request({ reason: "session start", quiet: true, force: true });
+  assert.equal(second, third, "Requests made during a run must share one queued run.");
+  assert.equal(runs.length, 1, "A second request must wait for the running refresh.");
+  assert.deepEqual(queue.queued, {
+    reason: "session start",
+    quiet: true,
+    promptReload: false,
+    force: true,
+  });
+
+  finishers[0](true);
+  assert.equal(await first, true);
+  await flush();
+  assert.equal(runs.length, 2);
+  assert.equal(runs[1].force, true);
+  assert.equal(queue.queued, null);
+  finishers[1](true);
+  assert.equal(await second, true);
+  assert.equal(queue.running, false);
+
+  const running = queue.request({ reason: "manual" });
+  await flush();
+  const cancelled = queue.request({ reason: "metadata change", quiet: true });
+  assert.equal(queue.cancelQueued(), true);
+  assert.equal(queue.queued, null, "Cancelling must clear the queued request.");
+  assert.equal(queue.cancelQueued(), false);
+  finishers[2](false);
+  await running;
+  assert.equal(await cancelled, false, "A cancelled queued refresh must not run.");
+  assert.equal(runs.length, 3);
+  assert.ok(logs.some((line) => line.includes("cancelled")));
+
+  // A refresh cancelled while its worker still stops keeps later requests waiting.
+  const stopping = queue.request({ reason: "manual" });
+  await flush();
+  queue.cancelQueued();
+  const after = queue.request({ reason: "manual" });
+  await flush();
+  assert.equal(runs.length, 4, "The next refresh must wait for the stopping one to settle.");
+  finishers[3](false);
+  await stopping;
+  await flush();
+  assert.equal(runs.length, 5);
+  finishers[4](true);
+  assert.equal(await after, true);
+}
+
+function testColorLiterals() {
+  const source = [
+    'UI::Text("\\$f80Warn\\$z \\\\$000 \\$12");',
+    'string s = f"\\$0F0{name}";',
+    "vec4 c = vec4(1, 0.5f, .25, 0.5);",
+    "vec3 p = vec3(1, 2, 3); vec3 n = vec3(-1, 0, 0); vec3 a = vec3(x, 0, 0);",
+    "// vec3(1, 0, 0)",
+    "auto v = other.vec3(0, 0, 0); auto b = vec3(0, 0, 1);",
+  ].join("\n");
+  const literals = findColorLiterals(source);
+  assert.deepEqual(
+    literals.map((item) => [item.kind, source.slice(item.start, item.end)]),
+    [
+      ["format", "\\$f80"],
+      ["format", "\\$0F0"],
+      ["vec4", "vec4(1, 0.5f, .25, 0.5)"],
+      ["vec3", "vec3(0, 0, 1)"],
+    ],
+  );
+  assert.deepEqual(literals[0].color, { red: 1, green: 8 / 15, blue: 0, alpha: 1 });
+  assert.deepEqual(literals[2].color, { red: 1, green: 0.5, blue: 0.25, alpha: 0.5 });
+
+  const orange = { red: 1, green: 0.5, blue: 0, alpha: 1 };
+  assert.equal(formatColorLiteral("format", orange), "\\$f80");
+  assert.equal(formatColorLiteral("vec3", orange), "vec3(1, 0.5, 0)");
+  assert.equal(formatColorLiteral("vec4", orange), "vec4(1, 0.5, 0, 1)");
+  assert.equal(
+    formatColorLiteral("vec3", { ...orange, green: 1 / 3, alpha: 0.25 }),
+    "vec4(1, 0.333, 0, 0.25)",
+    "Translucent picks turn a vec3 into a vec4.",
+  );
+}
+
+function testEmbeddedLiterals() {
+  assert.equal(decodeStringLiteral(String.raw`"\\d+\$\x41\u00e9\"q"`), '\\d+$A\u00e9"q');
+  assert.equal(decodeStringLiteral("'it'"), "it");
+  assert.equal(decodeStringLiteral('f"{x}"'), null, "Prefixed literals are not decoded.");
+
+  const source = [
+    String.raw`auto m = Regex::Match(GetLine(a, b), "^(\\d+)-", Regex::Flags::ECMAScript);`,
+    String.raw`string s = Regex::Replace(text, "[a-", "x");`,
+    String.raw`bool ok = Regex::Contains(text, prefix + "(");`,
+    String.raw`Json::Value@ v = Json::Parse('{"name": "A", }');`,
+    String.raw`Json::Parse("{\"ok\": true}");`,
+    String.raw`@stmt = SQLite::Database(IO::FromStorageFolder("m.db")).Prepare("SELECT * FROM maps WHERE uid = ?");`,
+    String.raw`process.Execute("not sql"); GetDb().Prepare("not sql either");`,
+    String.raw`SQLite::Database(path).Execute("CREATE TABLE x (a"); Regex::IsMatch(text, "(unclosed"`,
+  ].join("\n");
+  assert.deepEqual(
+    findEmbeddedLiterals(source).map((item) => [item.language, item.value]),
+    [
+      ["regex", String.raw`^(\d+)-`],
+      ["regex", "[a-"],
+      ["json", '{"name": "A", }'],
+      ["json", '{"ok": true}'],
+      ["sql", "SELECT * FROM maps WHERE uid = ?"],
+      ["sql", "CREATE TABLE x (a"],
+    ],
+    "Only single literal arguments of closed calls and SQLite::Database receivers are checked.",
+  );
+
+  const diagnostics = checkEmbeddedLiterals(source);
+  assert.deepEqual(
+    diagnostics.map((item) => [item.code, item.start]),
+    [
+      ["invalid-regex", source.indexOf('"[a-"')],
+      ["invalid-json", source.indexOf("'{")],
+    ],
+    "SQL statements are highlighted but not validated.",
+  );
+  assert.match(diagnostics[0].message, /Invalid regular expression/);
+  assert.match(diagnostics[1].message, /^Invalid JSON passed to Json::Parse: /);
+}
+
+function testSettingAttributes() {
+  const source = [
+    '[Setting category="General" name="Enabled"]',
+    "bool S_Enabled = true;",
+    "",
+    '[Setting min=10 max=-5 drag if="!S_Enabled" enableif="S_Speed"]',
+    "int S_Speed = 3;",
+    "",
+    '[Setting color colour if="S_Missing"]',
+    "vec3 S_Tint = vec3(1, 0, 0);",
+    "",
+    "[Setting multiline password min=0 if=S_Enabled]",
+    "array<string> S_Names;",
+    "",
+    "[Setting hidden]",
+    "string S_Token;",
+    "",
+    '[Setting enableif="S_Remote" min=0 max=1]',
+    "float S_Volume = 0.5f;",
+    "",
+    '[SettingsTab name="Advanced" icon="Cogs" order=2 color]',
+    "void RenderAdvanced() {}",
+  ].join("\n");
+
+  assert.deepEqual(collectSettingDeclarations(source), [
+    { name: "S_Enabled", type: "bool" },
+    { name: "S_Speed", type: "int" },
+    { name: "S_Tint", type: "vec3" },
+    { name: "S_Names", type: "array<string>" },
+    { name: "S_Token", type: "string" },
+    { name: "S_Volume", type: "float" },
+  ]);
+
+  const diagnostics = checkSettingAttributes(source, {
+    settings: [{ name: "S_Remote", type: "bool" }],
+  });
+  assert.deepEqual(
+    diagnostics.map((item) => [item.code, source.slice(item.start, item.end), item.message]),
+    [
+      [
+        "setting-condition",
+        '"S_Speed"',
+        '"enableif" must name a bool setting: "S_Speed" is declared as int.',
+      ],
+      ["setting-min-max", "10", '"min" (10) is greater than "max" (-5).'],
+      ["unknown-setting-key", "colour", 'Unknown [Setting] key "colour".'],
+      [
+        "setting-condition",
+        '"S_Missing"',
+        '"if" must name a bool setting: no setting named "S_Missing" exists.',
+      ],
+      [
+        "setting-key-type",
+        "multiline",
+        '"multiline" only applies to string settings, not "array<string>".',
+      ],
+      [
+        "setting-key-type",
+        "password",
+        '"password" only applies to string settings, not "array<string>".',
+      ],
+      ["setting-key-type", "min", '"min" only applies to numeric settings, not "array<string>".'],
+      ["setting-condition", "S_Enabled", '"if" must name a bool setting: expected a quoted setting name.'],
+      ["unknown-setting-key", "color", 'Unknown [SettingsTab] key "color".'],
+    ],
+  );
+
+  const typing = "[Setting name=\"Speed\" m";
+  const completions = getSettingKeyCompletions(typing, typing.length);
+  assert.equal(completions.kind, "Setting");
+  assert.equal(completions.prefix, "m");
+  assert.ok(!completions.items.some((item) => item.name === "name"), "Present keys are left out.");
+  assert.ok(completions.items.some((item) => item.name === "min"));
+  const tab = '[SettingsTab name="A" ]\nvoid R() {}';
+  assert.deepEqual(
+    getSettingKeyCompletions(tab, tab.indexOf("]")).items.map((item) => item.name),
+    ["icon", "order"],
+  );
+  assert.equal(getSettingKeyCompletions(typing, typing.indexOf("Speed")), null, "Not inside values.");
+  assert.equal(getSettingKeyCompletions("[Setting min= ", 14), null, "Not after `=`.");
+  assert.equal(getSettingKeyCompletions("int[] a = [1, ", 14), null);
+
+  const hovered = findSettingKeyAt(source, source.indexOf("drag") + 1);
+  assert.equal(hovered.key, "drag");
+  const markdown = renderSettingKeyMarkdown(hovered.kind, hovered.key, hovered.schema);
+  assert.ok(markdown.startsWith("```openplanet-angelscript\n[Setting drag]\n```"));
+  assert.ok(markdown.includes("Applies to: Numeric settings"));
+  assert.equal(findSettingKeyAt(source, source.indexOf("colour") + 1), null, "Unknown keys have no docs.");
+}
+
+function testDirectives() {
+  const source = [
+    "// op-disable-next-line lint|opsyn|linter no-unused, *",
+    "Reset();",
+    "// oplint-disable-next-line no-unused",
+    "// opfmt-disable-next-line",
+    "auto a = 1;",
+    "// op-disable lint|form",
+    "Draw();",
+    "// op-enable lint",
+    "// oplint-disable-start *",
+    "// oplint-disable-end *",
+    "// opsyn-disable-next-line *",
+    "",
+    "// op-enable all",
+    "// op-disable-end lang",
+    "// op-frobnicate all",
+    "// Regular comment about op-disable.",
+    "Update();",
+  ].join("\n");
+
+  const [first, , , disable] = parseDirectives(source);
+  assert.deepEqual(
+    first.targets.map((target) => [target.name, target.target, source.slice(target.start, target.end)]),
+    [
+      ["lint", "lint", "lint"],
+      ["opsyn", "opsyn", "opsyn"],
+      ["linter", null, "linter"],
+    ],
+  );
+  assert.deepEqual(first.rules.map((rule) => rule.id), ["no-unused", "*"]);
+  assert.equal(source.slice(disable.keywordStart, disable.keywordEnd), "op-disable");
+  assert.equal(parseDirectives("// oplint-disable form").at(0).targets.length, 0, "Tools take no targets.");
+  assert.equal(parseDirectives('string s = "// op-disable all";').length, 0);
+
+  assert.deepEqual(
+    checkDirectives(source).map((item) => [item.code, source.slice(item.start, item.end), item.message]),
+    [
+      [
+        "unknown-directive-target",
+        "linter",
+        'Unknown directive target "linter"; expected all, lint, form, lang, opsyn.',
+      ],
+      ["unused-directive", "oplint-disable-start", '"oplint-disable-start" disables no code.'],
+      ["unused-directive", "opsyn-disable-next-line", '"opsyn-disable-next-line" is not followed by code.'],
+      ["unmatched-directive", "op-disable-end", '"op-disable-end" has no "op-disable-start" before it.'],
+      [
+        "unknown-directive",
+        "op-frobnicate",
+        'Unknown directive "op-frobnicate"; expected op-disable-next-line, op-disable-start, ' +
+          "op-disable-end, op-disable, op-enable.",
+      ],
+    ],
+  );
+  assert.deepEqual(
+    checkDirectives("// op-disable lint|form\nDraw();\n// op-enable form").map((item) => item.message),
+    ['"op-disable" has no "op-enable" for lint after it.'],
+  );
+  assert.deepEqual(checkDirectives("// oplint-disable *\nDraw();"), [], "Tool disables cover the file.");
+
+  const typing = "// op-disable-next-line lint|";
+  const completions = getDirectiveTargetCompletions(typing, typing.length);
+  assert.equal(completions.prefix, "");
+  assert.deepEqual(
+    completions.items.map((item) => item.name),
+    ["all", "form", "lang", "opsyn"],
+  );
+  assert.equal(getDirectiveTargetCompletions("// op-enable f", 14).prefix, "f");
+  assert.equal(getDirectiveTargetCompletions("// op-enable all *", 18), null, "Not in rule IDs.");
+  assert.equal(getDirectiveTargetCompletions("// oplint-disable ", 18), null);
+  assert.equal(getDirectiveTargetCompletions('"// op-enable ', 14), null, "Not inside strings.");
+}
+
+function testDocComments(fixtureRoot) {
+  const doc = parseDocComment(
+    [
+      "/**",
+      " * Queues a custom event.",
+      " *",
+      " * @param type The event type,",
+      " *   sent as-is.",
+      " * @param id",
+      " * @return `true` once queued.",
+      " * @deprecated Use `QueueNow`.",
+      " * @code",
+      " *   Queue(\"Reset\");",
+      " * @endcode",
+      " */",
+    ].join("\n"),
+  );
+  assert.equal(doc.summary, "Queues a custom event.");
+  assert.deepEqual(doc.params, [
+    { name: "type", description: "The event type,\nsent as-is." },
+    { name: "id", description: "" },
+  ]);
+  assert.equal(doc.returns, "`true` once queued.");
+  assert.deepEqual(doc.tags, [
+    { tag: "deprecated", text: 'Use `QueueNow`.\n```openplanet-angelscript\n  Queue("Reset");\n```' },
+  ]);
+
+  const source = [
+    "namespace Tools {",
+    "  /// Returns the player count.",
+    "  /// @param team Team index.",
+    "  int CountPlayers(int team) { return 0; }",
+    "",
+    "  // Plain comments are not docs.",
+    "  void Undocumented() {}",
+    "",
+    "  /** A tracked player. */",
+    "  shared class Player : IEntity {",
+    "    /// Methods are not indexed.",
+    "    void Reset() {}",
+    "  }",
+    "}",
+    "/// Runs once.",
+    "",
+    "/// Entry point.",
+    "void Main() { Tools::CountPlayers(0); }",
+  ].join("\n");
+  const declarations = collectDocumentedDeclarations(source, "Tools.as");
+  assert.deepEqual(
+    declarations.map((item) => [item.kind, item.qualifiedName, item.signature, item.line]),
+    [
+      ["function", "Tools::CountPlayers", "int CountPlayers(int team)", 3],
+      ["class", "Tools::Player", "shared class Player : IEntity", 9],
+      ["function", "Main", "void Main()", 17],
+    ],
+  );
+  assert.equal(declarations[2].doc.summary, "Entry point.", "A blank line ends a `///` run.");
+
+  const index = createDocIndex();
+  setDocSource(index, "Tools.as", source);
+  const usage = "namespace Tools { void Render() { CountPlayers(1); } }\nTools::Player@ p;";
+  const local = resolveDocEntriesAt(index, usage, usage.indexOf("CountPlayers") + 2);
+  assert.equal(local.entries[0].qualifiedName, "Tools::CountPlayers", "Enclosing namespaces apply.");
+  assert.equal(local.start, usage.indexOf("CountPlayers"));
+  const qualified = resolveDocEntriesAt(index, usage, usage.indexOf("Player@") + 1);
+  assert.equal(qualified.entries[0].kind, "class");
+  assert.equal(resolveDocEntriesAt(index, "x.CountPlayers(1);", 4), null, "Members are not resolved.");
+
+  const other = [
+    "namespace Tools {",
+    "  /// Counts players elsewhere.",
+    "  int CountPlayers(int team, bool bots) { return 0; }",
+    "}",
+  ].join("\n");
+  setDocSource(index, "Other.as", other);
+  const before = lookupDocEntries(index, "Tools::Player");
+  assert.deepEqual(
+    lookupDocEntries(index, "Tools::CountPlayers").map((entry) => entry.source),
+    ["Tools.as", "Other.as"],
+  );
+  setDocSource(index, "Other.as", other.replace("Counts players elsewhere.", "Edited."));
+  assert.equal(
+    lookupDocEntries(index, "Tools::Player"),
+    before,
+    "Editing one source must leave the other sources' entries in place.",
+  );
+  assert.deepEqual(
+    lookupDocEntries(index, "Tools::CountPlayers").map((entry) => entry.doc.summary),
+    ["Returns the player count.", "Edited."],
+  );
+  removeDocSource(index, "Other.as");
+  assert.equal(lookupDocEntries(index, "Tools::CountPlayers").length, 1);
+  setDocSource(index, "Other.as", "void Undocumented() {}");
+  assert.equal(index.bySource.has("Other.as"), false);
+
+  const markdown = renderDocHoverMarkdown(local.entries);
+  assert.ok(markdown.startsWith("```openplanet-angelscript\nint CountPlayers(int team)\n```"));
+  assert.ok(markdown.includes("Defined in: Tools.as"));
+  assert.ok(markdown.includes("*@param* `team` — Team index."));
+
+  const pluginsDir = path.join(fixtureRoot, "Plugins");
+  const hookDir = path.join(pluginsDir, "MLHook");
+  fs.mkdirSync(hookDir, { recursive: true });
+  fs.writeFileSync(path.join(hookDir, "info.toml"), '[script]\nexports = ["Export.as"]\n');
+  fs.writeFileSync(
+    path.join(hookDir, "Export.as"),
+    'namespace MLHook {\n  /// Queues an event.\n  import void Queue(const string &in type) from "MLHook";\n}',
+  );
+  writeZip(path.join(pluginsDir, "Packed.op"), {
+    "info.toml": '[script]\nexports = ["Api.as"]\n',
+    "Api.as": "namespace Packed {\n  /** Counts things. */\n  int Count() { return 0; }\n}",
+  });
+  const sources = indexDependencyDocs(index, [pluginsDir], {
+    skip: (pluginPath) => pluginPath === hookDir,
+  });
+  assert.deepEqual(sources, ["Packed/Api.as"], "Skipped plugins are not indexed.");
+  assert.deepEqual(indexDependencyDocs(createDocIndex(), [pluginsDir]), [
+    "MLHook/Export.as",
+    "Packed/Api.as",
+  ]);
+  const consumer = "void Main() { print(Packed::Count()); }";
+  const exported = resolveDocEntriesAt(index, consumer, consumer.indexOf("Count"));
+  assert.equal(exported.entries[0].doc.summary, "Counts things.");
+  assert.equal(exported.entries[0].source, "Packed/Api.as");
+}
+
+async function main() {
+  const fixtureRoot = fs.mkdtempSync(path.join(os.tmpdir(), "op-editor-features-"));
+  try {
+    testTokenizer();
+    testInfoToml();
+    testPreprocessorDefines();
+    testInactiveRegions();
+    testSemanticTokens(fixtureRoot);
+    testColorLiterals();
+    testEmbeddedLiterals();
+    testSettingAttributes();
+    testDirectives();
+    testDependencyPlugins(fs.mkdtempSync(path.join(fixtureRoot, "dependencies-")));
+    testDocComments(fs.mkdtempSync(path.join(fixtureRoot, "docs-")));
+    testHoverIndex(fs.mkdtempSync(path.join(fixtureRoot, "hover-")));
+    testCompletion(fs.mkdtempSync(path.join(fixtureRoot, "completion-")));
+    testSignatureHelp(fs.mkdtempSync(path.join(fixtureRoot, "signature-")));
+    testGameMembers(fs.mkdtempSync(path.join(fixtureRoot, "members-")));
+    testSymbolDiff(fs.mkdtempSync(path.join(fixtureRoot, "diff-")));
+    testSnapshots(fs.mkdtempSync(path.join(fixtureRoot, "snapshots-")));
+    testCrossGameUsage(fs.mkdtempSync(path.join(fixtureRoot, "games-")));
+    testWineInstallDiscovery(fs.mkdtempSync(path.join(fixtureRoot, "wine-")));
+    await testMetadataValidation(fs.mkdtempSync(path.join(fixtureRoot, "validation-")));
+    await testMetadataWatch(fs.mkdtempSync(path.join(fixtureRoot, "watch-")));
+    await testRefreshQueue();
+  } finally {
+    fs.rmSync(fixtureRoot, { recursive: true, force: true });
+  }
+
+  console.log("Editor feature checks passed.");
+}
+
+await main();
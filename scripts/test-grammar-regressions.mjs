@@ -1,5 +1,7 @@
 import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
 import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
@@ -8,7 +10,16 @@ import {
   gameJsonFileRx,
   watchedMetadataFileRx,
 } from "./openplanet-grammar-config.mjs";
+import { regexPatternFunctions, sqlStatementMethods } from "./openplanet-embedded-literals.mjs";
+import {
+  formatGenerationLog,
+  generateGrammar,
+  grammarContentHash,
+} from "./openplanet-grammar-generator.mjs";
 import { applyStaticGrammarMetadata } from "./openplanet-grammar-static.mjs";
+import { directiveTargetAliases, directiveTargets } from "./openplanet-directives.mjs";
+import { infoTomlSchema } from "./openplanet-info-toml.mjs";
+import { settingAttributeSchema } from "./openplanet-settings.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,6 +49,565 @@ function expectNotMatches(regexSource, sample, label) {
   assert.ok(!rx.test(sample), `Expected ${label} regex not to match "${sample}".`);
 }
 
+function runGeneratorOnFixture(grammarPath) {
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), "op-grammar-fixture-"));
+  const installDir = path.join(fixtureDir, "OpenplanetNext");
+  fs.mkdirSync(installDir);
+  fs.writeFileSync(
+    path.join(installDir, "OpenplanetCore.json"),
+    JSON.stringify({
+      functions: [{ name: "Begin", ns: "UI" }],
+      enums: [
+        { name: "Cond", ns: "UI", values: { None: 0, Always: 1 } },
+        { name: "GlobalMode", values: { Solo: 0, Online: 1 } },
+      ],
+    }),
+  );
+  fs.writeFileSync(
+    path.join(installDir, "OpenplanetNext.json"),
+    JSON.stringify({
+      ns: { Game: { CGameCtnApp: { e: [{ n: "EState", v: ["Idle", "Ready"] }] } } },
+    }),
+  );
+
+  const dependencyDir = path.join(fixtureDir, "Plugins", "MLHook");
+  fs.mkdirSync(dependencyDir, { recursive: true });
+  fs.writeFileSync(path.join(dependencyDir, "info.toml"), '[script]\nexports = ["Export.as"]\n');
+  fs.writeFileSync(
+    path.join(dependencyDir, "Export.as"),
+    'namespace MLHook { import void Queue() from "MLHook"; }',
+  );
+
+  const outputPath = path.join(fixtureDir, "out", "grammar.json");
+  const shippedGrammar = fs.readFileSync(grammarPath, "utf8");
+  const runGenerator = (...extraArgs) =>
+    spawnSync(
+      process.execPath,
+      [
+        path.join(__dirname, "generate-openplanet-grammar.mjs"),
+        "--grammar",
+        grammarPath,
+        "--out",
+        outputPath,
+        "--openplanet-dir",
+        installDir,
+        "--dependency-dirs",
+        path.dirname(dependencyDir),
+        "--report-dir",
+        path.join(fixtureDir, "reports"),
+        ...extraArgs,
+      ],
+      { encoding: "utf8" },
+    );
+  try {
+    const stale = runGenerator("--check");
+    assert.equal(stale.status, 1, "--check must fail while the output grammar is missing.");
+    assert.ok(!fs.existsSync(outputPath), "--check must not write the grammar.");
+
+    const result = runGenerator();
+    assert.equal(result.status, 0, `Generator failed on fixture metadata: ${result.stderr}`);
+    assert.match(result.stdout, /Updated grammar: /);
+    assert.equal(
+      fs.readFileSync(grammarPath, "utf8"),
+      shippedGrammar,
+      "--out must leave the source grammar untouched.",
+    );
+    const generated = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+    assert.match(generated.openplanetGrammarHash, /^sha256-[0-9a-f]{64}$/);
+
+    const writtenAt = fs.statSync(outputPath).mtimeMs;
+    const rerun = runGenerator();
+    assert.match(rerun.stdout, /Grammar unchanged: /, "Unchanged output must be reported.");
+    assert.equal(fs.statSync(outputPath).mtimeMs, writtenAt, "Unchanged output must not be rewritten.");
+    assert.equal(runGenerator("--check").status, 0, "--check must pass for a fresh grammar.");
+    return generated;
+  } finally {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  }
+}
+
+function checkGenerateFromBundledSnapshot(grammarPath) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "op-grammar-snapshot-"));
+  try {
+    const result = spawnSync(
+      process.execPath,
+      [
+        path.join(__dirname, "generate-openplanet-grammar.mjs"),
+        "--grammar",
+        grammarPath,
+        "--out",
+        path.join(outDir, "grammar.json"),
+        "--snapshot",
+        path.join(repoRoot, "snapshots", "openplanet-symbols.json"),
+        "--report-dir",
+        path.join(outDir, "reports"),
+      ],
+      { encoding: "utf8" },
+    );
+    assert.equal(result.status, 0, `Generator failed on the bundled snapshot: ${result.stderr}`);
+    assert.match(result.stdout, /Snapshot files: 1\n/);
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+function checkGeneratorLibrary(grammarPath) {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "op-grammar-library-"));
+  const outPath = path.join(outDir, "grammar.json");
+  try {
+    const result = generateGrammar({
+      sourceArgs: {
+        "openplanet-dirs": outDir,
+        "fallback-snapshot": path.join(repoRoot, "snapshots", "openplanet-symbols.json"),
+      },
+      grammarPath,
+      outPath,
+      write: false,
+    });
+    assert.equal(result.written, false, "write: false must not write the grammar.");
+    assert.equal(result.upToDate, false);
+    assert.ok(!fs.existsSync(outPath), "write: false must leave the output path alone.");
+    assert.equal(result.reports, null, "Reports are only written when a report dir is given.");
+    assert.equal(result.grammar.openplanetGrammarHash, result.hash);
+    assert.equal(result.counts.namespaces, result.symbols.namespaces.size);
+    assert.ok(result.counts.types > 0, "Snapshot types were not collected.");
+    assert.deepEqual(result.sourcePaths.installDirs, [outDir]);
+    assert.ok(
+      result.warnings.some((warning) => warning.includes("fallback snapshot")),
+      "Falling back to the bundled snapshot must be reported as a warning.",
+    );
+    assert.ok(formatGenerationLog(result).includes(`Updated grammar: ${outPath}`));
+
+    const snapshotArgs = { snapshot: result.sourcePaths.snapshotPaths[0] };
+    generateGrammar({ sourceArgs: snapshotArgs, grammarPath, outPath });
+    const rerun = generateGrammar({ sourceArgs: snapshotArgs, grammarPath, outPath });
+    assert.equal(rerun.upToDate, true, "An unchanged grammar must be reported as up to date.");
+    assert.equal(rerun.written, false);
+    const forced = generateGrammar({ sourceArgs: snapshotArgs, grammarPath, outPath, force: true });
+    assert.equal(forced.written, true, "A forced run must rewrite an up-to-date grammar.");
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+}
+
+function captureScopes(pattern, sample) {
+  const match = new RegExp(pattern.match).exec(sample);
+  if (!match || match.index !== 0) return null;
+  return Object.keys(pattern.captures).map((group) => [match[group], pattern.captures[group].name]);
+}
+
+function firstMatchingPattern(patterns, sample) {
+  return patterns.find((pattern) => typeof pattern.match === "string" && captureScopes(pattern, sample));
+}
+
+function checkGeneratedDependencyNamespaces(generated) {
+  const memberPatterns = generated.repository.memberAccess.patterns;
+  const call = firstMatchingPattern(memberPatterns, "MLHook::Queue(");
+  assert.deepEqual(captureScopes(call, "MLHook::Queue("), [
+    ["MLHook", "support.namespace.dependency.angelscript"],
+    ["Queue", "support.function.dependency.angelscript"],
+  ]);
+  const bundled = firstMatchingPattern(memberPatterns, "Camera::GetCurrent(");
+  assert.equal(
+    captureScopes(bundled, "Camera::GetCurrent(")[0][1],
+    "support.namespace.angelscript",
+    "Bundled plugin namespaces must not be assumed once plugin folders are scanned.",
+  );
+  const builtin = firstMatchingPattern(memberPatterns, "UI::Begin(");
+  assert.equal(captureScopes(builtin, "UI::Begin(")[0][1], "support.namespace.builtin.angelscript");
+}
+
+function checkGeneratedEnumMembers(generated) {
+  const memberPatterns = generated.repository.memberAccess.patterns;
+
+  const known = firstMatchingPattern(memberPatterns, "UI::Cond::Always");
+  assert.deepEqual(captureScopes(known, "UI::Cond::Always"), [
+    ["UI", "support.namespace.builtin.angelscript"],
+    ["Cond", "entity.name.type.enum.angelscript"],
+    ["Always", "constant.other.enum-member.angelscript"],
+  ]);
+
+  const typo = firstMatchingPattern(memberPatterns, "UI::Cond::Alway");
+  assert.equal(
+    captureScopes(typo, "UI::Cond::Alway")[2][1],
+    "invalid.illegal.unknown-enum-member.angelscript",
+    "Unknown built-in enum members must be marked invalid.",
+  );
+
+  const gameEnum = firstMatchingPattern(memberPatterns, "CGameCtnApp::EState::Ready");
+  assert.equal(
+    captureScopes(gameEnum, "CGameCtnApp::EState::Ready")[2][1],
+    "constant.other.enum-member.angelscript",
+  );
+  const gameTypo = firstMatchingPattern(memberPatterns, "CGameCtnApp::EState::Redy");
+  assert.equal(
+    captureScopes(gameTypo, "CGameCtnApp::EState::Redy")[2][1],
+    "invalid.illegal.unknown-enum-member.angelscript",
+  );
+
+  const globalEnum = firstMatchingPattern(memberPatterns, "GlobalMode::Online");
+  assert.equal(
+    captureScopes(globalEnum, "GlobalMode::Online")[1][1],
+    "constant.other.enum-member.angelscript",
+  );
+
+  const deepMember = firstMatchingPattern(memberPatterns, "UI::Begin::Whatever");
+  assert.notEqual(
+    captureScopes(deepMember, "UI::Begin::Whatever")[2][1],
+    "constant.other.enum-member.angelscript",
+    "Deep members that are not enum values must not be scoped as enum members.",
+  );
+
+  assert.ok(
+    !memberPatterns.some((pattern) => pattern.name?.includes(".enum.fallback.")),
+    "Fallback enum patterns must be dropped once metadata enums are known.",
+  );
+
+  const casePatterns = generated.repository.caseLabels.patterns[0].patterns;
+  expectMatches(
+    findPatternByName(casePatterns, "constant.other.enum-member.angelscript").match,
+    "Online",
+    "case label enum member",
+  );
+  assert.equal(
+    casePatterns[casePatterns.length - 1].name,
+    "variable.other.readwrite.angelscript",
+    "Bare case words must not default to enum members.",
+  );
+}
+
+function checkShippedEnumMembers(grammar) {
+  assert.equal(
+    grammar.openplanetGrammarHash,
+    grammarContentHash(grammar),
+    "The shipped grammar must be regenerated with the generator.",
+  );
+  const memberPatterns = grammar.repository.memberAccess.patterns;
+  for (const sample of ["Foo::Missing", "Visibility::Hidden", "UI::Cond", "Math::Pi"]) {
+    const scopes = captureScopes(firstMatchingPattern(memberPatterns, sample), sample);
+    assert.ok(
+      !scopes.some(([, scope]) => scope === "constant.other.enum-member.angelscript"),
+      `"${sample}" is not a metadata Enum::Value pair and must not be scoped as an enum member.`,
+    );
+  }
+
+  // Real enum pairs once metadata is bundled, the narrow fallback until then.
+  for (const [sample, member] of [
+    ["UI::Cond::Always", "Always"],
+    ["CGameCtnApp::EState::Ready", "Ready"],
+  ]) {
+    const scopes = captureScopes(firstMatchingPattern(memberPatterns, sample), sample);
+    assert.deepEqual(
+      scopes.at(-1),
+      [member, "constant.other.enum-member.angelscript"],
+      `The shipped grammar must scope "${sample}" as an enum member.`,
+    );
+  }
+  assert.equal(firstMatchingPattern(memberPatterns, "UI::Cond::Always(")?.name.includes(".enum."), false);
+  const casePatterns = grammar.repository.caseLabels.patterns[0].patterns;
+  const caseMember = findPatternByName(casePatterns, "constant.other.enum-member.angelscript");
+  assert.ok(caseMember, "The shipped grammar must keep a case label enum member rule.");
+  assert.ok(!caseMember.match.includes("(?!)"), "Case label enum rules must not be never-matching.");
+}
+
+// Oniguruma's `\G` (end of the previous match) has no JS equivalent; at the
+// start of a tested line it behaves like `^`.
+function onigToJsRegex(source) {
+  return new RegExp(source.replaceAll(String.raw`(^|\G)`, "(^)"));
+}
+
+function checkMarkdownCodeBlockInjection(packageJson) {
+  const grammar = JSON.parse(
+    fs.readFileSync(
+      path.join(repoRoot, "syntaxes", "openplanet-angelscript-markdown.tmLanguage.json"),
+      "utf8",
+    ),
+  );
+  const contribution = packageJson.contributes.grammars.find(
+    (entry) => entry.scopeName === grammar.scopeName,
+  );
+  assert.ok(contribution, "The Markdown code block injection grammar is not contributed.");
+  assert.deepEqual(contribution.injectTo, ["text.html.markdown"]);
+  assert.equal(grammar.injectionSelector, "L:text.html.markdown");
+
+  const block = grammar.repository.fencedCodeBlock;
+  const begin = onigToJsRegex(block.begin);
+  const openingFences = [
+    "```angelscript",
+    "```as",
+    "~~~openplanet",
+    "  ```as title=Main.as",
+    "````openplanet-angelscript",
+  ];
+  for (const fence of openingFences) {
+    assert.ok(begin.test(fence), `Expected "${fence}" to open an AngelScript code block.`);
+  }
+  for (const fence of ["```asm", "```javascript", "```", "``as"]) {
+    assert.ok(!begin.test(fence), `Expected "${fence}" not to open an AngelScript code block.`);
+  }
+  assert.equal(begin.exec("```as {.line-numbers}")[4], "as");
+
+  const [content] = block.patterns;
+  assert.equal(content.contentName, "meta.embedded.block.angelscript");
+  assert.deepEqual(content.patterns, [{ include: "source.angelscript.openplanet" }]);
+  assert.equal(
+    contribution.embeddedLanguages[content.contentName],
+    "openplanet-angelscript",
+    "Embedded code must map to the Openplanet language for brackets and comments.",
+  );
+  const contentWhile = onigToJsRegex(content.while);
+  assert.ok(contentWhile.test("void Main() {}"));
+  assert.ok(!contentWhile.test("```"), "The closing fence must end the embedded code.");
+}
+
+function checkEmbeddedStringInjection(packageJson) {
+  const grammar = JSON.parse(
+    fs.readFileSync(
+      path.join(repoRoot, "syntaxes", "openplanet-angelscript-embedded.tmLanguage.json"),
+      "utf8",
+    ),
+  );
+  const contribution = packageJson.contributes.grammars.find(
+    (entry) => entry.scopeName === grammar.scopeName,
+  );
+  assert.ok(contribution, "The embedded string injection grammar is not contributed.");
+  assert.deepEqual(contribution.injectTo, ["source.angelscript.openplanet"]);
+  assert.equal(grammar.injectionSelector, "L:source.angelscript.openplanet -comment -string");
+
+  const { regexCall, regexLiteral, jsonParseCall, sqliteDatabaseCall, sqlCall } = grammar.repository;
+  const regexBegin = new RegExp(regexCall.begin);
+  assert.deepEqual(
+    /\((\w+(?:\|\w+)+)\)/.exec(regexCall.begin)[1].split("|").sort(),
+    [...regexPatternFunctions].sort(),
+    "Regex call grammar drifted from regexPatternFunctions.",
+  );
+  assert.equal(regexBegin.exec("Regex::SearchAll(text, p)")[3], "SearchAll");
+  assert.ok(!regexBegin.test("Regex::Escape(text)"), "Only pattern-taking Regex functions.");
+  const [firstArgument, laterArguments] = regexCall.patterns;
+  assert.equal(firstArgument.begin, "\\G", "The subject argument is plain code.");
+  assert.deepEqual(laterArguments.patterns[0], { include: "#regexLiteral" });
+
+  for (const [literal, scope, language] of [
+    [regexLiteral, "source.js.regexp", "regexp"],
+    [jsonParseCall.patterns[0], "source.json", "json"],
+    [sqlCall.patterns[0], "source.sql", "sql"],
+  ]) {
+    assert.equal(literal.contentName, `meta.embedded.line.${language}.angelscript`);
+    assert.deepEqual(literal.patterns, [
+      { include: "source.angelscript.openplanet#stringEscapes" },
+      { include: scope },
+    ]);
+    const begin = new RegExp(literal.begin.replace("\\G", "^"));
+    assert.equal(begin.exec(" 'x'")[1], "'", "Embedded literals open with either quote.");
+    assert.equal(literal.end, "\\1", "Embedded literals close with their opening quote.");
+  }
+
+  expectMatches(jsonParseCall.begin, 'Json::Parse("{}")', "Json::Parse call");
+  const sqlBegin = new RegExp(sqlCall.begin.replace("\\G", "^"));
+  for (const alternation of [sqlCall.begin, sqliteDatabaseCall.end]) {
+    assert.deepEqual(
+      /\((?:\?:)?(\w+(?:\|\w+)+)\)/.exec(alternation)[1].split("|").sort(),
+      [...sqlStatementMethods].sort(),
+    );
+  }
+  assert.equal(sqlBegin.exec('.Prepare("SELECT 1")')[2], "Prepare");
+  assert.ok(!sqlBegin.test('Prepare("x")'), "SQL calls are method calls.");
+  assert.ok(
+    grammar.patterns.some((pattern) => pattern.include === "#sqliteDatabaseCall") &&
+      !grammar.patterns.some((pattern) => pattern.include === "#sqlCall"),
+    "SQL calls are only recognized on SQLite::Database receivers.",
+  );
+  assert.deepEqual(sqliteDatabaseCall.patterns, [{ include: "#parens" }, { include: "#sqlCall" }]);
+  expectMatches(sqliteDatabaseCall.begin, "SQLite::Database(path)", "SQLite::Database construction");
+  expectNotMatches(sqliteDatabaseCall.begin, "db.Execute(", "other receivers");
+  const databaseEnd = new RegExp(sqliteDatabaseCall.end, "y");
+  const chained = 'SQLite::Database(path).Execute("x");';
+  databaseEnd.lastIndex = chained.indexOf(".");
+  assert.ok(!databaseEnd.test(chained), "The receiver region continues into its SQL call.");
+  databaseEnd.lastIndex = chained.indexOf(";");
+  assert.ok(databaseEnd.test(chained), "The receiver region ends after the SQL call.");
+}
+
+function checkDocCommentCodeRegions(grammar) {
+  const [, , , docComment, blockComment] = grammar.repository.comments.patterns;
+  assert.equal(docComment.name, "comment.block.documentation.angelscript");
+  assert.equal(
+    blockComment.name,
+    "comment.block.angelscript",
+    "Doc comments must win over block comments.",
+  );
+  expectMatches(docComment.begin, "/** Adds two numbers.", "doc comment");
+  expectNotMatches(docComment.begin, "/**/", "doc comment");
+  expectNotMatches(docComment.begin, "/*** banner", "doc comment");
+  assert.deepEqual(docComment.patterns, [{ include: "#docCommentCode" }, { include: "#docCommentTags" }]);
+
+  const [codeRegion, exampleRegion] = grammar.repository.docCommentCode.patterns;
+  expectMatches(codeRegion.begin, " * @code", "@code region");
+  expectNotMatches(codeRegion.begin, " * @codec", "@code region");
+  assert.equal(new RegExp(codeRegion.end).exec(" * @endcode")[1], "@endcode");
+  expectMatches(codeRegion.end, "*/", "@code region end at the comment end");
+
+  expectMatches(exampleRegion.begin, " * @example", "@example region");
+  const exampleEnd = new RegExp(exampleRegion.end);
+  assert.ok(exampleEnd.test(" * @param x"), "A following tag must end an @example region.");
+  assert.ok(exampleEnd.test(" */"), "The comment end must end an @example region.");
+  assert.ok(!exampleEnd.test(" *   auto x = Foo(@handle);"), "Handles must not end an @example region.");
+
+  const [decoration, code] = grammar.repository.docCommentCodeLine.patterns;
+  assert.ok(new RegExp(decoration.match).test("   * UI::Text(x);"));
+  assert.ok(!new RegExp(decoration.match).test(" */"), "The comment end is not a line decoration.");
+  assert.deepEqual(code, { include: "$self" });
+}
+
+function checkDocCommentTags(grammar) {
+  const [tripleSlash, , lineComment] = grammar.repository.comments.patterns;
+  assert.equal(tripleSlash.name, "comment.line.triple-slash.documentation.angelscript");
+  assert.equal(lineComment.match, "//.*$", "`///` doc comments must win over `//` comments.");
+  expectMatches(tripleSlash.begin, "/// Queues a callback.", "`///` doc comment");
+  expectNotMatches(tripleSlash.begin, "//// divider", "`///` doc comment");
+  assert.deepEqual(tripleSlash.patterns, [{ include: "#docCommentTags" }]);
+
+  const [param, tag, inlineCode] = grammar.repository.docCommentTags.patterns;
+  const paramMatch = new RegExp(param.match).exec(" * @param name The player name.");
+  assert.equal(paramMatch[1], "@param");
+  assert.equal(paramMatch[2], "name", "@param should scope the parameter name.");
+  assert.equal(param.captures["2"].name, "variable.parameter.doc.angelscript");
+
+  assert.equal(new RegExp(tag.match).exec("/// @returns the count")[0], "@returns");
+  expectNotMatches(tag.match, "/// mail dev@example.com", "doc tag");
+  expectNotMatches(tag.match, "/// takes a CGameCtnApp@ handle", "doc tag");
+
+  assert.equal(new RegExp(inlineCode.match).exec("/// Call `Reset()` first.")[0], "`Reset()`");
+  assert.equal(inlineCode.name, "markup.inline.raw.doc.angelscript");
+}
+
+function checkStringFormatting(grammar) {
+  for (const stringPattern of grammar.repository.strings.patterns) {
+    assert.equal(stringPattern.patterns[0].include, "#stringEscapes", `${stringPattern.name} escapes`);
+  }
+  const fString = findPatternByName(
+    grammar.repository.strings.patterns,
+    "string.quoted.double.prefixed.f.angelscript",
+  );
+  assert.deepEqual(fString.patterns, [
+    { include: "#stringEscapes" },
+    { include: "#fStringInterpolation" },
+  ]);
+
+  const [color, reset, style, link, escape] = grammar.repository.stringEscapes.patterns;
+  const colorMatch = new RegExp(color.match).exec('"\\$f80Warning"');
+  assert.equal(colorMatch[0], "\\$f80", "Color codes take exactly three hex digits.");
+  assert.equal(color.name, "constant.other.color.rgb-value.format.angelscript");
+  expectMatches(reset.match, "\\$z", "format reset code");
+  expectMatches(style.match, "\\$i", "format style code");
+  expectMatches(style.match, "\\$s", "format style code");
+  expectMatches(link.match, "\\$l", "format link code");
+  assert.equal(new RegExp(escape.match).exec("\\$q")[0], "\\$", "Unknown codes stay escapes.");
+  assert.equal(escape.name, "constant.character.escape.angelscript");
+
+  const [doubledBrace, interpolation] = grammar.repository.fStringInterpolation.patterns;
+  expectMatches(doubledBrace.match, "{{", "escaped brace");
+  assert.ok(
+    interpolation.name.startsWith("meta.embedded."),
+    "Interpolations must be embedded code so brackets inside them match.",
+  );
+  const [nesting, formatSpec, code] = interpolation.patterns;
+  assert.deepEqual(nesting, { include: "#fStringInterpolationNesting" });
+  assert.deepEqual(code, { include: "$self" });
+  const specMatch = new RegExp(formatSpec.match).exec("{value:.2f}");
+  assert.equal(specMatch[2], ".2f");
+  expectNotMatches(formatSpec.match, "{Math::Pi}", "format spec");
+
+  // Colons of ternaries and inside parentheses are code, not format specs: the
+  // nesting regions consume them before the format spec rule sees them.
+  const [parens, ternary] = grammar.repository.fStringInterpolationNesting.patterns;
+  for (const region of [parens, ternary]) {
+    assert.deepEqual(region.patterns, [{ include: "#fStringInterpolationNesting" }, { include: "$self" }]);
+  }
+  expectMatches(parens.begin, "(a ? b : c)", "interpolation parentheses");
+  expectMatches(ternary.begin, "a ? b : c", "interpolation ternary");
+  const ternaryEnd = new RegExp(ternary.end, "y");
+  const sample = "{ready ? Ns::A : b:.2f}";
+  ternaryEnd.lastIndex = sample.indexOf("::");
+  assert.ok(!ternaryEnd.test(sample), "`::` inside a ternary is not its colon.");
+  ternaryEnd.lastIndex = sample.indexOf(" : ") + 1;
+  assert.ok(ternaryEnd.test(sample), "The ternary ends at its own colon.");
+  const rest = sample.slice(sample.indexOf(" : ") + 2);
+  assert.equal(new RegExp(formatSpec.match).exec(rest)[2], ".2f", "A later top-level colon is a format spec.");
+  expectNotMatches(formatSpec.match, " c}", "format spec after a ternary");
+}
+
+function checkSettingAttributeKeys(grammar) {
+  for (const [kind, repositoryKey] of [
+    ["Setting", "settingAnnotation"],
+    ["SettingsTab", "settingsTabAnnotation"],
+  ]) {
+    const [annotation] = grammar.repository[repositoryKey].patterns;
+    const knownKeys = annotation.patterns.find((pattern) => pattern.match?.startsWith("\\b(?:"));
+    assert.deepEqual(
+      /\(\?:([\w|]+)\)/.exec(knownKeys.match)[1].split("|").sort(),
+      Object.keys(settingAttributeSchema[kind]).sort(),
+      `[${kind}] grammar keys drifted from settingAttributeSchema.`,
+    );
+  }
+}
+
+function checkToolingDirectives(grammar) {
+  const [, directives, lineComment] = grammar.repository.comments.patterns;
+  assert.deepEqual(directives, { include: "#toolingDirectives" });
+  assert.equal(lineComment.match, "//.*$", "`// op-*` directives must win over `//` comments.");
+
+  const [suite, tool] = grammar.repository.toolingDirectives.patterns;
+  const suiteMatch = new RegExp(suite.begin).exec("// op-disable-next-line lint|opsyn *");
+  assert.equal(suiteMatch[2], "op-disable-next-line");
+  assert.equal(suite.beginCaptures["2"].name, "keyword.other.directive.openplanet.angelscript");
+  expectNotMatches(suite.begin, "// op-disabled for now", "suite directive");
+  expectNotMatches(suite.begin, "// oplint-disable *", "suite directive");
+  assert.equal(new RegExp(tool.begin).exec("//oplint-disable-start no-unused")[2], "oplint-disable-start");
+  expectMatches(tool.begin, "// opfmt-enable", "tool directive");
+  expectNotMatches(tool.begin, "// opfoo-disable", "tool directive");
+
+  const [targetList, rules] = suite.patterns;
+  assert.deepEqual(rules, { include: "#toolingDirectiveRules" });
+  expectMatches(targetList.begin.replace("\\G", "^"), " lint|form", "directive target list");
+  const [separator, knownTarget, unknownTarget] = targetList.patterns;
+  expectMatches(separator.match, "|", "target separator");
+  assert.deepEqual(
+    /\((\w+(?:\|\w+)+)\)/.exec(knownTarget.match)[1].split("|").sort(),
+    [...Object.keys(directiveTargets), ...Object.keys(directiveTargetAliases)].sort(),
+    "Directive target grammar drifted from directiveTargets.",
+  );
+  expectNotMatches(knownTarget.match, "linter", "directive target");
+  assert.equal(unknownTarget.name, "invalid.illegal.directive-target.angelscript");
+
+  const [wildcard, ruleId] = grammar.repository.toolingDirectiveRules.patterns;
+  expectMatches(wildcard.match, " *", "directive wildcard");
+  assert.equal(new RegExp(ruleId.match).exec(" no-unused-vars,")[0], "no-unused-vars");
+}
+
+function checkInfoTomlGrammar() {
+  const grammarPath = path.join(repoRoot, "syntaxes", "openplanet-info-toml.tmLanguage.json");
+  const grammar = JSON.parse(fs.readFileSync(grammarPath, "utf8"));
+
+  const [knownTable] = grammar.repository.tables.patterns;
+  assert.deepEqual(
+    /\((\w+(?:\|\w+)*)\)/.exec(knownTable.match)[1].split("|").sort(),
+    Object.keys(infoTomlSchema).sort(),
+    "info.toml grammar tables drifted from infoTomlSchema.",
+  );
+
+  const [keyValue] = grammar.repository.keyValues.patterns;
+  const schemaKeys = new Set(Object.values(infoTomlSchema).flatMap((table) => Object.keys(table.keys)));
+  assert.deepEqual(
+    /\(\?:\(([\w|]+)\)/.exec(keyValue.begin)[1].split("|").sort(),
+    [...schemaKeys].sort(),
+    "info.toml grammar keys drifted from infoTomlSchema.",
+  );
+  const keyMatch = new RegExp(keyValue.begin).exec('  exports = ["Export.as"]');
+  assert.equal(keyMatch[1], "exports", "Known info.toml keys should get the schema key scope.");
+  assert.equal(new RegExp(keyValue.begin).exec("custom.key = 1")[2], "custom.key");
+}
+
 function main() {
   const grammarPath = path.join(repoRoot, "syntaxes", "openplanet-angelscript.tmLanguage.json");
   const languageConfigPath = path.join(repoRoot, "language-configuration.json");
@@ -132,6 +702,21 @@ function main() {
   assert.ok(gameJsonFileRx.test("OpenplanetNext.json"), "Generator game regex should match game json.");
   assert.ok(!gameJsonFileRx.test("OpenplanetCore.json"), "Generator game regex should exclude core json.");
 
+  const generated = runGeneratorOnFixture(grammarPath);
+  checkGeneratedEnumMembers(generated);
+  checkShippedEnumMembers(grammar);
+  checkGeneratedDependencyNamespaces(generated);
+  checkGenerateFromBundledSnapshot(grammarPath);
+  checkGeneratorLibrary(grammarPath);
+  checkInfoTomlGrammar();
+  checkMarkdownCodeBlockInjection(packageJson);
+  checkDocCommentCodeRegions(grammar);
+  checkDocCommentTags(grammar);
+  checkStringFormatting(grammar);
+  checkEmbeddedStringInjection(packageJson);
+  checkSettingAttributeKeys(grammar);
+  checkToolingDirectives(grammar);
+
   console.log("Grammar regression checks passed.");
 }
 
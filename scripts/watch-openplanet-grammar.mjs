@@ -1,118 +1,56 @@
-import { spawn } from "node:child_process";
-import fs from "node:fs";
-import os from "node:os";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
-import {
-  collectInstallDirsFromEnv,
-  defaultInstallDirNames,
-  normalizeBool,
-  parseArgs,
-  resolveUniquePaths,
-  valueToList,
-  watchedMetadataFileRx,
-} from "./openplanet-grammar-config.mjs";
+import { normalizeBool, parseArgs } from "./openplanet-grammar-config.mjs";
+import { formatGenerationLog, generateGrammar } from "./openplanet-grammar-generator.mjs";
+import { formatProbedInstallDirs, probeSourceInstallDirs } from "./openplanet-metadata.mjs";
+import { createRegenerationScheduler, watchInstallDirs } from "./openplanet-metadata-watch.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-function resolveInstallDirs(args) {
-  const explicit = resolveUniquePaths([
-    ...valueToList(args["openplanet-dirs"]),
-    ...valueToList(args["openplanet-dir"]),
-  ]);
-  const env = collectInstallDirsFromEnv();
-  const base = explicit.length > 0 ? explicit : env;
-  const dirs =
-    base.length > 0
-      ? base
-      : defaultInstallDirNames.map((name) => path.join(os.homedir(), name));
-
-  const existing = [];
-  const seen = new Set();
-  for (const dir of dirs) {
-    const resolved = path.resolve(dir);
-    const key = process.platform === "win32" ? resolved.toLowerCase() : resolved;
-    if (seen.has(key)) continue;
-    seen.add(key);
-    try {
-      if (fs.statSync(resolved).isDirectory()) existing.push(resolved);
-    } catch { }
-  }
-  return existing;
-}
-
-function buildGeneratorArgs({ includeHeaders, installDirs }) {
-  const args = [path.join(__dirname, "generate-openplanet-grammar.mjs")];
-  if (installDirs.length > 0) {
-    args.push("--openplanet-dirs", installDirs.join(";"));
-  }
-  if (includeHeaders) {
-    args.push("--include-headers", "true");
-  }
-  return args;
+function buildSourceArgs({ includeHeaders, installDirs }) {
+  const sourceArgs = { "openplanet-dirs": installDirs.join(";") };
+  if (includeHeaders) sourceArgs["include-headers"] = "true";
+  return sourceArgs;
 }
 
 function main() {
   const args = parseArgs(process.argv.slice(2));
   const includeHeaders = normalizeBool(args["include-headers"]);
-  const installDirs = resolveInstallDirs(args);
+  const { installDirs, probed } = probeSourceInstallDirs(args);
   if (installDirs.length === 0) {
     console.error("No Openplanet install directories found to watch.");
+    for (const line of formatProbedInstallDirs(probed)) console.error(line);
     process.exit(1);
   }
 
-  const generatorArgs = buildGeneratorArgs({ includeHeaders, installDirs });
-  let pending = false;
-  let timer = null;
-  let running = false;
+  const sourceArgs = buildSourceArgs({ includeHeaders, installDirs });
+  const reportDir = path.resolve(__dirname, "..", ".openplanet-reports");
 
   function runGenerator(reason) {
-    if (running) {
-      pending = true;
-      return;
-    }
-    running = true;
     console.log(`[watch] regenerating (${reason})`);
-
-    const child = spawn(process.execPath, generatorArgs, {
-      stdio: "inherit",
-      cwd: path.resolve(__dirname, ".."),
-    });
-    child.on("exit", (code) => {
-      running = false;
-      if (code !== 0) {
-        console.error(`[watch] generator failed with exit code ${code}`);
-      }
-      if (pending) {
-        pending = false;
-        runGenerator("queued change");
-      }
-    });
-  }
-
-  function schedule(reason) {
-    if (timer) clearTimeout(timer);
-    timer = setTimeout(() => runGenerator(reason), 1200);
+    try {
+      const result = generateGrammar({ sourceArgs, reportDir });
+      for (const line of formatGenerationLog(result)) console.log(line);
+      for (const warning of result.warnings) console.warn(`[watch] warning: ${warning}`);
+    } catch (err) {
+      console.error(`[watch] generator failed: ${err.message}`);
+    }
   }
 
-  const watchers = installDirs.map((dir) =>
-    fs.watch(dir, { persistent: true }, (_eventType, filename) => {
-      if (!filename) return;
-      if (!watchedMetadataFileRx.test(filename)) return;
-      schedule(`${path.basename(dir)}/${filename}`);
-    }),
-  );
+  const scheduler = createRegenerationScheduler(runGenerator);
+  const watcher = watchInstallDirs(installDirs, (file) => scheduler.schedule(file));
 
   console.log("[watch] directories:");
   for (const dir of installDirs) console.log(`  - ${dir}`);
   console.log(`[watch] include headers: ${includeHeaders ? "yes" : "no"}`);
 
-  runGenerator("startup");
+  scheduler.runNow("startup");
 
   process.on("SIGINT", () => {
-    for (const watcher of watchers) watcher.close();
+    watcher.close();
+    scheduler.dispose();
     process.exit(0);
   });
 }
@@ -0,0 +1,40 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+async function registerColorProvider(context) {
+  const { findColorLiterals, formatColorLiteral } = await importScriptModule(
+    "openplanet-colors.mjs",
+  );
+
+  const provider = {
+    provideDocumentColors(document) {
+      return findColorLiterals(document.getText()).map(
+        ({ start, end, color }) =>
+          new vscode.ColorInformation(
+            new vscode.Range(document.positionAt(start), document.positionAt(end)),
+            new vscode.Color(color.red, color.green, color.blue, color.alpha),
+          ),
+      );
+    },
+    provideColorPresentations(color, { document, range }) {
+      const start = document.offsetAt(range.start);
+      const literal = findColorLiterals(document.getText()).find((item) => item.start === start);
+      if (!literal) return [];
+      const label = formatColorLiteral(literal.kind, color);
+      const presentation = new vscode.ColorPresentation(label);
+      presentation.textEdit = new vscode.TextEdit(range, label);
+      return [presentation];
+    },
+  };
+
+  context.subscriptions.push(vscode.languages.registerColorProvider({ language: LANGUAGE_ID }, provider));
+}
+
+module.exports = {
+  registerColorProvider,
+};
@@ -0,0 +1,56 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+const completionKinds = {
+  namespace: vscode.CompletionItemKind.Module,
+  function: vscode.CompletionItemKind.Function,
+  method: vscode.CompletionItemKind.Method,
+  property: vscode.CompletionItemKind.Property,
+  field: vscode.CompletionItemKind.Field,
+  enum: vscode.CompletionItemKind.Enum,
+  enumMember: vscode.CompletionItemKind.EnumMember,
+  class: vscode.CompletionItemKind.Class,
+  gameClass: vscode.CompletionItemKind.Class,
+  gameField: vscode.CompletionItemKind.Field,
+  gameMethod: vscode.CompletionItemKind.Method,
+  funcdef: vscode.CompletionItemKind.Interface,
+};
+
+async function registerCompletionProvider(context, symbolStore) {
+  const { getApiCompletions } = await importScriptModule("openplanet-completion.mjs");
+  const { renderApiHoverMarkdown } = await importScriptModule("openplanet-api-index.mjs");
+
+  function toCompletionItem(group) {
+    const item = new vscode.CompletionItem(group.name, completionKinds[group.kind]);
+    const [first] = group.entries;
+    const overloads = group.entries.length - 1;
+    item.detail = overloads > 0 ? `${first.signature} (+${overloads} overload(s))` : first.signature;
+    item.documentation = new vscode.MarkdownString(renderApiHoverMarkdown(group.entries));
+    return item;
+  }
+
+  const provider = {
+    provideCompletionItems(document, position) {
+      const result = getApiCompletions(
+        symbolStore.apiIndex,
+        document.getText(),
+        document.offsetAt(position),
+      );
+      if (!result) return undefined;
+      return result.groups.map(toCompletionItem);
+    },
+  };
+
+  context.subscriptions.push(
+    vscode.languages.registerCompletionItemProvider({ language: LANGUAGE_ID }, provider, ":", "."),
+  );
+}
+
+module.exports = {
+  registerCompletionProvider,
+};
@@ -0,0 +1,60 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+// Validates `// op-*` tooling directives (unknown targets, unbalanced
+// disable/enable pairs, directives that suppress nothing) and completes the
+// target list of suite-level `// op-<action>` directives.
+async function registerDirectiveProviders(context) {
+  const directives = await importScriptModule("openplanet-directives.mjs");
+  const diagnostics = vscode.languages.createDiagnosticCollection("openplanet-directives");
+
+  function validate(document) {
+    if (document.languageId !== LANGUAGE_ID) return;
+    diagnostics.set(
+      document.uri,
+      directives.checkDirectives(document.getText()).map((result) => {
+        const range = new vscode.Range(
+          document.positionAt(result.start),
+          document.positionAt(result.end),
+        );
+        const diagnostic = new vscode.Diagnostic(range, result.message, vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = "openplanet";
+        diagnostic.code = result.code;
+        return diagnostic;
+      }),
+    );
+  }
+
+  const completionProvider = {
+    provideCompletionItems(document, position) {
+      const offset = document.offsetAt(position);
+      const result = directives.getDirectiveTargetCompletions(document.getText(), offset);
+      if (!result) return undefined;
+      return result.items.map((item) => {
+        const completion = new vscode.CompletionItem(item.name, vscode.CompletionItemKind.EnumMember);
+        completion.detail = "directive target";
+        completion.documentation = new vscode.MarkdownString(item.description);
+        return completion;
+      });
+    },
+  };
+
+  const selector = { language: LANGUAGE_ID };
+  context.subscriptions.push(
+    diagnostics,
+    vscode.languages.registerCompletionItemProvider(selector, completionProvider, " ", "|"),
+    vscode.workspace.onDidOpenTextDocument(validate),
+    vscode.workspace.onDidChangeTextDocument((event) => validate(event.document)),
+    vscode.workspace.onDidCloseTextDocument((document) => diagnostics.delete(document.uri)),
+  );
+  for (const document of vscode.workspace.textDocuments) validate(document);
+}
+
+module.exports = {
+  registerDirectiveProviders,
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { createDocumentDebouncer } = require("./document-debounce");
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+const SCRIPT_GLOB = "**/*.as";
+
+// Indexes the doc comments (`///` and `/** */`) above functions and types in
+// workspace scripts and in dependency plugin exports, and shows them when the
+// documented name is hovered anywhere in the workspace.
+async function registerDocCommentHovers(context, symbolStore) {
+  const docs = await importScriptModule("openplanet-doc-comments.mjs");
+  const index = docs.createDocIndex();
+  const watcher = vscode.workspace.createFileSystemWatcher(SCRIPT_GLOB);
+  const reindex = createDocumentDebouncer();
+  // Document versions already indexed, so hovers only re-tokenize edited files.
+  const indexedVersions = new Map();
+  let dependencySources = [];
+
+  const sourceFor = (uri) => vscode.workspace.asRelativePath(uri);
+
+  async function indexSavedFile(uri) {
+    try {
+      const bytes = await vscode.workspace.fs.readFile(uri);
+      docs.setDocSource(index, sourceFor(uri), Buffer.from(bytes).toString("utf8"));
+    } catch {
+      docs.removeDocSource(index, sourceFor(uri));
+    }
+  }
+
+  async function indexFile(uri) {
+    const key = uri.toString();
+    const open = vscode.workspace.textDocuments.find((document) => document.uri.toString() === key);
+    if (open) docs.setDocSource(index, sourceFor(uri), open.getText());
+    else await indexSavedFile(uri);
+  }
+
+  function indexDocument(document) {
+    if (document.languageId !== LANGUAGE_ID || document.uri.scheme !== "file") return;
+    const key = document.uri.toString();
+    if (indexedVersions.get(key) === document.version) return;
+    reindex.cancel(document);
+    indexedVersions.set(key, document.version);
+    docs.setDocSource(index, sourceFor(document.uri), document.getText());
+  }
+
+  function rescanDependencies() {
+    for (const source of dependencySources) docs.removeDocSource(index, source);
+    const folders = (vscode.workspace.workspaceFolders || []).map((folder) => folder.uri.fsPath);
+    // Plugin folders inside the workspace are already indexed file by file.
+    const skip = (pluginPath) =>
+      !pluginPath.toLowerCase().endsWith(".op") &&
+      Boolean(vscode.workspace.getWorkspaceFolder(vscode.Uri.file(pluginPath)));
+    dependencySources = docs.indexDependencyDocs(index, [...symbolStore.pluginDirs, ...folders], { skip });
+  }
+
+  async function rescanWorkspace() {
+    const uris = await vscode.workspace.findFiles(SCRIPT_GLOB, "**/node_modules/**");
+    await Promise.all(uris.map(indexFile));
+    rescanDependencies();
+  }
+
+  const provider = {
+    provideHover(document, position) {
+      indexDocument(document);
+      const resolved = docs.resolveDocEntriesAt(index, document.getText(), document.offsetAt(position));
+      if (!resolved) return null;
+
+      return new vscode.Hover(
+        new vscode.MarkdownString(docs.renderDocHoverMarkdown(resolved.entries)),
+        new vscode.Range(document.positionAt(resolved.start), document.positionAt(resolved.end)),
+      );
+    },
+  };
+
+  context.subscriptions.push(
+    watcher,
+    watcher.onDidCreate(indexFile),
+    watcher.onDidChange(indexFile),
+    watcher.onDidDelete((uri) => docs.removeDocSource(index, sourceFor(uri))),
+    reindex,
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      if (event.document.languageId === LANGUAGE_ID) reindex.schedule(event.document, indexDocument);
+    }),
+    // Drop unsaved edits from the index once their editor closes.
+    vscode.workspace.onDidCloseTextDocument((document) => {
+      reindex.cancel(document);
+      indexedVersions.delete(document.uri.toString());
+      if (document.languageId === LANGUAGE_ID && document.uri.scheme === "file") {
+        indexSavedFile(document.uri);
+      }
+    }),
+    vscode.workspace.onDidChangeWorkspaceFolders(rescanWorkspace),
+    symbolStore.onDidChange(rescanDependencies),
+    vscode.languages.registerHoverProvider({ language: LANGUAGE_ID }, provider),
+  );
+  await rescanWorkspace();
+}
+
+module.exports = {
+  registerDocCommentHovers,
+};
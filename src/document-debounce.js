@@ -0,0 +1,40 @@
+"use strict";
+
+const DEFAULT_DELAY_MS = 250;
+
+// Runs per-document work once edits pause: each `schedule(document, run)`
+// replaces the call pending for the same document.
+function createDocumentDebouncer(delayMs = DEFAULT_DELAY_MS) {
+  const timers = new Map();
+
+  function cancel(document) {
+    const key = document.uri.toString();
+    clearTimeout(timers.get(key));
+    timers.delete(key);
+  }
+
+  function schedule(document, run) {
+    cancel(document);
+    const key = document.uri.toString();
+    timers.set(
+      key,
+      setTimeout(() => {
+        timers.delete(key);
+        run(document);
+      }, delayMs),
+    );
+  }
+
+  return {
+    schedule,
+    cancel,
+    dispose() {
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+    },
+  };
+}
+
+module.exports = {
+  createDocumentDebouncer,
+};
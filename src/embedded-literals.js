@@ -0,0 +1,43 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+// Warns about `Regex::` pattern and `Json::Parse` string literals that do not
+// parse, the same literals the embedded-strings grammar highlights.
+async function registerEmbeddedLiteralDiagnostics(context) {
+  const { checkEmbeddedLiterals } = await importScriptModule("openplanet-embedded-literals.mjs");
+  const diagnostics = vscode.languages.createDiagnosticCollection("openplanet-literals");
+
+  function validate(document) {
+    if (document.languageId !== LANGUAGE_ID) return;
+    diagnostics.set(
+      document.uri,
+      checkEmbeddedLiterals(document.getText()).map((result) => {
+        const range = new vscode.Range(
+          document.positionAt(result.start),
+          document.positionAt(result.end),
+        );
+        const diagnostic = new vscode.Diagnostic(range, result.message, vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = "openplanet";
+        diagnostic.code = result.code;
+        return diagnostic;
+      }),
+    );
+  }
+
+  context.subscriptions.push(
+    diagnostics,
+    vscode.workspace.onDidOpenTextDocument(validate),
+    vscode.workspace.onDidChangeTextDocument((event) => validate(event.document)),
+    vscode.workspace.onDidCloseTextDocument((document) => diagnostics.delete(document.uri)),
+  );
+  for (const document of vscode.workspace.textDocuments) validate(document);
+}
+
+module.exports = {
+  registerEmbeddedLiteralDiagnostics,
+};
@@ -0,0 +1,57 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+const { ACTIVE_DEFINES_SETTING, getActiveDefines } = require("./target-profile");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+const CONFIG_SECTION = "openplanetAngelscript";
+
+// Warns about types and functions that do not exist in a game the code is
+// compiled for, judged by game `#if` guards or, for unguarded code, by the
+// games of the active target profile.
+async function registerCrossGameDiagnostics(context, symbolStore) {
+  const { checkCrossGameUsage } = await importScriptModule("openplanet-game-provenance.mjs");
+  const diagnostics = vscode.languages.createDiagnosticCollection("openplanet-games");
+
+  function validate(document) {
+    if (document.languageId !== LANGUAGE_ID) return;
+    const results = checkCrossGameUsage(document.getText(), symbolStore.provenance, {
+      targetGames: getActiveDefines(),
+    });
+    diagnostics.set(
+      document.uri,
+      results.map((result) => {
+        const range = new vscode.Range(
+          document.positionAt(result.start),
+          document.positionAt(result.end),
+        );
+        const diagnostic = new vscode.Diagnostic(range, result.message, vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = "openplanet";
+        diagnostic.code = result.code;
+        return diagnostic;
+      }),
+    );
+  }
+
+  function validateOpenDocuments() {
+    for (const document of vscode.workspace.textDocuments) validate(document);
+  }
+
+  context.subscriptions.push(
+    diagnostics,
+    vscode.workspace.onDidOpenTextDocument(validate),
+    vscode.workspace.onDidChangeTextDocument((event) => validate(event.document)),
+    vscode.workspace.onDidCloseTextDocument((document) => diagnostics.delete(document.uri)),
+    symbolStore.onDidChange(validateOpenDocuments),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (event.affectsConfiguration(`${CONFIG_SECTION}.${ACTIVE_DEFINES_SETTING}`)) validateOpenDocuments();
+    }),
+  );
+  validateOpenDocuments();
+}
+
+module.exports = {
+  registerCrossGameDiagnostics,
+};
@@ -0,0 +1,37 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+async function registerHoverProvider(context, symbolStore) {
+  const { renderApiHoverMarkdown, resolveApiEntriesAt } = await importScriptModule(
+    "openplanet-api-index.mjs",
+  );
+  const { resolveMemberEntriesAt } = await importScriptModule("openplanet-type-inference.mjs");
+
+  const provider = {
+    provideHover(document, position) {
+      if (!symbolStore.apiIndex) return null;
+      const text = document.getText();
+      const offset = document.offsetAt(position);
+      const resolved =
+        resolveApiEntriesAt(symbolStore.apiIndex, text, offset) ||
+        resolveMemberEntriesAt(symbolStore.apiIndex, text, offset);
+      if (!resolved) return null;
+
+      return new vscode.Hover(
+        new vscode.MarkdownString(renderApiHoverMarkdown(resolved.entries)),
+        new vscode.Range(document.positionAt(resolved.start), document.positionAt(resolved.end)),
+      );
+    },
+  };
+
+  context.subscriptions.push(vscode.languages.registerHoverProvider({ language: LANGUAGE_ID }, provider));
+}
+
+module.exports = {
+  registerHoverProvider,
+};
@@ -0,0 +1,109 @@
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-info-toml";
+
+const severities = {
+  error: vscode.DiagnosticSeverity.Error,
+  warning: vscode.DiagnosticSeverity.Warning,
+};
+
+const valueSnippets = {
+  string: '"$1"',
+  integer: "$1",
+  boolean: "${1|true,false|}",
+  "string[]": "[$1]",
+};
+
+// `imports` name shared scripts shipped with Openplanet, so they resolve against
+// the plugin folder and each install's `Scripts` folder. Without any `Scripts`
+// folder on disk the entry cannot be verified and is left alone.
+function createFileExistsCheck(document, symbolStore) {
+  if (document.uri.scheme !== "file") return () => null;
+  const pluginDir = path.dirname(document.uri.fsPath);
+
+  return (kind, relativePath) => {
+    if (fs.existsSync(path.resolve(pluginDir, relativePath))) return true;
+    if (kind !== "import") return false;
+
+    const scriptDirs = symbolStore.installDirs
+      .map((installDir) => path.join(installDir, "Scripts"))
+      .filter((scriptDir) => fs.existsSync(scriptDir));
+    if (scriptDirs.length === 0) return null;
+    return scriptDirs.some((scriptDir) => fs.existsSync(path.resolve(scriptDir, relativePath)));
+  };
+}
+
+async function registerInfoTomlProviders(context, symbolStore) {
+  const { getInfoTomlCompletions, validateInfoToml } = await importScriptModule(
+    "openplanet-info-toml.mjs",
+  );
+  const diagnostics = vscode.languages.createDiagnosticCollection(LANGUAGE_ID);
+
+  function validate(document) {
+    if (document.languageId !== LANGUAGE_ID) return;
+    const results = validateInfoToml(document.getText(), {
+      fileExists: createFileExistsCheck(document, symbolStore),
+    });
+    diagnostics.set(
+      document.uri,
+      results.map((result) => {
+        const range = new vscode.Range(
+          document.positionAt(result.start),
+          document.positionAt(result.end),
+        );
+        const diagnostic = new vscode.Diagnostic(range, result.message, severities[result.severity]);
+        diagnostic.source = "info.toml";
+        diagnostic.code = result.code;
+        return diagnostic;
+      }),
+    );
+  }
+
+  function validateOpenDocuments() {
+    for (const document of vscode.workspace.textDocuments) validate(document);
+  }
+
+  function toCompletionItem(result, item) {
+    if (result.context === "table") {
+      const completion = new vscode.CompletionItem(item.name, vscode.CompletionItemKind.Module);
+      completion.documentation = item.description;
+      return completion;
+    }
+    const completion = new vscode.CompletionItem(item.name, vscode.CompletionItemKind.Property);
+    completion.detail = item.required ? `${item.type} (required)` : item.type;
+    completion.documentation = new vscode.MarkdownString(item.description);
+    completion.insertText = new vscode.SnippetString(`${item.name} = ${valueSnippets[item.type] || "$1"}`);
+    return completion;
+  }
+
+  const completionProvider = {
+    provideCompletionItems(document, position) {
+      const result = getInfoTomlCompletions(document.getText(), document.offsetAt(position));
+      if (!result) return undefined;
+      return result.items.map((item) => toCompletionItem(result, item));
+    },
+  };
+
+  context.subscriptions.push(
+    diagnostics,
+    vscode.languages.registerCompletionItemProvider({ language: LANGUAGE_ID }, completionProvider, "["),
+    vscode.workspace.onDidOpenTextDocument(validate),
+    vscode.workspace.onDidChangeTextDocument((event) => validate(event.document)),
+    vscode.workspace.onDidCloseTextDocument((document) => diagnostics.delete(document.uri)),
+    vscode.workspace.onDidCreateFiles(validateOpenDocuments),
+    vscode.workspace.onDidDeleteFiles(validateOpenDocuments),
+    vscode.workspace.onDidRenameFiles(validateOpenDocuments),
+    symbolStore.onDidChange(validateOpenDocuments),
+  );
+  validateOpenDocuments();
+}
+
+module.exports = {
+  registerInfoTomlProviders,
+};
@@ -0,0 +1,48 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+async function registerPreprocessorDefineDiagnostics(context, workspaceDefines) {
+  const { checkDefineReferences } = await importScriptModule("openplanet-defines.mjs");
+  const diagnostics = vscode.languages.createDiagnosticCollection("openplanet-defines");
+
+  function validate(document) {
+    if (document.languageId !== LANGUAGE_ID) return;
+    const { declared, infoTomlLabel } = workspaceDefines.definesFor(document.uri);
+    const results = checkDefineReferences(document.getText(), declared, infoTomlLabel);
+    diagnostics.set(
+      document.uri,
+      results.map((result) => {
+        const range = new vscode.Range(
+          document.positionAt(result.start),
+          document.positionAt(result.end),
+        );
+        const diagnostic = new vscode.Diagnostic(range, result.message, vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = "openplanet";
+        diagnostic.code = result.code;
+        return diagnostic;
+      }),
+    );
+  }
+
+  function validateOpenDocuments() {
+    for (const document of vscode.workspace.textDocuments) validate(document);
+  }
+
+  context.subscriptions.push(
+    diagnostics,
+    vscode.workspace.onDidOpenTextDocument(validate),
+    vscode.workspace.onDidChangeTextDocument((event) => validate(event.document)),
+    vscode.workspace.onDidCloseTextDocument((document) => diagnostics.delete(document.uri)),
+    workspaceDefines.onDidChange(validateOpenDocuments),
+  );
+  validateOpenDocuments();
+}
+
+module.exports = {
+  registerPreprocessorDefineDiagnostics,
+};
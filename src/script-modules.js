@@ -0,0 +1,20 @@
+"use strict";
+
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+
+const scriptsDir = path.join(__dirname, "..", "scripts");
+const moduleCache = new Map();
+
+// The metadata helpers are shared with the CLI scripts as ES modules, so the
+// CommonJS extension host loads them through dynamic import.
+function importScriptModule(fileName) {
+  if (!moduleCache.has(fileName)) {
+    moduleCache.set(fileName, import(pathToFileURL(path.join(scriptsDir, fileName)).href));
+  }
+  return moduleCache.get(fileName);
+}
+
+module.exports = {
+  importScriptModule,
+};
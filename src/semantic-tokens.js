@@ -0,0 +1,54 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+async function registerSemanticTokensProvider(context, symbolStore, workspaceDefines) {
+  const { buildSemanticTokensLegend, computeSemanticTokens } = await importScriptModule(
+    "openplanet-semantic-tokens.mjs",
+  );
+  const { computeDefineSemanticTokens } = await importScriptModule("openplanet-defines.mjs");
+  const { semanticTokenScopes } = context.extension.packageJSON.contributes;
+  const { tokenTypes, tokenModifiers } = buildSemanticTokensLegend(semanticTokenScopes, LANGUAGE_ID);
+  const legend = new vscode.SemanticTokensLegend(tokenTypes, tokenModifiers);
+  const changeEmitter = new vscode.EventEmitter();
+
+  const provider = {
+    onDidChangeSemanticTokens: changeEmitter.event,
+    provideDocumentSemanticTokens(document) {
+      const builder = new vscode.SemanticTokensBuilder(legend);
+      const text = document.getText();
+      const { declared } = workspaceDefines.definesFor(document.uri);
+      const tokens = [
+        ...computeSemanticTokens(text, symbolStore.symbols, symbolStore.apiIndex),
+        ...computeDefineSemanticTokens(text, declared),
+      ].sort((a, b) => a.line - b.line || a.character - b.character);
+      for (const token of tokens) {
+        builder.push(
+          new vscode.Range(token.line, token.character, token.line, token.character + token.length),
+          token.tokenType,
+          token.tokenModifiers,
+        );
+      }
+      return builder.build();
+    },
+  };
+
+  context.subscriptions.push(
+    changeEmitter,
+    symbolStore.onDidChange(() => changeEmitter.fire()),
+    workspaceDefines.onDidChange(() => changeEmitter.fire()),
+    vscode.languages.registerDocumentSemanticTokensProvider(
+      { language: LANGUAGE_ID },
+      provider,
+      legend,
+    ),
+  );
+}
+
+module.exports = {
+  registerSemanticTokensProvider,
+};
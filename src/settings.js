@@ -0,0 +1,145 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+const SCRIPT_GLOB = "**/*.as";
+
+const valueSnippets = {
+  string: '="$1"',
+  number: "=$1",
+  flag: "",
+};
+
+// Checks `[Setting]`/`[SettingsTab]` attributes against the declarations they
+// annotate and offers key completion and hover docs. `if`/`enableif` may name
+// a bool setting from any script of the same plugin, so the declared settings
+// of every workspace script are kept in an index.
+async function registerSettingProviders(context, workspaceDefines) {
+  const settings = await importScriptModule("openplanet-settings.mjs");
+  const diagnostics = vscode.languages.createDiagnosticCollection("openplanet-settings");
+  const watcher = vscode.workspace.createFileSystemWatcher(SCRIPT_GLOB);
+  const declaredByFile = new Map();
+
+  async function indexFile(uri) {
+    try {
+      const bytes = await vscode.workspace.fs.readFile(uri);
+      const text = Buffer.from(bytes).toString("utf8");
+      declaredByFile.set(uri.fsPath, settings.collectSettingDeclarations(text));
+    } catch {
+      declaredByFile.delete(uri.fsPath);
+    }
+  }
+
+  // Settings declared by the plugin's other scripts; scripts outside any
+  // plugin folder only see their own settings.
+  function pluginSettings(document) {
+    const plugin = workspaceDefines.pluginFor(document.uri);
+    if (!plugin) return [];
+    const open = new Map(
+      vscode.workspace.textDocuments
+        .filter((item) => item.languageId === LANGUAGE_ID && item.uri.scheme === "file")
+        .map((item) => [item.uri.fsPath, item]),
+    );
+    const result = [];
+    for (const [filePath, declared] of declaredByFile) {
+      if (filePath === document.uri.fsPath) continue;
+      if (workspaceDefines.pluginFor(vscode.Uri.file(filePath)) !== plugin) continue;
+      const openDocument = open.get(filePath);
+      if (openDocument) result.push(...settings.collectSettingDeclarations(openDocument.getText()));
+      else result.push(...declared);
+    }
+    return result;
+  }
+
+  function validate(document) {
+    if (document.languageId !== LANGUAGE_ID) return;
+    const results = settings.checkSettingAttributes(document.getText(), {
+      settings: pluginSettings(document),
+    });
+    diagnostics.set(
+      document.uri,
+      results.map((result) => {
+        const range = new vscode.Range(
+          document.positionAt(result.start),
+          document.positionAt(result.end),
+        );
+        const diagnostic = new vscode.Diagnostic(range, result.message, vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = "openplanet";
+        diagnostic.code = result.code;
+        return diagnostic;
+      }),
+    );
+  }
+
+  function validateOpenDocuments() {
+    for (const document of vscode.workspace.textDocuments) validate(document);
+  }
+
+  async function reindex(uri) {
+    await indexFile(uri);
+    validateOpenDocuments();
+  }
+
+  async function rescan() {
+    const uris = await vscode.workspace.findFiles(SCRIPT_GLOB, "**/node_modules/**");
+    declaredByFile.clear();
+    await Promise.all(uris.map(indexFile));
+    validateOpenDocuments();
+  }
+
+  const completionProvider = {
+    provideCompletionItems(document, position) {
+      const offset = document.offsetAt(position);
+      const result = settings.getSettingKeyCompletions(document.getText(), offset);
+      if (!result) return undefined;
+      return result.items.map((item) => {
+        const completion = new vscode.CompletionItem(item.name, vscode.CompletionItemKind.Property);
+        completion.detail = `[${result.kind}] ${item.type}`;
+        completion.documentation = new vscode.MarkdownString(
+          settings.renderSettingKeyMarkdown(result.kind, item.name, item),
+        );
+        completion.insertText = new vscode.SnippetString(`${item.name}${valueSnippets[item.type]}`);
+        return completion;
+      });
+    },
+  };
+
+  const hoverProvider = {
+    provideHover(document, position) {
+      const found = settings.findSettingKeyAt(document.getText(), document.offsetAt(position));
+      if (!found) return null;
+      const markdown = settings.renderSettingKeyMarkdown(found.kind, found.key, found.schema);
+      return new vscode.Hover(
+        new vscode.MarkdownString(markdown),
+        new vscode.Range(document.positionAt(found.start), document.positionAt(found.end)),
+      );
+    },
+  };
+
+  const selector = { language: LANGUAGE_ID };
+  context.subscriptions.push(
+    diagnostics,
+    watcher,
+    watcher.onDidCreate(reindex),
+    watcher.onDidChange(reindex),
+    watcher.onDidDelete((uri) => {
+      declaredByFile.delete(uri.fsPath);
+      validateOpenDocuments();
+    }),
+    vscode.languages.registerCompletionItemProvider(selector, completionProvider, " ", ","),
+    vscode.languages.registerHoverProvider(selector, hoverProvider),
+    vscode.workspace.onDidOpenTextDocument(validate),
+    vscode.workspace.onDidChangeTextDocument((event) => validate(event.document)),
+    vscode.workspace.onDidCloseTextDocument((document) => diagnostics.delete(document.uri)),
+    vscode.workspace.onDidChangeWorkspaceFolders(rescan),
+    workspaceDefines.onDidChange(validateOpenDocuments),
+  );
+  await rescan();
+}
+
+module.exports = {
+  registerSettingProviders,
+};
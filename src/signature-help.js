@@ -0,0 +1,53 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+
+async function registerSignatureHelpProvider(context, symbolStore) {
+  const { getSignatureHelp } = await importScriptModule("openplanet-signature-help.mjs");
+
+  const provider = {
+    provideSignatureHelp(document, position, _token, helpContext) {
+      const result = getSignatureHelp(
+        symbolStore.apiIndex,
+        document.getText(),
+        document.offsetAt(position),
+      );
+      if (!result) return null;
+
+      const help = new vscode.SignatureHelp();
+      help.signatures = result.signatures.map((signature) => {
+        const info = new vscode.SignatureInformation(
+          signature.label,
+          signature.documentation ? new vscode.MarkdownString(signature.documentation) : undefined,
+        );
+        info.parameters = signature.parameters.map(
+          (parameter) => new vscode.ParameterInformation(parameter.label),
+        );
+        return info;
+      });
+      help.activeSignature = result.activeSignature;
+      // Keep the overload the user cycled to while they keep typing arguments.
+      const previous = helpContext?.activeSignatureHelp;
+      if (helpContext?.isRetrigger && previous?.signatures.length === help.signatures.length) {
+        help.activeSignature = previous.activeSignature;
+      }
+      help.activeParameter = result.activeParameter;
+      return help;
+    },
+  };
+
+  context.subscriptions.push(
+    vscode.languages.registerSignatureHelpProvider({ language: LANGUAGE_ID }, provider, {
+      triggerCharacters: ["(", ","],
+      retriggerCharacters: [","],
+    }),
+  );
+}
+
+module.exports = {
+  registerSignatureHelpProvider,
+};
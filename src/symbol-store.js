@@ -0,0 +1,86 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+function emptySymbols() {
+  return {
+    namespaces: new Set(),
+    types: new Set(),
+    globalFunctions: new Set(),
+  };
+}
+
+// Holds the symbol sets the generator bakes into the grammar, plus the API
+// index behind hovers, the per-install provenance of each symbol and the
+// resolved install and plugin folders, so editor features can pick up a refresh without
+// reloading the window. Reload failures and skipped metadata entries go to `log`.
+function createSymbolStore({ log = () => {} } = {}) {
+  const changeEmitter = new vscode.EventEmitter();
+  let symbols = emptySymbols();
+  let apiIndex = null;
+  let installDirs = [];
+  let pluginDirs = [];
+  let provenance = null;
+  let reloadGeneration = 0;
+
+  async function reload(sourceArgs, { reportWarnings = true } = {}) {
+    const metadata = await importScriptModule("openplanet-metadata.mjs");
+    const { buildApiIndex } = await importScriptModule("openplanet-api-index.mjs");
+    const snapshots = await importScriptModule("openplanet-snapshot.mjs");
+    const { formatMetadataWarnings } = await importScriptModule("openplanet-metadata-validation.mjs");
+    const generation = ++reloadGeneration;
+    try {
+      const sourcePaths = metadata.resolveSourcePaths(sourceArgs);
+      const loaded = await metadata.loadMetadataSourcesAsync(sourcePaths);
+      // A newer reload started while the files were read; let it win.
+      if (generation !== reloadGeneration) return false;
+      symbols = metadata.collectSymbolsFromSources(sourcePaths, loaded);
+      apiIndex = buildApiIndex(sourcePaths, loaded);
+      installDirs = sourcePaths.installDirs;
+      pluginDirs = sourcePaths.pluginDirs;
+      provenance = snapshots.buildMetadataSnapshot({
+        labeled: symbols.byInstall,
+        snapshots: sourcePaths.snapshotPaths.map(snapshots.readMetadataSnapshot),
+      });
+    } catch (err) {
+      const [summary, ...details] = (err instanceof Error ? err.message : String(err)).split(/\r?\n/);
+      log(`Symbol reload failed: ${summary}`);
+      for (const line of details) log(`  ${line}`);
+      return false;
+    }
+    if (reportWarnings) {
+      for (const line of formatMetadataWarnings(symbols.metadataWarnings)) log(`Warning: ${line}`);
+    }
+    changeEmitter.fire(symbols);
+    return true;
+  }
+
+  return {
+    get symbols() {
+      return symbols;
+    },
+    get apiIndex() {
+      return apiIndex;
+    },
+    get installDirs() {
+      return installDirs;
+    },
+    get pluginDirs() {
+      return pluginDirs;
+    },
+    get provenance() {
+      return provenance;
+    },
+    onDidChange: changeEmitter.event,
+    reload,
+    dispose() {
+      changeEmitter.dispose();
+    },
+  };
+}
+
+module.exports = {
+  createSymbolStore,
+};
@@ -0,0 +1,136 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { createDocumentDebouncer } = require("./document-debounce");
+const { importScriptModule } = require("./script-modules");
+
+const LANGUAGE_ID = "openplanet-angelscript";
+const CONFIG_SECTION = "openplanetAngelscript";
+const ACTIVE_DEFINES_SETTING = "activeDefines";
+const SELECT_COMMAND = "openplanetAngelscript.selectTargetProfile";
+
+function getActiveDefines() {
+  const defines = vscode.workspace.getConfiguration(CONFIG_SECTION).get(ACTIVE_DEFINES_SETTING, []);
+  return Array.isArray(defines) ? defines.filter((name) => typeof name === "string" && name) : [];
+}
+
+function sameDefines(left, right) {
+  return left.length === right.length && left.every((name) => right.includes(name));
+}
+
+// Writes to the workspace when one is open so each plugin can target its own game.
+function saveActiveDefines(defines) {
+  const target = vscode.workspace.workspaceFolders
+    ? vscode.ConfigurationTarget.Workspace
+    : vscode.ConfigurationTarget.Global;
+  return vscode.workspace
+    .getConfiguration(CONFIG_SECTION)
+    .update(ACTIVE_DEFINES_SETTING, defines, target);
+}
+
+// Lets the user pick which defines are set (`openplanetAngelscript.activeDefines`)
+// and greys out the `#if`/`#elif`/`#else` branches that profile compiles out.
+async function registerTargetProfile(context) {
+  const { targetProfilePresets } = await importScriptModule("openplanet-grammar-config.mjs");
+  const { findInactiveRegions } = await importScriptModule("openplanet-defines.mjs");
+  const inactiveDecoration = vscode.window.createTextEditorDecorationType({ opacity: "0.45" });
+  const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 49);
+  statusBarItem.command = SELECT_COMMAND;
+  const debouncer = createDocumentDebouncer();
+
+  function updateStatusBar() {
+    const defines = getActiveDefines();
+    const preset = targetProfilePresets.find((item) => sameDefines(item.defines, defines));
+    statusBarItem.text = `$(filter) ${
+      defines.length === 0 ? "No target" : preset ? preset.label : defines.join(" + ")
+    }`;
+    statusBarItem.tooltip =
+      defines.length === 0
+        ? "No Openplanet target profile: all preprocessor branches are shown as active"
+        : `Openplanet target profile: ${defines.join(", ")}`;
+  }
+
+  // The profile only matters for AngelScript editors.
+  function updateStatusBarVisibility(editor) {
+    if (editor?.document.languageId === LANGUAGE_ID) statusBarItem.show();
+    else statusBarItem.hide();
+  }
+
+  function decorate(editor) {
+    if (editor.document.languageId !== LANGUAGE_ID) return;
+    const defines = getActiveDefines();
+    const regions = defines.length > 0 ? findInactiveRegions(editor.document.getText(), defines) : [];
+    editor.setDecorations(
+      inactiveDecoration,
+      regions.map(
+        (region) =>
+          new vscode.Range(region.startLine, 0, region.endLine, Number.MAX_SAFE_INTEGER),
+      ),
+    );
+  }
+
+  function decorateVisibleEditors() {
+    for (const editor of vscode.window.visibleTextEditors) decorate(editor);
+  }
+
+  async function selectTargetProfile() {
+    const current = getActiveDefines();
+    const items = [
+      ...targetProfilePresets.map((preset) => ({
+        label: preset.label,
+        description: sameDefines(preset.defines, current) ? "current" : undefined,
+        defines: preset.defines,
+      })),
+      { label: "Custom...", description: "Enter a list of defines", custom: true },
+      { label: "No target", description: "Show every branch as active", defines: [] },
+    ];
+    const picked = await vscode.window.showQuickPick(items, {
+      placeHolder: "Select the Openplanet target profile used to dim inactive #if branches",
+    });
+    if (!picked) return;
+
+    let defines = picked.defines;
+    if (picked.custom) {
+      const input = await vscode.window.showInputBox({
+        prompt: "Active defines, separated by spaces, commas or +",
+        value: current.join(" + "),
+      });
+      if (input === undefined) return;
+      defines = input.split(/[\s,+]+/).filter(Boolean);
+    }
+    await saveActiveDefines(defines);
+  }
+
+  context.subscriptions.push(
+    inactiveDecoration,
+    statusBarItem,
+    vscode.commands.registerCommand(SELECT_COMMAND, selectTargetProfile),
+    debouncer,
+    vscode.window.onDidChangeVisibleTextEditors(decorateVisibleEditors),
+    vscode.window.onDidChangeActiveTextEditor(updateStatusBarVisibility),
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      if (event.document.languageId !== LANGUAGE_ID) return;
+      debouncer.schedule(event.document, (document) => {
+        for (const editor of vscode.window.visibleTextEditors) {
+          if (editor.document === document) decorate(editor);
+        }
+      });
+    }),
+    vscode.workspace.onDidCloseTextDocument((document) => debouncer.cancel(document)),
+    vscode.workspace.onDidChangeConfiguration((event) => {
+      if (!event.affectsConfiguration(`${CONFIG_SECTION}.${ACTIVE_DEFINES_SETTING}`)) return;
+      updateStatusBar();
+      decorateVisibleEditors();
+    }),
+  );
+  updateStatusBar();
+  updateStatusBarVisibility(vscode.window.activeTextEditor);
+  decorateVisibleEditors();
+}
+
+module.exports = {
+  ACTIVE_DEFINES_SETTING,
+  getActiveDefines,
+  registerTargetProfile,
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+const vscode = require("vscode");
+
+const { importScriptModule } = require("./script-modules");
+
+const INFO_TOML_GLOB = "**/info.toml";
+
+// Tracks the workspace's plugin manifests (`info.toml`) so defines declared in
+// `[script] defines` or implied by dependencies count as valid.
+async function createWorkspaceDefines({ log = () => {} } = {}) {
+  const defines = await importScriptModule("openplanet-defines.mjs");
+  const changeEmitter = new vscode.EventEmitter();
+  const watcher = vscode.workspace.createFileSystemWatcher(INFO_TOML_GLOB);
+  let plugins = [];
+  let rescanGeneration = 0;
+  let pendingRescan = Promise.resolve();
+
+  async function readManifest(uri) {
+    try {
+      const bytes = await vscode.workspace.fs.readFile(uri);
+      return defines.readPluginManifest(Buffer.from(bytes).toString("utf8"), uri.fsPath);
+    } catch {
+      return null;
+    }
+  }
+
+  async function scanManifests(generation) {
+    if (generation !== rescanGeneration) return;
+    const uris = await vscode.workspace.findFiles(INFO_TOML_GLOB, "**/node_modules/**");
+    const manifests = await Promise.all(uris.map(readManifest));
+    if (generation !== rescanGeneration) return;
+    plugins = manifests.filter(Boolean);
+    changeEmitter.fire();
+  }
+
+  // Rescans run one after another; a scan superseded by a newer request is
+  // skipped or discarded so it can never overwrite the newer result.
+  function rescan() {
+    const generation = ++rescanGeneration;
+    pendingRescan = pendingRescan
+      .then(() => scanManifests(generation))
+      .catch((err) => {
+        log(`info.toml rescan failed: ${err instanceof Error ? err.message : String(err)}`);
+      });
+    return pendingRescan;
+  }
+
+  function pluginFor(uri) {
+    return uri.scheme === "file" ? defines.findOwningPlugin(plugins, uri.fsPath) : null;
+  }
+
+  function definesFor(uri) {
+    const plugin = pluginFor(uri);
+    return {
+      declared: defines.collectPluginDefines(plugin, plugins),
+      infoTomlLabel: plugin ? vscode.workspace.asRelativePath(plugin.infoTomlPath) : null,
+    };
+  }
+
+  const disposables = [
+    changeEmitter,
+    watcher,
+    watcher.onDidCreate(rescan),
+    watcher.onDidChange(rescan),
+    watcher.onDidDelete(rescan),
+    vscode.workspace.onDidChangeWorkspaceFolders(rescan),
+  ];
+  await rescan();
+
+  return {
+    get plugins() {
+      return plugins;
+    },
+    onDidChange: changeEmitter.event,
+    pluginFor,
+    definesFor,
+    rescan,
+    dispose() {
+      for (const disposable of disposables) disposable.dispose();
+    },
+  };
+}
+
+module.exports = {
+  createWorkspaceDefines,
+};